@@ -1,10 +1,46 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import "./app.css";
 
 import SetupPage from "./pages/SetupPage";
 import TalkPage from "./pages/TalkPage";
 import LogsPage from "./pages/LogsPage";
+import SignInPage from "./pages/SignInPage";
 import { useConversationEngine } from "./hooks/useConversationEngine";
+import { createPrompt, getPrompt, listPrompts, updatePrompt } from "./engine/prompts";
+import { decodeToPcm16 } from "./engine/replay";
+import { defaultTemplateVars, renderTemplate, templateVariables } from "./lib/template";
+import { STT_BOOL_OPTIONS } from "./lib/utils";
+import { apiFetch, getAuthStatus, onAuthRequired } from "./lib/api";
+
+// Setup "LLM parameters" form (strings) -> ChatSchema fields; empty = provider default
+function toLlmParams(p) {
+  const num = (v) => (String(v).trim() === "" ? undefined : Number(v));
+  const stop = String(p.stop || "").split("|").map((s) => s.trim()).filter(Boolean);
+  const out = {
+    temperature: num(p.temperature),
+    max_tokens: num(p.maxTokens),
+    top_p: num(p.topP),
+    stop: stop.length ? stop : undefined,
+    seed: num(p.seed),
+    frequency_penalty: num(p.frequencyPenalty),
+    response_format: p.responseFormat !== "text" ? { type: p.responseFormat } : undefined,
+  };
+  return Object.fromEntries(Object.entries(out).filter(([, v]) => v !== undefined));
+}
+
+// Setup form -> /ws query options (Deepgram); empty / "default" fields are left to the server
+function toSttOptions(o) {
+  const list = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean).join(",");
+  const out = {
+    endpointing: o.endpointing,
+    utterance_end_ms: String(o.utteranceEndMs).trim(),
+    keyterms: list(o.keyterms),
+    keywords: list(o.keywords),
+    redact: o.redact.join(","),
+  };
+  for (const k of STT_BOOL_OPTIONS) out[k] = o[k] === "default" ? "" : o[k];
+  return Object.fromEntries(Object.entries(out).filter(([, v]) => v !== "" && v !== undefined));
+}
 
 export default function App() {
   const engine = useConversationEngine();
@@ -12,66 +48,173 @@ export default function App() {
   const [page, setPage] = useState("setup"); // setup | talk | logs
   const [loading, setLoading] = useState(false);
   const [bootError, setBootError] = useState("");
+  const bootedRef = useRef(false);
+
+  // Shared deployments: GET /api/auth says whether a token is needed (lib/api.js keeps it)
+  const [auth, setAuth] = useState(null); // { required, limits, sessionTtlSec } once checked
+  const [signInReason, setSignInReason] = useState(null); // string = show the sign-in page
 
-  const [models, setModels] = useState([]);
+  // [{ id, label, local, models: [ids], error }]
+  const [llmProviders, setLlmProviders] = useState([]);
+  const [llmProvider, setLlmProvider] = useState("");
   const [model, setModel] = useState("");
 
+  // [{ id, label, offline, pricePerMinUsd, models, languages, unavailable }] (GET /api/stt/providers)
+  const [sttProviders, setSttProviders] = useState([]);
+  const [sttProvider, setSttProvider] = useState("deepgram");
+  const [sttModel, setSttModel] = useState("nova-3");
+  const [sttLanguage, setSttLanguage] = useState("multi");
+  const [sttOptions, setSttOptions] = useState({
+    endpointing: "100",
+    utteranceEndMs: "",
+    keyterms: "",
+    keywords: "",
+    redact: [],
+    ...Object.fromEntries(STT_BOOL_OPTIONS.map((k) => [k, "default"])),
+  });
+
+  const [ttsProviders, setTtsProviders] = useState([]);
+  const [ttsProvider, setTtsProvider] = useState("google");
+
   const [voices, setVoices] = useState([]);
-  const [languages, setLanguages] = useState([]);
-  const [voiceTypes, setVoiceTypes] = useState([]);
 
   const [language, setLanguage] = useState("en-US");
   const [voiceType, setVoiceType] = useState("NEURAL2");
   const [voiceName, setVoiceName] = useState("");
 
   const [audioEncoding, setAudioEncoding] = useState("OGG_OPUS");
+  const [ttsTransport, setTtsTransport] = useState("binary"); // binary | stream
+  const [normalizeText, setNormalizeText] = useState(true);
+  const [captions, setCaptions] = useState(true);
   const [inputType, setInputType] = useState("text");
   const [speakingRate, setSpeakingRate] = useState(1.0);
   const [pitch, setPitch] = useState(0);
   const [volumeGainDb, setVolumeGainDb] = useState(0);
 
+  // Fallback chain ("provider:model"), tried in order if the model fails before its first token
+  const [fallbackModels, setFallbackModels] = useState([]);
+
+  // Race mode: extra "provider:model" values run alongside the primary model
+  const [raceModels, setRaceModels] = useState([]);
+  const [raceSpeak, setRaceSpeak] = useState("first"); // first | primary
+
+  // Generation parameters, kept as form strings until Start
+  const [llmParams, setLlmParams] = useState({
+    temperature: "0.4",
+    maxTokens: "",
+    topP: "",
+    stop: "",
+    seed: "",
+    frequencyPenalty: "",
+    responseFormat: "text", // text | json_object
+  });
+
+  // Prompt token budget of the context manager: "auto" = per-model default from /api/models
+  const [historyBudget, setHistoryBudget] = useState("auto");
+
+  // Server-side tools the LLM may call (GET /api/tools)
+  const [availableTools, setAvailableTools] = useState([]);
+  const [toolsEnabled, setToolsEnabled] = useState(false);
+
+  // Start the LLM on a stable interim transcript instead of waiting for speech_final
+  const [speculative, setSpeculative] = useState(false);
+
+  // Server keeps the session's mic audio (WAV) and every synthesized chunk
+  const [record, setRecord] = useState(false);
+
+  // Audio input: the mic, or a decoded file replayed through the same path (reproducible runs)
+  const [audioInput, setAudioInput] = useState("mic");
+  const [replayAudio, setReplayAudio] = useState(null); // { name, pcm, durationS }
+  const [replaySpeed, setReplaySpeed] = useState("1");
+  const [replayError, setReplayError] = useState("");
+
   const [systemPrompt, setSystemPrompt] = useState("");
   const [bargeInMode, setBargeInMode] = useState("strict");
 
-  // Boot: models + voices + prompt
+  // Prompt library (/api/prompts): the textarea holds the template body, {{variables}} are filled on Start
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [promptBase, setPromptBase] = useState(null); // { id, name, version, body, versions: [n] }
+  const [promptVars, setPromptVars] = useState({});
+  const [promptError, setPromptError] = useState("");
+
   useEffect(() => {
+    getAuthStatus()
+      .then((s) => {
+        setAuth(s);
+        if (s.required && !s.session) setSignInReason("");
+      })
+      .catch(() => setAuth({ required: false }));
+  }, []);
+
+  // Any 401 (expired or revoked token): stop talking and sign in again
+  useEffect(() => onAuthRequired((reason) => {
+    if (engine.isRunning) engine.stop();
+    setSignInReason(reason);
+  }), [engine.isRunning]);
+
+  // Boot: models + voices + prompt (once signed in, if the server wants that)
+  useEffect(() => {
+    if (!auth || signInReason !== null || bootedRef.current) return;
     (async () => {
       try {
         setBootError("");
         setLoading(true);
 
-        const [mRes, vRes, pRes] = await Promise.all([
-          fetch("/api/models"),
-          fetch("/api/voices"),
+        const [mRes, vRes, tpRes, tlRes, pRes, spRes] = await Promise.all([
+          apiFetch("/api/models"),
+          apiFetch("/api/voices"),
+          apiFetch("/api/tts/providers"),
+          apiFetch("/api/tools").catch(() => null),
           fetch("/prompts/ai-prompt.txt").catch(() => null),
+          apiFetch("/api/stt/providers").catch(() => null),
         ]);
 
+        if (spRes && spRes.ok) {
+          const sp = await spRes.json();
+          const list = sp.providers || [];
+          setSttProviders(list);
+          // Deepgram unless it isn't configured on this server
+          const usable = list.filter((p) => !p.unavailable);
+          const pick = usable.find((p) => p.id === "deepgram") || usable[0];
+          if (pick) onPickSttProvider(pick.id, list);
+        }
+
+        if (tlRes && tlRes.ok) {
+          const tl = await tlRes.json();
+          setAvailableTools(tl.tools || []);
+        }
+
+        listPrompts().then(setPromptTemplates).catch((e) => setPromptError(String(e?.message || e)));
+
+        if (tpRes.ok) {
+          const tp = await tpRes.json();
+          setTtsProviders(tp.providers || []);
+        }
+
         if (mRes.ok) {
           const md = await mRes.json();
-          const list = md?.models || [];
-          setModels(list);
-          setModel(list[0] || "");
+          const groups = (md?.providers || []).filter((p) => (p.models || []).length);
+          setLlmProviders(groups);
+          setLlmProvider(md?.default_provider || groups[0]?.id || "");
+          setModel(md?.default_model || groups[0]?.models?.[0] || "");
         } else {
-          setBootError(`Failed to load Groq models (${mRes.status})`);
+          setBootError(`Failed to load LLM models (${mRes.status})`);
         }
 
         if (vRes.ok) {
           const vd = await vRes.json();
-          setVoices(vd.voices || []);
-          setLanguages(vd.languages || []);
-          setVoiceTypes(vd.voiceTypes || []);
-
-          const defaultLang = (vd.languages || []).includes("en-US") ? "en-US" : (vd.languages || [])[0];
-          setLanguage(defaultLang || "en-US");
-
-          const types = vd.voiceTypes || [];
-          const preferred =
-            types.includes("NEURAL2") ? "NEURAL2" :
-            types.includes("WAVENET") ? "WAVENET" :
-            (types[0] || "OTHER");
-          setVoiceType(preferred);
+          const list = vd.voices || [];
+          setVoices(list);
+
+          // Prefer Google; fall back to whichever provider actually returned voices
+          const withVoices = Array.from(new Set(list.map((v) => v.provider || "google")));
+          setTtsProvider(withVoices.includes("google") ? "google" : (withVoices[0] || "google"));
+
+          if ((vd.errors || []).length) {
+            setBootError(`Some TTS providers failed: ${vd.errors.map((x) => `${x.provider}: ${x.details}`).join(" | ")}`);
+          }
         } else {
-          setBootError(`Failed to load Google voices (${vRes.status})`);
+          setBootError(`Failed to load TTS voices (${vRes.status})`);
         }
 
         // Default prompt
@@ -84,28 +227,139 @@ export default function App() {
             setSystemPrompt(txt);
           }
         }
+        bootedRef.current = true;
       } catch (e) {
         setBootError(String(e?.message || e));
       } finally {
         setLoading(false);
       }
     })();
-  }, []);
+  }, [auth, signInReason]);
+
+  // Voices/languages/types of the selected TTS provider only
+  const providerVoices = useMemo(
+    () => voices.filter((v) => (v.provider || "google") === ttsProvider),
+    [voices, ttsProvider]
+  );
+  const languages = useMemo(
+    () => Array.from(new Set(providerVoices.flatMap((v) => v.languageCodes || []))).sort(),
+    [providerVoices]
+  );
+  const voiceTypes = useMemo(
+    () => Array.from(new Set(providerVoices.map((v) => v.voiceType))).sort(),
+    [providerVoices]
+  );
+
+  // Keep language/type valid when the provider changes
+  useEffect(() => {
+    if (languages.length && !languages.includes(language)) {
+      setLanguage(languages.includes("en-US") ? "en-US" : languages[0]);
+    }
+    if (voiceTypes.length && !voiceTypes.includes(voiceType)) {
+      const preferred =
+        voiceTypes.includes("NEURAL2") ? "NEURAL2" :
+        voiceTypes.includes("WAVENET") ? "WAVENET" :
+        voiceTypes[0];
+      setVoiceType(preferred);
+    }
+  }, [languages, voiceTypes]); // eslint-disable-line
 
   // Auto-pick voiceName when language/type changes
   useEffect(() => {
-    const candidates = voices
+    const candidates = providerVoices
       .filter((v) => (voiceType ? v.voiceType === voiceType : true))
       .filter((v) => (language ? (v.languageCodes || []).includes(language) : true));
 
     if (candidates.length && (!voiceName || !candidates.some((v) => v.name === voiceName))) {
       setVoiceName(candidates[0].name);
     }
-  }, [voices, language, voiceType]); // eslint-disable-line
+  }, [providerVoices, language, voiceType]); // eslint-disable-line
+
+  const sttInfo = sttProviders.find((p) => p.id === sttProvider) || null;
+
+  // Model/language lists differ per provider: start from its defaults
+  function onPickSttProvider(id, list = sttProviders) {
+    const p = list.find((x) => x.id === id);
+    setSttProvider(id);
+    setSttModel(p?.models?.[0] || "");
+    setSttLanguage(p?.languages?.[0] || "");
+  }
+
+  const promptVariables = useMemo(() => templateVariables(systemPrompt), [systemPrompt]);
+  const promptVarValues = { ...defaultTemplateVars(language), ...promptVars };
+  const promptModified = Boolean(promptBase && systemPrompt !== promptBase.body);
+
+  function applyPromptVersion(t, version) {
+    const v = t.versions.find((x) => x.version === version) || t.versions[t.versions.length - 1];
+    setSystemPrompt(v.body);
+    setPromptBase({ id: t.id, name: t.name, version: v.version, body: v.body, versions: t.versions.map((x) => x.version) });
+  }
+
+  async function onPickPromptTemplate(id, version) {
+    setPromptError("");
+    if (!id) {
+      setPromptBase(null);
+      return;
+    }
+    try {
+      applyPromptVersion(await getPrompt(id), version);
+    } catch (e) {
+      setPromptError(String(e?.message || e));
+    }
+  }
+
+  // Edited template -> next version; no template yet -> new template (v1)
+  async function onSavePrompt() {
+    setPromptError("");
+    try {
+      let t;
+      if (promptBase) {
+        t = await updatePrompt(promptBase.id, { body: systemPrompt });
+      } else {
+        const name = window.prompt("Template name");
+        if (!name?.trim()) return;
+        t = await createPrompt({ name: name.trim(), body: systemPrompt });
+      }
+      applyPromptVersion(t);
+      setPromptTemplates(await listPrompts());
+    } catch (e) {
+      setPromptError(String(e?.message || e));
+    }
+  }
 
   const canStart = useMemo(() => {
-    return Boolean(model && voiceName && systemPrompt.trim() && !loading);
-  }, [model, voiceName, systemPrompt, loading]);
+    return Boolean(
+      llmProvider && model && voiceName && systemPrompt.trim() && !loading && (audioInput === "mic" || replayAudio)
+    );
+  }, [llmProvider, model, voiceName, systemPrompt, loading, audioInput, replayAudio]);
+
+  // Per-model history budget from the server (config historyBudgetTokens)
+  const modelHistoryBudget =
+    llmProviders.find((p) => p.id === llmProvider)?.historyBudgets?.[model] ?? 4000;
+
+  // Model select value is "provider:model" (model ids may contain "/" or ":")
+  function splitModelValue(value) {
+    const at = value.indexOf(":");
+    return { provider: value.slice(0, at), model: value.slice(at + 1) };
+  }
+
+  function onPickModel(value) {
+    const { provider, model: m } = splitModelValue(value);
+    setLlmProvider(provider);
+    setModel(m);
+  }
+
+  // Comparison panel winner -> session voice
+  function onPickVoice(result) {
+    const v = voices.find((x) => x.name === result.voiceName && (x.provider || "google") === result.provider);
+    if (!v) return;
+
+    setTtsProvider(v.provider || "google");
+    setVoiceType(v.voiceType);
+    if (!(v.languageCodes || []).includes(language)) setLanguage(v.languageCodes?.[0] || language);
+    setVoiceName(v.name);
+    setAudioEncoding(result.audioEncoding);
+  }
 
   function onUploadPrompt(e) {
     const f = e.target.files?.[0];
@@ -117,22 +371,62 @@ export default function App() {
     f.text().then((t) => setSystemPrompt(String(t || "")));
   }
 
+  async function onPickReplayFile(e) {
+    const f = e.target.files?.[0];
+    setReplayAudio(null);
+    setReplayError("");
+    if (!f) return;
+    try {
+      const { pcm, durationS } = await decodeToPcm16(await f.arrayBuffer());
+      setReplayAudio({ name: f.name, pcm, durationS });
+    } catch (err) {
+      setReplayError(`Could not decode ${f.name}: ${err?.message || err}`);
+    }
+  }
+
   async function onStart() {
     if (!canStart) return;
     setPage("talk");
 
     await engine.start({
-      sttModel: "nova-3",
-      sttLanguage: "multi",
+      sttProvider,
+      sttModel,
+      sttLanguage,
+      sttOptions: sttProvider === "deepgram" ? toSttOptions(sttOptions) : {},
+      record,
+      audioInput: audioInput === "replay"
+        ? { kind: "replay", file: replayAudio.name, durationS: Number(replayAudio.durationS.toFixed(2)), speed: Number(replaySpeed) }
+        : { kind: "mic" },
 
+      llmProvider,
       model,
-      systemPrompt,
+      systemPrompt: renderTemplate(systemPrompt, promptVarValues),
+      // which template version this session ran with (edited = unsaved changes on top of it)
+      promptTemplate: promptBase
+        ? { id: promptBase.id, name: promptBase.name, version: promptBase.version, modified: promptModified }
+        : null,
+      promptVariables: Object.fromEntries(promptVariables.map((k) => [k, promptVarValues[k] ?? ""])),
+      historyBudgetTokens: historyBudget === "auto" ? modelHistoryBudget : Number(historyBudget),
+      llmParams: toLlmParams(llmParams),
+      tools: toolsEnabled ? availableTools.map((t) => t.name) : [],
+      speculative,
+      fallbacks: fallbackModels.filter((v) => v !== `${llmProvider}:${model}`).map(splitModelValue),
+      race: raceModels.length
+        ? {
+          contenders: raceModels.filter((v) => v !== `${llmProvider}:${model}`).map(splitModelValue),
+          speak: raceSpeak,
+        }
+        : null,
 
+      ttsProvider,
       language,
       voiceType,
       voiceName,
 
       audioEncoding,
+      ttsTransport,
+      normalizeText,
+      captions,
       inputType,
       speakingRate,
       pitch,
@@ -140,6 +434,8 @@ export default function App() {
 
       bargeInMode,
       kickoffUserText: "Begin the conversation and greet the user.",
+    }, {
+      replay: audioInput === "replay" ? { pcm: replayAudio.pcm, speed: Number(replaySpeed) } : null,
     });
   }
 
@@ -152,21 +448,77 @@ export default function App() {
     setPage("setup");
   }
 
-  const headerLine = `STT: Deepgram nova-3 (multi) • LLM: ${model || "-"} • TTS: ${voiceName || "-"}`;
+  const headerLine = `STT: ${sttInfo?.label || sttProvider} ${sttModel} (${sttLanguage}) • LLM: ${llmProvider || "-"}/${model || "-"} • TTS: ${ttsProvider}/${voiceName || "-"}`;
 
   // ✅ Mount ONE audio element always (prevents ref switching/new Audio issues)
   return (
     <>
       <audio ref={engine.audioOutRef} style={{ display: "none" }} />
 
-      {page === "setup" ? (
+      {signInReason !== null ? (
+        <SignInPage
+          reason={signInReason}
+          limits={auth?.limits}
+          sessionTtlSec={auth?.sessionTtlSec}
+          onSignedIn={() => setSignInReason(null)}
+        />
+      ) : page === "setup" ? (
         <SetupPage
           loading={loading}
           bootError={bootError}
-          models={models}
+          llmProviders={llmProviders}
+          llmProvider={llmProvider}
           model={model}
-          setModel={setModel}
-          voices={voices}
+          onPickModel={onPickModel}
+          availableTools={availableTools}
+          toolsEnabled={toolsEnabled}
+          speculative={speculative}
+          setSpeculative={setSpeculative}
+          fallbackModels={fallbackModels}
+          setFallbackModels={setFallbackModels}
+          raceModels={raceModels}
+          setRaceModels={setRaceModels}
+          raceSpeak={raceSpeak}
+          setRaceSpeak={setRaceSpeak}
+          promptTemplates={promptTemplates}
+          promptBase={promptBase}
+          promptModified={promptModified}
+          promptVariables={promptVariables}
+          promptVarValues={promptVarValues}
+          setPromptVar={(k, v) => setPromptVars((prev) => ({ ...prev, [k]: v }))}
+          onPickPromptTemplate={onPickPromptTemplate}
+          onSavePrompt={onSavePrompt}
+          promptError={promptError}
+          llmParams={llmParams}
+          setLlmParams={setLlmParams}
+          historyBudget={historyBudget}
+          setHistoryBudget={setHistoryBudget}
+          modelHistoryBudget={modelHistoryBudget}
+          setToolsEnabled={setToolsEnabled}
+          sttProviders={sttProviders}
+          sttProvider={sttProvider}
+          onPickSttProvider={onPickSttProvider}
+          sttModel={sttModel}
+          setSttModel={setSttModel}
+          sttLanguage={sttLanguage}
+          setSttLanguage={setSttLanguage}
+          sttOptions={sttOptions}
+          setSttOptions={setSttOptions}
+          record={record}
+          setRecord={setRecord}
+          audioInput={audioInput}
+          setAudioInput={setAudioInput}
+          replayAudio={replayAudio}
+          replaySpeed={replaySpeed}
+          setReplaySpeed={setReplaySpeed}
+          replayError={replayError}
+          onPickReplayFile={onPickReplayFile}
+          ttsProviders={ttsProviders}
+          ttsProvider={ttsProvider}
+          setTtsProvider={setTtsProvider}
+          voices={providerVoices}
+          allVoices={voices}
+          onPickVoice={onPickVoice}
           languages={languages}
           voiceTypes={voiceTypes}
           language={language}
@@ -177,6 +529,12 @@ export default function App() {
           setVoiceName={setVoiceName}
           audioEncoding={audioEncoding}
           setAudioEncoding={setAudioEncoding}
+          ttsTransport={ttsTransport}
+          setTtsTransport={setTtsTransport}
+          normalizeText={normalizeText}
+          setNormalizeText={setNormalizeText}
+          captions={captions}
+          setCaptions={setCaptions}
           inputType={inputType}
           setInputType={setInputType}
           speakingRate={speakingRate}
@@ -192,21 +550,30 @@ export default function App() {
           setBargeInMode={setBargeInMode}
           canStart={canStart}
           onStart={onStart}
+          onOpenLogs={() => setPage("logs")}
         />
       ) : page === "talk" ? (
         <TalkPage
           headerLine={headerLine}
-          dgReq={engine.stats.dg_request_id}
+          sttReq={engine.stats.request_id}
           error={engine.error}
           stats={engine.stats}
           last4={engine.last4}
+          caption={engine.caption}
           onStop={onStop}
           bargeInMode={bargeInMode}
           pttActive={engine.pttActive}
           setPttActive={engine.setPttActive}
+          replay={engine.replay}
         />
       ) : (
-        <LogsPage summary={engine.buildSummaryRows()} messages={engine.messages} onExit={onExit} />
+        <LogsPage
+          summary={engine.buildSummaryRows()}
+          messages={engine.messages}
+          currentSessionId={engine.session?.id ?? null}
+          memory={engine.memory}
+          onExit={onExit}
+        />
       )}
     </>
   );
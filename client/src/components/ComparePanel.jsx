@@ -0,0 +1,178 @@
+import { useEffect, useRef, useState } from "react";
+import { formatUsd, voiceTypePretty } from "../lib/utils";
+import { apiFetch } from "../lib/api";
+
+const ENCODINGS = ["OGG_OPUS", "MP3", "LINEAR16", "MULAW"];
+
+function base64ToUrl(b64, mime) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return URL.createObjectURL(new Blob([bytes], { type: mime }));
+}
+
+// Same sentence across several voices: timing, size, cost and side-by-side playback.
+export default function ComparePanel({ voices, language, current, onPick }) {
+  const [text, setText] = useState("Hi! Your order has shipped and should arrive on Tuesday.");
+  const [entries, setEntries] = useState([]); // [{ provider, voiceName, audioEncoding }]
+  const [addName, setAddName] = useState("");
+  const [concurrency, setConcurrency] = useState(3);
+
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState("");
+  const [results, setResults] = useState([]);
+  const urlsRef = useRef([]);
+
+  const candidates = voices.filter((v) => (language ? (v.languageCodes || []).includes(language) : true));
+
+  const revokeAll = () => {
+    for (const u of urlsRef.current) { try { URL.revokeObjectURL(u); } catch {} }
+    urlsRef.current = [];
+  };
+  useEffect(() => revokeAll, []);
+
+  function addEntry(entry) {
+    if (!entry.voiceName) return;
+    setEntries((prev) => (
+      prev.some((e) => e.voiceName === entry.voiceName && e.audioEncoding === entry.audioEncoding)
+        ? prev
+        : [...prev, entry]
+    ));
+  }
+
+  function addSelected() {
+    const v = candidates.find((x) => x.name === (addName || candidates[0]?.name));
+    if (v) addEntry({ provider: v.provider || "google", voiceName: v.name, audioEncoding: current.audioEncoding });
+  }
+
+  function patchEntry(i, patch) {
+    setEntries((prev) => prev.map((e, idx) => (idx === i ? { ...e, ...patch } : e)));
+  }
+
+  async function run() {
+    if (!text.trim() || !entries.length) return;
+    setRunning(true);
+    setError("");
+
+    try {
+      const res = await apiFetch("/api/synthesize/compare", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ text, languageCode: language, voices: entries, concurrency: Number(concurrency) }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.details || data?.error || `Compare failed (${res.status})`);
+
+      revokeAll();
+      setResults((data.results || []).map((r) => {
+        if (!r.ok || !r.audioBase64) return r;
+        const url = base64ToUrl(r.audioBase64, r.mime);
+        urlsRef.current.push(url);
+        return { ...r, url };
+      }));
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  return (
+    <div className="card">
+      <h2>Compare voices</h2>
+      <p className="muted">
+        Synthesize the same sentence with several voices, listen side by side, then pick the winner as the session voice.
+      </p>
+
+      <textarea rows={3} style={{ minHeight: 0 }} value={text} onChange={(e) => setText(e.target.value)} />
+
+      <div className="hstack" style={{ marginTop: 10 }}>
+        <select value={addName} onChange={(e) => setAddName(e.target.value)} style={{ flex: 1, width: "auto" }}>
+          {candidates.map((v) => (
+            <option key={`${v.provider}:${v.name}`} value={v.name}>
+              {v.provider || "google"} • {voiceTypePretty(v.voiceType)} • {v.name}
+            </option>
+          ))}
+        </select>
+        <button className="secondary" onClick={addSelected}>+ Add</button>
+        <button
+          className="secondary"
+          onClick={() => addEntry({ provider: current.ttsProvider, voiceName: current.voiceName, audioEncoding: current.audioEncoding })}
+        >
+          + Current voice
+        </button>
+      </div>
+
+      {entries.length ? (
+        <div className="msgList">
+          {entries.map((e, i) => (
+            <div key={`${e.voiceName}:${i}`} className="hstack mono">
+              <span style={{ flex: 1 }}>{e.provider} • {e.voiceName}</span>
+              <select
+                value={e.audioEncoding}
+                onChange={(ev) => patchEntry(i, { audioEncoding: ev.target.value })}
+                style={{ width: "auto" }}
+              >
+                {ENCODINGS.map((x) => <option key={x} value={x}>{x}</option>)}
+              </select>
+              <button className="secondary" onClick={() => setEntries((prev) => prev.filter((_, idx) => idx !== i))}>✕</button>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      <div className="hstack" style={{ marginTop: 10 }}>
+        <label style={{ margin: 0 }}>Concurrency</label>
+        <input
+          type="number"
+          min="1"
+          max="8"
+          value={concurrency}
+          onChange={(e) => setConcurrency(e.target.value)}
+          style={{ width: 80 }}
+        />
+        <button disabled={running || !entries.length || !text.trim()} onClick={run}>
+          {running ? "Comparing..." : "▶ Compare"}
+        </button>
+      </div>
+
+      {error ? <div className="error" style={{ marginTop: 10 }}>{error}</div> : null}
+
+      {results.length ? (
+        <div className="msgList">
+          {results.map((r, i) => (
+            <div className="msg" key={`${r.voiceName}:${r.audioEncoding}:${i}`}>
+              <div className="msgHeader">
+                <div className="roleAi">{r.provider || "?"} • {r.voiceName}</div>
+                {r.ok ? (
+                  <button
+                    className="secondary"
+                    disabled={r.voiceName === current.voiceName && r.audioEncoding === current.audioEncoding}
+                    onClick={() => onPick(r)}
+                  >
+                    Use this voice
+                  </button>
+                ) : null}
+              </div>
+
+              {r.ok ? (
+                <>
+                  <div className="mono small" style={{ marginTop: 6 }}>
+                    {voiceTypePretty(r.voiceType)} • {r.audioEncoding} • server {r.serverTtsMs} ms •
+                    {" "}{(r.bytes / 1024).toFixed(1)} KB • {formatUsd(r.estCostUsd)}
+                  </div>
+                  {(r.warnings || []).length ? (
+                    <div className="mono small">Warnings: {r.warnings.join(" | ")}</div>
+                  ) : null}
+                  <audio controls src={r.url} style={{ width: "100%", marginTop: 8 }} />
+                </>
+              ) : (
+                <div className="error small" style={{ marginTop: 6 }}>{r.error}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
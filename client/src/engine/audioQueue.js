@@ -1,18 +1,105 @@
-export function createOrderedAudioQueue({ audioOutRef, setError }) {
+// Must match server/src/tts/text.js: timepoint i belongs to word i.
+function splitWords(text) {
+  return String(text || "").split(/\s+/).filter(Boolean);
+}
+
+// Used when the duration isn't known yet (MediaSource, streamed PCM) and no timepoints came back
+const EST_MS_PER_CHAR = 65;
+
+// Word start times (ms) for an item: provider timepoints when present,
+// otherwise spread over the audio duration by character count.
+function wordTimeline(words, timepoints, durationSec) {
+  if (timepoints?.length) {
+    const starts = new Array(words.length).fill(null);
+    for (const [i, ms] of timepoints) if (i < words.length) starts[i] = ms;
+    // words without a mark inherit the previous start
+    let last = 0;
+    return starts.map((ms) => (last = ms ?? last));
+  }
+
+  const totalChars = words.reduce((n, w) => n + w.length + 1, 0) || 1;
+  const totalMs = Number.isFinite(durationSec) && durationSec > 0 ? durationSec * 1000 : totalChars * EST_MS_PER_CHAR;
+  let chars = 0;
+  return words.map((w) => {
+    const at = (chars / totalChars) * totalMs;
+    chars += w.length + 1;
+    return at;
+  });
+}
+
+// onWord({ seq, words, index, estimated }) fires whenever the spoken word changes; onWord(null) when idle.
+export function createOrderedAudioQueue({ audioOutRef, setError, onWord }) {
   const state = {
     isPlaying: false,
     currentUrl: null,
+    currentPlayer: null, // Web Audio player of the item playing (streamed PCM)
     // queue of items ready to play in order
     playQueue: [],
     // map of completed items waiting for their turn
     readyBySeq: new Map(),
     nextSeq: 0,
+    // performance.now() when audio first started playing since the last reset
+    firstPlayingAt: null,
+    // words of finished items + the item currently playing (for captions / barge-in)
+    heardWords: [],
+    current: null, // { seq, words, index }
+    rafId: null,
   };
 
+  function emitWord(payload) {
+    try { onWord?.(payload); } catch {}
+  }
+
+  function stopWordTracking() {
+    if (state.rafId != null) cancelAnimationFrame(state.rafId);
+    state.rafId = null;
+  }
+
+  function startWordTracking(item, a) {
+    stopWordTracking();
+
+    const words = splitWords(item.text);
+    state.current = { seq: item.seq, words, index: -1 };
+    if (!words.length) return;
+
+    const estimated = !item.timepoints?.length;
+
+    const tick = () => {
+      const cur = state.current;
+      if (!cur || cur.seq !== item.seq) return;
+
+      const timeline = wordTimeline(words, item.timepoints, a.duration);
+      const tMs = a.currentTime * 1000;
+      let idx = cur.index;
+      while (idx + 1 < words.length && timeline[idx + 1] <= tMs) idx += 1;
+
+      if (idx !== cur.index) {
+        cur.index = idx;
+        emitWord({ seq: item.seq, words, index: idx, estimated });
+      }
+      state.rafId = requestAnimationFrame(tick);
+    };
+    state.rafId = requestAnimationFrame(tick);
+  }
+
+  // Whole item was played: every word counts as heard
+  function finishWordTracking(seq) {
+    stopWordTracking();
+    if (state.current?.seq !== seq) return;
+    state.heardWords.push(...state.current.words);
+    state.current = null;
+    emitWord(null);
+  }
+
   function revokeUrl(url) {
     try { if (url) URL.revokeObjectURL(url); } catch {}
   }
 
+  function release(item) {
+    revokeUrl(item.url);
+    item.player?.stop();
+  }
+
   function reset() {
     // stop audio
     const a = audioOutRef.current;
@@ -23,19 +110,27 @@ export function createOrderedAudioQueue({ audioOutRef, setError }) {
     state.isPlaying = false;
     revokeUrl(state.currentUrl);
     state.currentUrl = null;
+    state.currentPlayer?.stop();
+    state.currentPlayer = null;
 
     // revoke queued urls
-    for (const it of state.playQueue) revokeUrl(it.url);
+    for (const it of state.playQueue) release(it);
     state.playQueue = [];
 
-    for (const it of state.readyBySeq.values()) revokeUrl(it.url);
+    for (const it of state.readyBySeq.values()) release(it);
     state.readyBySeq = new Map();
 
     state.nextSeq = 0;
+    state.firstPlayingAt = null;
+
+    stopWordTracking();
+    state.heardWords = [];
+    state.current = null;
+    emitWord(null);
   }
 
   function addReadyItem(item) {
-    // item: { seq, url, mime, metrics }
+    // item: { seq, url, player?, mime, metrics, text, timepoints }
     state.readyBySeq.set(item.seq, item);
   }
 
@@ -63,27 +158,38 @@ export function createOrderedAudioQueue({ audioOutRef, setError }) {
     // switch source
     revokeUrl(state.currentUrl);
     state.currentUrl = next.url;
+    state.currentPlayer = next.player;
 
-    a.src = next.url;
-    a.load();
+    // streamed PCM plays through Web Audio, everything else through the <audio> element
+    const media = next.player || a;
+    if (!next.player) {
+      a.src = next.url;
+      a.load();
+    }
 
     try {
-      await a.play();
+      await media.play();
+      if (state.firstPlayingAt == null) state.firstPlayingAt = performance.now();
+      startWordTracking(next, media);
     } catch {
       setError("Audio playback blocked by browser. Click once anywhere, then press Start again.");
       state.isPlaying = false;
       return;
     }
 
-    await new Promise((resolve) => {
-      const done = () => {
+    const how = next.player ? await next.player.finished : await new Promise((resolve) => {
+      const done = (ev) => {
         a.removeEventListener("ended", done);
         a.removeEventListener("pause", done);
-        resolve();
+        resolve(ev.type);
       };
       a.addEventListener("ended", done);
       a.addEventListener("pause", done);
     });
+    if (state.currentPlayer === next.player) state.currentPlayer = null;
+
+    // paused = reset()/barge-in; heard words were already captured up to the current one
+    if (how === "ended") finishWordTracking(next.seq);
 
     // finished this one
     state.isPlaying = false;
@@ -107,6 +213,13 @@ export function createOrderedAudioQueue({ audioOutRef, setError }) {
       nextSeq: state.nextSeq,
       queued: state.playQueue.length,
       waiting: state.readyBySeq.size,
+      firstPlayingAt: state.firstPlayingAt,
     }),
+    // What actually came out of the speaker so far (call before reset())
+    getHeard: () => {
+      const cur = state.current;
+      const words = cur ? [...state.heardWords, ...cur.words.slice(0, cur.index + 1)] : [...state.heardWords];
+      return { text: words.join(" "), words: words.length };
+    },
   };
 }
@@ -1,10 +1,12 @@
 // Decide when to cut a "speakable chunk" from streaming LLM text.
 export function extractSpeakChunk(buffer) {
-  const text = buffer.trim();
-  if (!text) return { chunk: null, rest: buffer };
+  // keep trailing whitespace: it is what confirms a sentence end below
+  const text = buffer.trimStart();
+  if (!text.trim()) return { chunk: null, rest: buffer };
 
-  // Prefer sentence endings first
-  const sentenceEnd = /[.!?]|[।]/g;
+  // Prefer sentence endings first. The mark must be followed by whitespace so
+  // "$4.50", "3.14" or "example.com" are never cut in half mid-stream.
+  const sentenceEnd = /[.!?।](?=\s)/g;
   let lastEnd = -1;
   let m;
   while ((m = sentenceEnd.exec(text)) !== null) lastEnd = m.index;
@@ -0,0 +1,91 @@
+import { apiFetch } from "../lib/api";
+
+// Context manager: what history goes into the LLM prompt.
+// Newest turns are kept while the estimated prompt fits the token budget;
+// older ones are dropped and (asynchronously) folded into a rolling summary
+// that is sent in their place. Until that summary exists they still go out
+// ("carried", up to another budget's worth), so no turn is in neither.
+
+// Rough estimate without a tokenizer: ~4 characters per token for English,
+// plus a few tokens of per-message overhead (role, separators).
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+export function messageTokens(m) {
+  return MESSAGE_OVERHEAD_TOKENS + estimateTokens(m.content);
+}
+
+export function summaryMessage(summary) {
+  return { role: "system", content: `Summary of the earlier conversation (older turns are not shown):\n${summary}` };
+}
+
+// history: [{ id, role, text }] oldest first, without the current user turn, none of it in
+// the summary yet. -> { messages, dropped: [history items to summarize], stats }
+export function buildContext({ systemPrompt, history, userText, summary, budgetTokens }) {
+  const system = { role: "system", content: systemPrompt };
+  const user = { role: "user", content: userText };
+  const memory = summary ? summaryMessage(summary) : null;
+
+  // system prompt, summary and the new user turn always go out
+  const fixedTokens = messageTokens(system) + messageTokens(user) + (memory ? messageTokens(memory) : 0);
+
+  let used = fixedTokens;
+  let firstKept = history.length;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const t = messageTokens({ content: history[i].text });
+    if (used + t > budgetTokens) break;
+    used += t;
+    firstKept = i;
+  }
+
+  // over budget but not summarized yet: carried along, newest first, within a second budget
+  let firstCarried = firstKept;
+  for (let i = firstKept - 1; i >= 0; i--) {
+    const t = messageTokens({ content: history[i].text });
+    if (used + t > budgetTokens * 2) break;
+    used += t;
+    firstCarried = i;
+  }
+
+  const sent = history.slice(firstCarried);
+  return {
+    messages: [
+      system,
+      ...(memory ? [memory] : []),
+      ...sent.map((m) => ({ role: m.role, content: m.text })),
+      user,
+    ],
+    dropped: history.slice(0, firstKept),
+    stats: {
+      budgetTokens,
+      estTokens: used,
+      keptMessages: history.length - firstKept,
+      droppedMessages: firstKept,
+      carriedMessages: firstKept - firstCarried,
+      summaryTokens: memory ? messageTokens(memory) : 0,
+    },
+  };
+}
+
+// -> { summary, usage, estCostUsd, wallTimeMs }
+export async function summarizeTurns({ provider, model, summary, turns }) {
+  const res = await apiFetch("/api/chat/summarize", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      provider,
+      model,
+      summary: summary || "",
+      messages: turns.map((m) => ({ role: m.role, content: m.text })),
+    }),
+  });
+  if (!res.ok) {
+    const err = await res.text().catch(() => "");
+    throw new Error(`Summarize failed (${res.status}): ${err}`);
+  }
+  return res.json();
+}
@@ -0,0 +1,301 @@
+// Turn LLM output into something a TTS voice can read out loud.
+// The displayed text is never touched; only what we send to /api/synthesize.
+//
+// English gets full number/date/time expansion. For other languages we
+// translate symbols, units and URLs into words and leave plain digits to the
+// TTS voice, which already reads numbers in its own language. Languages
+// without a table below only get the language-neutral part (markdown, URLs).
+//
+// English examples:
+//   "**Total:** $4.50 at 3:30pm"   -> "Total: four dollars and fifty cents at three thirty p m"
+//   "https://www.example.com/docs" -> "example dot com slash docs"
+//   "Call 555-123-4567"            -> "Call five five five, one two three, four five six seven"
+//   "v 1.2.3 on 192.168.0.1"       -> "v one dot two dot three on one nine two dot one six eight dot zero dot one"
+//   "order 12345678"               -> "order one two three four five six seven eight"
+//   "10-20 reps, 16:9"             -> "ten to twenty reps, sixteen to nine"
+//   "-5 °C, 3.14, 1,250,000"       -> "minus five degrees Celsius, three point one four, one million two hundred fifty thousand"
+
+const LANG = {
+  en: {
+    at: "at", dot: "dot", slash: "slash", and: "and", percent: "percent",
+    currency: {
+      "$": { one: "dollar", many: "dollars", subOne: "cent", subMany: "cents" },
+      "€": { one: "euro", many: "euros", subOne: "cent", subMany: "cents" },
+      "£": { one: "pound", many: "pounds", subOne: "penny", subMany: "pence" },
+      "₹": { one: "rupee", many: "rupees", subOne: "paisa", subMany: "paise" },
+      "¥": { one: "yen", many: "yen" },
+    },
+    units: {
+      km: ["kilometer", "kilometers"], cm: ["centimeter", "centimeters"], mm: ["millimeter", "millimeters"],
+      kg: ["kilogram", "kilograms"], mg: ["milligram", "milligrams"], ml: ["milliliter", "milliliters"],
+      lb: ["pound", "pounds"], lbs: ["pound", "pounds"], oz: ["ounce", "ounces"], ft: ["foot", "feet"],
+      mph: ["mile per hour", "miles per hour"], "km/h": ["kilometer per hour", "kilometers per hour"],
+      "°C": ["degree Celsius", "degrees Celsius"], "°F": ["degree Fahrenheit", "degrees Fahrenheit"],
+      kB: ["kilobyte", "kilobytes"], MB: ["megabyte", "megabytes"], GB: ["gigabyte", "gigabytes"], TB: ["terabyte", "terabytes"],
+    },
+    months: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+    numberWords: true,
+  },
+  es: {
+    at: "arroba", dot: "punto", slash: "barra", and: "y", percent: "por ciento",
+    currency: {
+      "$": { one: "dólar", many: "dólares", subOne: "centavo", subMany: "centavos", join: "con" },
+      "€": { one: "euro", many: "euros", subOne: "céntimo", subMany: "céntimos", join: "con" },
+      "£": { one: "libra", many: "libras", subOne: "penique", subMany: "peniques", join: "con" },
+    },
+    units: {
+      km: ["kilómetro", "kilómetros"], kg: ["kilo", "kilos"], cm: ["centímetro", "centímetros"],
+      "km/h": ["kilómetro por hora", "kilómetros por hora"], "°C": ["grado", "grados"],
+      GB: ["gigabyte", "gigabytes"], MB: ["megabyte", "megabytes"],
+    },
+    months: ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"],
+    dateOrder: (d, m, y) => `${d} de ${m} de ${y}`,
+  },
+  fr: {
+    at: "arobase", dot: "point", slash: "barre oblique", and: "et", percent: "pour cent",
+    currency: {
+      "$": { one: "dollar", many: "dollars", subOne: "cent", subMany: "cents", join: "et" },
+      "€": { one: "euro", many: "euros", subOne: "centime", subMany: "centimes", join: "et" },
+      "£": { one: "livre", many: "livres", subOne: "penny", subMany: "pence", join: "et" },
+    },
+    units: {
+      km: ["kilomètre", "kilomètres"], kg: ["kilo", "kilos"], cm: ["centimètre", "centimètres"],
+      "km/h": ["kilomètre heure", "kilomètres heure"], "°C": ["degré", "degrés"],
+      GB: ["gigaoctet", "gigaoctets"], MB: ["mégaoctet", "mégaoctets"],
+    },
+    months: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"],
+    dateOrder: (d, m, y) => `${d} ${m} ${y}`,
+  },
+  de: {
+    at: "at", dot: "Punkt", slash: "Schrägstrich", and: "und", percent: "Prozent",
+    currency: {
+      "$": { one: "Dollar", many: "Dollar", subOne: "Cent", subMany: "Cent", join: "und" },
+      "€": { one: "Euro", many: "Euro", subOne: "Cent", subMany: "Cent", join: "und" },
+      "£": { one: "Pfund", many: "Pfund", subOne: "Penny", subMany: "Pence", join: "und" },
+    },
+    units: {
+      km: ["Kilometer", "Kilometer"], kg: ["Kilogramm", "Kilogramm"], cm: ["Zentimeter", "Zentimeter"],
+      "km/h": ["Kilometer pro Stunde", "Kilometer pro Stunde"], "°C": ["Grad Celsius", "Grad Celsius"],
+      GB: ["Gigabyte", "Gigabyte"], MB: ["Megabyte", "Megabyte"],
+    },
+    months: ["Januar", "Februar", "März", "April", "Mai", "Juni", "Juli", "August", "September", "Oktober", "November", "Dezember"],
+    dateOrder: (d, m, y) => `${d}. ${m} ${y}`,
+  },
+  hi: {
+    at: "एट", dot: "डॉट", slash: "स्लैश", and: "और", percent: "प्रतिशत",
+    currency: {
+      "₹": { one: "रुपया", many: "रुपये", subOne: "पैसा", subMany: "पैसे", join: "और" },
+      "$": { one: "डॉलर", many: "डॉलर", subOne: "सेंट", subMany: "सेंट", join: "और" },
+    },
+    units: {
+      km: ["किलोमीटर", "किलोमीटर"], kg: ["किलो", "किलो"], "°C": ["डिग्री", "डिग्री"],
+    },
+    months: ["जनवरी", "फ़रवरी", "मार्च", "अप्रैल", "मई", "जून", "जुलाई", "अगस्त", "सितंबर", "अक्टूबर", "नवंबर", "दिसंबर"],
+    dateOrder: (d, m, y) => `${d} ${m} ${y}`,
+  },
+};
+
+// -> table | null (no words for this language)
+function langTable(languageCode) {
+  const base = String(languageCode || "en").toLowerCase().split("-")[0];
+  return LANG[base] || null;
+}
+
+// ---------- English number words ----------
+const ONES = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = [[1e12, "trillion"], [1e9, "billion"], [1e6, "million"], [1e3, "thousand"]];
+
+function under1000(n) {
+  const parts = [];
+  if (n >= 100) {
+    parts.push(`${ONES[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    parts.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ""));
+  } else if (n > 0 || !parts.length) {
+    parts.push(ONES[n]);
+  }
+  return parts.join(" ");
+}
+
+export function intToWordsEn(n) {
+  if (!Number.isSafeInteger(n)) return String(n);
+  if (n < 0) return `minus ${intToWordsEn(-n)}`;
+  if (n < 1000) return under1000(n);
+
+  const parts = [];
+  for (const [size, name] of SCALES) {
+    if (n >= size) {
+      parts.push(`${intToWordsEn(Math.floor(n / size))} ${name}`);
+      n %= size;
+    }
+  }
+  if (n > 0) parts.push(under1000(n));
+  return parts.join(" ");
+}
+
+function ordinalEn(words) {
+  const irregular = { one: "first", two: "second", three: "third", five: "fifth", eight: "eighth", nine: "ninth", twelve: "twelfth" };
+  return words.replace(/([a-z]+)$/, (w) => {
+    if (irregular[w]) return irregular[w];
+    if (w.endsWith("y")) return `${w.slice(0, -1)}ieth`;
+    return `${w}th`;
+  });
+}
+
+function yearToWordsEn(y) {
+  if (y >= 2000 && y < 2010) return intToWordsEn(y);
+  if (y >= 1100 && y < 2100) {
+    const hi = Math.floor(y / 100);
+    const lo = y % 100;
+    if (lo === 0) return `${intToWordsEn(hi)} hundred`;
+    return `${intToWordsEn(hi)} ${lo < 10 ? `oh ${ONES[lo]}` : intToWordsEn(lo)}`;
+  }
+  return intToWordsEn(y);
+}
+
+function decimalToWordsEn(str) {
+  const [int, frac] = str.split(".");
+  const head = intToWordsEn(Number(int));
+  if (!frac) return head;
+  return `${head} point ${frac.split("").map((d) => ONES[Number(d)]).join(" ")}`;
+}
+
+// ---------- stages ----------
+function stripMarkdown(t) {
+  return t
+    .replace(/```[a-zA-Z0-9_-]*\n?/g, "")            // code fences (may be unpaired inside a chunk)
+    .replace(/`([^`]*)`/g, "$1")                      // inline code
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")         // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")          // links -> label
+    .replace(/^\s{0,3}#{1,6}\s+/gm, "")               // headings
+    .replace(/^\s{0,3}>\s?/gm, "")                    // blockquotes
+    .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, "")       // list bullets / numbers
+    .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, "")  // horizontal rules
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")               // bold
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?!\w)/g, "$1$2") // italics
+    .replace(/~~(.+?)~~/g, "$1")                      // strikethrough
+    .replace(/\s*\|\s*/g, ", ")                       // table cells
+    .replace(/[*#]+/g, "");                           // leftovers split across chunks
+}
+
+function speakHost(host, L) {
+  return host.replace(/^www\./i, "").split(".").join(` ${L.dot} `);
+}
+
+function speakEmailsAndUrls(t, L) {
+  t = t.replace(/\b([\w.+-]+)@([\w-]+(?:\.[\w-]+)+)\b/g, (_m, user, host) => (
+    `${user.split(".").join(` ${L.dot} `)} ${L.at} ${speakHost(host, L)}`
+  ));
+
+  return t.replace(/\b(?:https?:\/\/|www\.)[^\s<>()]+/gi, (url) => {
+    const clean = url.replace(/^https?:\/\//i, "").replace(/[.,;:!?]+$/, "");
+    const [host, ...path] = clean.split(/[?#]/)[0].split("/");
+    const segs = path.filter(Boolean);
+    return [speakHost(host, L), ...segs].join(` ${L.slash} `);
+  });
+}
+
+// No words to say "dot" or "slash" in: drop the scheme, query and fragment and leave the
+// rest (and emails, digits, currency and units) to the voice
+function shortenUrls(t) {
+  return t.replace(/\b(?:https?:\/\/|www\.)[^\s<>()]+/gi, (url) => (
+    url.replace(/^https?:\/\//i, "").replace(/^www\./i, "").replace(/[.,;:!?]+$/, "").split(/[?#]/)[0].replace(/\/+$/, "")
+  ));
+}
+
+function speakDates(t, L, en) {
+  return t.replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (m, y, mo, d) => {
+    const month = L.months?.[Number(mo) - 1];
+    if (!month || Number(d) < 1 || Number(d) > 31) return m;
+    if (en) return `${month} ${ordinalEn(intToWordsEn(Number(d)))}, ${yearToWordsEn(Number(y))}`;
+    return L.dateOrder(Number(d), month, y);
+  });
+}
+
+function speakTimesEn(t) {
+  return t.replace(/\b(\d{1,2}):(\d{2})\s*([ap])(?:\.\s?m\.|m\b)|\b(\d{1,2}):(\d{2})\b/gi, (m, h1, m1, ap, h2, m2) => {
+    const h = Number(h1 ?? h2);
+    const min = Number(m1 ?? m2);
+    if (h > 23 || min > 59) return m;
+
+    const hour = intToWordsEn(h);
+    const minutes = min === 0 ? (ap ? "" : " o'clock") : ` ${min < 10 ? `oh ${ONES[min]}` : intToWordsEn(min)}`;
+    const suffix = ap ? ` ${ap.toLowerCase() === "a" ? "a m" : "p m"}` : "";
+    return `${hour}${minutes}${suffix}`;
+  });
+}
+
+function speakCurrency(t, L) {
+  return t.replace(/([$€£₹¥])\s?(\d[\d,]*)(?:\.(\d{1,2}))?\b/g, (m, sym, whole, frac) => {
+    const c = L.currency[sym];
+    if (!c) return m;
+
+    const n = Number(whole.replace(/,/g, ""));
+    const cents = frac ? Number(frac.padEnd(2, "0")) : 0;
+    const main = `${n} ${n === 1 ? c.one : c.many}`;
+    if (!cents || !c.subOne) return main;
+    return `${main} ${c.join || L.and} ${cents} ${cents === 1 ? c.subOne : c.subMany}`;
+  });
+}
+
+function speakUnits(t, L) {
+  const keys = Object.keys(L.units).sort((a, b) => b.length - a.length);
+  const escaped = keys.map((k) => k.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"));
+  const re = new RegExp(`(\\d+(?:[.,]\\d+)?)\\s?(${escaped.join("|")})(?![\\w/])`, "g");
+
+  t = t.replace(re, (_m, num, unit) => {
+    const [one, many] = L.units[unit];
+    return `${num} ${Number(num) === 1 ? one : many}`;
+  });
+  return t.replace(/(\d)\s?%/g, `$1 ${L.percent}`);
+}
+
+function digitsToWordsEn(str) {
+  return str.split("").map((d) => ONES[Number(d)]).join(" ");
+}
+
+// Identifiers are read digit by digit; only what is left is a signed number or a decimal
+function speakNumbersEn(t) {
+  return t
+    .replace(/\b(\d+)(st|nd|rd|th)\b/gi, (_m, n) => ordinalEn(intToWordsEn(Number(n))))
+    // phone numbers, versions, IP addresses; a single dash is a range unless it joins 7+ digits
+    .replace(/\b\d+(?:[-.]\d+){2,}\b|\b\d+-\d+\b/g, (m) => {
+      const groups = m.split(/[-.]/);
+      if (groups.length === 2 && groups.join("").length < 7) return m;
+      return groups.map(digitsToWordsEn).join(m.includes(".") ? " dot " : ", ");
+    })
+    .replace(/\b(\d+)[-–](\d+)\b/g, "$1 to $2")   // ranges
+    .replace(/\b(\d+):(\d+)\b/g, "$1 to $2")      // ratios (clock times are already words)
+    .replace(/(^|[\s(])[-−](?=\d)/g, "$1minus ")
+    .replace(/\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b|\b\d+(?:\.\d+)?\b/g, (m) => (
+      /^\d{7,}$/.test(m) ? digitsToWordsEn(m) : decimalToWordsEn(m.replace(/,/g, ""))
+    ));
+}
+
+export function normalizeForSpeech(text, languageCode) {
+  const L = langTable(languageCode);
+  let t = stripMarkdown(String(text ?? ""));
+  if (!L) return tidy(shortenUrls(t));
+
+  const en = Boolean(L.numberWords);
+  t = speakEmailsAndUrls(t, L);
+  t = speakDates(t, L, en);
+  if (en) t = speakTimesEn(t);
+  t = speakCurrency(t, L);
+  t = speakUnits(t, L);
+  if (en) t = speakNumbersEn(t);
+
+  return tidy(t.replace(/\s&\s/g, ` ${L.and} `));
+}
+
+function tidy(t) {
+  return t
+    .replace(/\s+([,.!?;:])/g, "$1")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+}
@@ -0,0 +1,167 @@
+// Plays a LINEAR16 / MULAW response through Web Audio while it downloads.
+// <audio> can't start a WAV before it has the whole file and MediaSource has
+// no PCM types, so the samples are decoded and scheduled here as they arrive.
+
+// Streamed Chirp audio has no header (server/src/tts/providers/google.js)
+const HEADERLESS_SAMPLE_RATE = 24000;
+// scheduling ahead of currentTime avoids a click on the first buffer
+const START_LEAD_S = 0.05;
+
+let sharedCtx = null;
+function audioContext() {
+  if (!sharedCtx) sharedCtx = new (window.AudioContext || window.webkitAudioContext)();
+  return sharedCtx;
+}
+
+export function isPcmEncoding(encoding) {
+  return encoding === "LINEAR16" || encoding === "MULAW";
+}
+
+// G.711 μ-law byte -> float sample
+const MULAW = new Float32Array(256).map((_, i) => {
+  const u = ~i & 0xff;
+  const exp = (u >> 4) & 0x07;
+  const s = ((((u & 0x0f) << 3) + 0x84) << exp) - 0x84;
+  return (u & 0x80 ? -s : s) / 32768;
+});
+
+// RIFF/WAVE header -> { format: "LINEAR16" | "MULAW", sampleRate, dataOffset } | null (need more bytes)
+function parseWavHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (at) => String.fromCharCode(...bytes.subarray(at, at + 4));
+  let format = null;
+  let sampleRate = null;
+  for (let at = 12; at + 8 <= bytes.length;) {
+    const size = view.getUint32(at + 4, true);
+    if (tag(at) === "fmt " && at + 16 <= bytes.length) {
+      format = view.getUint16(at + 8, true) === 7 ? "MULAW" : "LINEAR16";
+      sampleRate = view.getUint32(at + 12, true);
+    }
+    if (tag(at) === "data") return { format: format || "LINEAR16", sampleRate: sampleRate || HEADERLESS_SAMPLE_RATE, dataOffset: at + 8 };
+    at += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+function concat(a, b) {
+  if (!a.length) return b;
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
+
+// -> { append(bytes), end(), play(), stop(), currentTime, duration, finished }
+// play() resolves once the first samples are scheduled; finished resolves "ended" or "pause" (stop()).
+export function createPcmStreamPlayer(encoding) {
+  let pending = new Uint8Array(0); // header / odd trailing byte not decoded yet
+  let format = null; // { format, sampleRate }
+  const decoded = []; // Float32Array chunks waiting for play()
+  const sources = new Set();
+  let ctx = null;
+  let startedAt = null; // ctx time of the first sample
+  let nextAt = 0;
+  let totalSamples = 0;
+  let ended = false;
+  let stopped = false;
+
+  let finish;
+  const finished = new Promise((r) => { finish = r; });
+  let firstScheduled;
+  const firstScheduledPromise = new Promise((r) => { firstScheduled = r; });
+
+  const maybeFinish = () => {
+    if (ended && !sources.size && !decoded.length && startedAt != null) finish("ended");
+  };
+
+  const schedule = (samples) => {
+    const buf = ctx.createBuffer(1, samples.length, format.sampleRate);
+    buf.copyToChannel(samples, 0);
+    const src = ctx.createBufferSource();
+    src.buffer = buf;
+    src.connect(ctx.destination);
+    // late chunk (network slower than playback): resume now, leaving a gap
+    const at = Math.max(nextAt, ctx.currentTime + START_LEAD_S);
+    if (startedAt == null) startedAt = at;
+    src.start(at);
+    nextAt = at + buf.duration;
+    sources.add(src);
+    src.onended = () => {
+      sources.delete(src);
+      maybeFinish();
+    };
+    firstScheduled();
+  };
+
+  const decode = () => {
+    if (!format) {
+      if (pending.length < 4) return;
+      if (String.fromCharCode(...pending.subarray(0, 4)) === "RIFF") {
+        const h = parseWavHeader(pending);
+        if (!h) return;
+        format = h;
+        pending = pending.subarray(h.dataOffset);
+      } else {
+        format = { format: encoding, sampleRate: HEADERLESS_SAMPLE_RATE };
+      }
+    }
+
+    let samples;
+    if (format.format === "MULAW") {
+      samples = Float32Array.from(pending, (b) => MULAW[b]);
+      pending = new Uint8Array(0);
+    } else {
+      const n = pending.length >> 1;
+      const view = new DataView(pending.buffer, pending.byteOffset, n * 2);
+      samples = new Float32Array(n);
+      for (let i = 0; i < n; i++) samples[i] = view.getInt16(i * 2, true) / 32768;
+      pending = pending.subarray(n * 2);
+    }
+    if (!samples.length) return;
+
+    totalSamples += samples.length;
+    if (ctx) schedule(samples);
+    else decoded.push(samples);
+  };
+
+  return {
+    finished,
+    append(bytes) {
+      if (stopped) return;
+      pending = concat(pending, bytes);
+      decode();
+    },
+    end() {
+      ended = true;
+      if (!totalSamples) firstScheduled(); // nothing to play
+      if (ctx && startedAt == null) finish("ended");
+      maybeFinish();
+    },
+    async play() {
+      ctx = audioContext();
+      if (ctx.state === "suspended") await ctx.resume();
+      while (decoded.length) schedule(decoded.shift());
+      if (ended && startedAt == null) finish("ended");
+      await firstScheduledPromise;
+    },
+    stop() {
+      if (stopped) return;
+      stopped = true;
+      for (const src of sources) {
+        src.onended = null;
+        try { src.stop(); } catch {}
+      }
+      sources.clear();
+      decoded.length = 0;
+      firstScheduled();
+      finish("pause");
+    },
+    // same meaning as on <audio>: seconds into this item, NaN until the length is known
+    get currentTime() {
+      return ctx && startedAt != null ? Math.max(0, ctx.currentTime - startedAt) : 0;
+    },
+    get duration() {
+      return ended && format ? totalSamples / format.sampleRate : NaN;
+    },
+  };
+}
@@ -0,0 +1,34 @@
+import { jsonOrThrow } from "../lib/utils";
+import { apiFetch } from "../lib/api";
+
+// Server-side prompt template library (/api/prompts).
+
+export async function listPrompts() {
+  const res = await apiFetch("/api/prompts", { cache: "no-store" });
+  return (await jsonOrThrow(res, "List prompts")).prompts || [];
+}
+
+// Template with all versions
+export async function getPrompt(id) {
+  const res = await apiFetch(`/api/prompts/${encodeURIComponent(id)}`, { cache: "no-store" });
+  return jsonOrThrow(res, "Load prompt");
+}
+
+export async function createPrompt({ name, body, note }) {
+  const res = await apiFetch("/api/prompts", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ name, body, note }),
+  });
+  return jsonOrThrow(res, "Save prompt");
+}
+
+// A changed body becomes the next version
+export async function updatePrompt(id, { body, note }) {
+  const res = await apiFetch(`/api/prompts/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ body, note }),
+  });
+  return jsonOrThrow(res, "Save prompt version");
+}
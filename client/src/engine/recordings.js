@@ -0,0 +1,15 @@
+import { jsonOrThrow } from "../lib/utils";
+import { apiFetch } from "../lib/api";
+
+// Recorded audio of a session (/api/sessions/:id/recordings). null = nothing was recorded.
+export async function getRecordings(sessionId) {
+  const res = await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}/recordings`, { cache: "no-store" });
+  if (res.status === 404) return null;
+  return jsonOrThrow(res, "Load recordings");
+}
+
+// Media fragment: the browser plays only that stretch of the file (times in seconds)
+export function clipUrl(url, start, end) {
+  if (start == null) return url;
+  return `${url}#t=${Math.max(0, start).toFixed(2)}${end != null ? `,${end.toFixed(2)}` : ""}`;
+}
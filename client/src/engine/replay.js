@@ -0,0 +1,59 @@
+// Replay mode: a recorded file stands in for the microphone. The audio goes
+// through the same PCM16 path (barge-in gate, STT proxy) and turn boundaries
+// still come from the STT provider, so one spoken script can be run against
+// different models and voices.
+
+const SAMPLE_RATE = 16000;
+const SLICE = SAMPLE_RATE / 50; // 20 ms, like the mic worklet's frames
+const PROGRESS_EVERY_MS = 250;
+
+// Any file the browser can decode (WAV, MP3, ...) -> mono PCM16 @ 16 kHz
+export async function decodeToPcm16(arrayBuffer) {
+  // decodeAudioData resamples to the context's rate
+  const ctx = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+  const decoded = await ctx.decodeAudioData(arrayBuffer);
+
+  const channels = Array.from({ length: decoded.numberOfChannels }, (_, c) => decoded.getChannelData(c));
+  const pcm = new Int16Array(decoded.length);
+  for (let i = 0; i < pcm.length; i++) {
+    let v = 0;
+    for (const ch of channels) v += ch[i];
+    v = Math.max(-1, Math.min(1, v / channels.length));
+    pcm[i] = v < 0 ? v * 0x8000 : v * 0x7fff;
+  }
+  return { pcm, durationS: pcm.length / SAMPLE_RATE };
+}
+
+// Feeds `pcm` to onPcm(Int16Array) at `speed` x real time. After the file the
+// "room" goes quiet (silence keeps flowing) so the provider endpoints the last
+// utterance and the reply can play out. Returns stop().
+// onProgress({ sentS, durationS, done }) is throttled.
+export function startReplay(pcm, { speed = 1, onPcm, onProgress }) {
+  const silence = new Int16Array(SLICE);
+  const durationS = pcm.length / SAMPLE_RATE;
+  const t0 = performance.now();
+  let sent = 0;
+  let lastProgressAt = 0;
+  let reportedDone = false;
+
+  // Catch up from the clock instead of counting ticks: timers drift and are throttled in background tabs
+  const timer = setInterval(() => {
+    const now = performance.now();
+    const due = Math.floor(((now - t0) / 1000) * SAMPLE_RATE * speed);
+
+    while (sent + SLICE <= due) {
+      onPcm(sent < pcm.length ? pcm.subarray(sent, Math.min(sent + SLICE, pcm.length)) : silence);
+      sent += SLICE;
+    }
+
+    const done = sent >= pcm.length;
+    if (done && reportedDone) return;
+    if (done || now - lastProgressAt >= PROGRESS_EVERY_MS) {
+      lastProgressAt = now;
+      reportedDone = done;
+      onProgress?.({ sentS: Math.min(sent, pcm.length) / SAMPLE_RATE, durationS, done });
+    }
+  }, 20);
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,50 @@
+import { jsonOrThrow } from "../lib/utils";
+import { apiFetch } from "../lib/api";
+
+// Server-side conversation sessions (/api/sessions).
+// Writes are best-effort: a failed save must never break a running conversation.
+
+export async function createSession(config) {
+  const res = await apiFetch("/api/sessions", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ config }),
+  });
+  return jsonOrThrow(res, "Create session");
+}
+
+export async function listSessions() {
+  const res = await apiFetch("/api/sessions", { cache: "no-store" });
+  return (await jsonOrThrow(res, "List sessions")).sessions || [];
+}
+
+export async function getSession(id) {
+  const res = await apiFetch(`/api/sessions/${encodeURIComponent(id)}`, { cache: "no-store" });
+  return jsonOrThrow(res, "Load session");
+}
+
+export async function deleteSession(id) {
+  const res = await apiFetch(`/api/sessions/${encodeURIComponent(id)}`, { method: "DELETE" });
+  return jsonOrThrow(res, "Delete session");
+}
+
+export function patchSession(id, fields) {
+  return apiFetch(`/api/sessions/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(fields),
+  })
+    .then((res) => jsonOrThrow(res, "Update session"))
+    .catch((e) => console.warn(e));
+}
+
+// Insert or merge one message; the server merges `metrics` key by key
+export function saveSessionMessage(id, { id: messageId, ...fields }) {
+  return apiFetch(`/api/sessions/${encodeURIComponent(id)}/messages/${encodeURIComponent(messageId)}`, {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(fields),
+  })
+    .then((res) => jsonOrThrow(res, "Save message"))
+    .catch((e) => console.warn(e));
+}
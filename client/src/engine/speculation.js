@@ -0,0 +1,35 @@
+import { estimateTokens } from "./context";
+
+// Speculative LLM turns: the request starts on a stable interim / is_final transcript
+// and is only used if the final transcript says the same thing.
+
+// Punctuation and casing differ between interim and final results; the words matter.
+export function normalizeTranscript(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function sameTranscript(a, b) {
+  return normalizeTranscript(a) === normalizeTranscript(b);
+}
+
+// Tokens a discarded speculation cost: its whole prompt + what it generated before we cancelled it
+export function wastedTokens(spec) {
+  const generated = spec.stream.events
+    .filter((e) => e.event === "delta")
+    .map((e) => String(e.data?.text || ""))
+    .join("");
+  return (spec.context.stats.estTokens ?? 0) + estimateTokens(generated);
+}
+
+// How much earlier the first token came because the request was already running:
+// the head start, but never more than the model needed for its first token.
+export function speculationSavedMs(spec, adoptedAt) {
+  const headStartMs = adoptedAt - spec.startedAt;
+  const first = spec.stream.events.find((e) => e.event === "delta");
+  const ttftMs = first ? first.at - spec.startedAt : headStartMs;
+  return Math.round(Math.max(0, Math.min(headStartMs, ttftMs)));
+}
@@ -37,3 +37,30 @@ export async function readSSE(response, onEvent) {
     }
   }
 }
+
+// Reads an SSE response in the background and keeps every event (with its arrival
+// time), so a consumer can attach later and still see the whole stream.
+// responsePromise must resolve to an ok Response.
+export function bufferSSE(responsePromise) {
+  const events = [];
+  let listener = null;
+
+  const done = (async () => {
+    const res = await responsePromise;
+    await readSSE(res, (event, data) => {
+      events.push({ event, data, at: performance.now() });
+      listener?.(event, data);
+    });
+  })();
+  done.catch(() => {}); // reported to whoever consumes the stream
+
+  return {
+    events,
+    // replays what arrived so far, then forwards live events; resolves when the stream ends
+    consume(onEvent) {
+      for (const e of events) onEvent(e.event, e.data);
+      listener = onEvent;
+      return done;
+    },
+  };
+}
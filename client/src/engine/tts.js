@@ -1,3 +1,6 @@
+import { apiFetch } from "../lib/api";
+import { createPcmStreamPlayer, isPcmEncoding } from "./pcmPlayer";
+
 function decodeWarningsHeader(h) {
   try {
     const v = h?.get("x-tts-warnings");
@@ -9,6 +12,18 @@ function decodeWarningsHeader(h) {
   }
 }
 
+// X-TTS-Timepoints: encodeURIComponent(JSON [[wordIndex, ms], ...])
+function decodeTimepointsHeader(h) {
+  try {
+    const v = h?.get("x-tts-timepoints");
+    if (!v) return null;
+    const tp = JSON.parse(decodeURIComponent(v));
+    return Array.isArray(tp) ? tp : null;
+  } catch {
+    return null;
+  }
+}
+
 export function createTtsAggregator(encoding) {
   return {
     encoding,
@@ -17,6 +32,10 @@ export function createTtsAggregator(encoding) {
     // first chunk (time-to-first-audio)
     firstServerMs: null,
     firstDownloadMs: null,
+    // streaming transport only: first audio byte (client) / provider TTFB (server)
+    firstByteMs: null,
+    firstServerTtfbMs: null,
+    streamedChunks: 0,
 
     // totals across all chunks
     totalServerMs: 0,
@@ -24,17 +43,18 @@ export function createTtsAggregator(encoding) {
     totalChars: 0,
     totalCostUsd: 0,
 
+    // server audio cache (X-TTS-Cache)
+    cacheHits: 0,
+    cacheMisses: 0,
+    savedUsd: 0,
+
     warnings: new Set(),
   };
 }
 
-export async function synthesizeChunkBinary({ text, cfg, abortSet, ttsAgg }) {
-  const controller = new AbortController();
-  abortSet.add(controller);
-
-  const t0 = performance.now();
-
-  const payload = {
+// record = { sessionId, turnId, seq }: the server keeps the audio in the session's recordings
+function buildPayload(text, cfg, record) {
+  return {
     inputType: cfg.inputType,
     text,
     voiceName: cfg.voiceName,
@@ -42,9 +62,39 @@ export async function synthesizeChunkBinary({ text, cfg, abortSet, ttsAgg }) {
     audioEncoding: cfg.audioEncoding,
     volumeGainDb: Number(cfg.volumeGainDb),
     ...(cfg.isChirp ? {} : { speakingRate: Number(cfg.speakingRate), pitch: Number(cfg.pitch) }),
+    // the streaming route has no timepoints; captions fall back to estimated timing there
+    timepoints: Boolean(cfg.captions) && cfg.ttsTransport !== "stream",
+    ...(record ? { record } : {}),
   };
+}
+
+function aggregate(ttsAgg, { downloadMs, serverTtsMs, charCount, estCostUsd, cache, savedUsd, warnings }) {
+  ttsAgg.chunkCount += 1;
+  if (ttsAgg.firstServerMs == null) ttsAgg.firstServerMs = serverTtsMs;
+  if (ttsAgg.firstDownloadMs == null) ttsAgg.firstDownloadMs = downloadMs;
 
-  const res = await fetch("/api/synthesize", {
+  if (serverTtsMs != null) ttsAgg.totalServerMs += serverTtsMs;
+  ttsAgg.totalDownloadMs += downloadMs;
+
+  if (charCount != null) ttsAgg.totalChars += charCount;
+  if (estCostUsd != null) ttsAgg.totalCostUsd += estCostUsd;
+
+  if (cache === "hit") ttsAgg.cacheHits += 1;
+  if (cache === "miss") ttsAgg.cacheMisses += 1;
+  if (savedUsd != null) ttsAgg.savedUsd += savedUsd;
+
+  for (const w of warnings) ttsAgg.warnings.add(w);
+}
+
+export async function synthesizeChunkBinary({ text, cfg, abortSet, ttsAgg, record }) {
+  const controller = new AbortController();
+  abortSet.add(controller);
+
+  const t0 = performance.now();
+
+  const payload = buildPayload(text, cfg, record);
+
+  const res = await apiFetch("/api/synthesize", {
     method: "POST",
     headers: { "content-type": "application/json" },
     body: JSON.stringify(payload),
@@ -68,20 +118,13 @@ export async function synthesizeChunkBinary({ text, cfg, abortSet, ttsAgg }) {
   const charCount = Number(res.headers.get("x-tts-char-count")) || null;
   const estCostUsd = Number(res.headers.get("x-tts-est-cost-usd")) || null;
   const encoding = res.headers.get("x-tts-encoding") || cfg.audioEncoding;
+  const cache = res.headers.get("x-tts-cache") || null;
+  const savedUsd = Number(res.headers.get("x-tts-saved-usd")) || null;
   const warnings = decodeWarningsHeader(res.headers);
+  const timepoints = decodeTimepointsHeader(res.headers);
 
   // ---- aggregate ----
-  ttsAgg.chunkCount += 1;
-  if (ttsAgg.firstServerMs == null) ttsAgg.firstServerMs = serverTtsMs;
-  if (ttsAgg.firstDownloadMs == null) ttsAgg.firstDownloadMs = downloadMs;
-
-  if (serverTtsMs != null) ttsAgg.totalServerMs += serverTtsMs;
-  ttsAgg.totalDownloadMs += downloadMs;
-
-  if (charCount != null) ttsAgg.totalChars += charCount;
-  if (estCostUsd != null) ttsAgg.totalCostUsd += estCostUsd;
-
-  for (const w of warnings) ttsAgg.warnings.add(w);
+  aggregate(ttsAgg, { downloadMs, serverTtsMs, charCount, estCostUsd, cache, savedUsd, warnings });
 
   // ---- binary blob ----
   const blob = new Blob([ab], { type: ct });
@@ -90,6 +133,7 @@ export async function synthesizeChunkBinary({ text, cfg, abortSet, ttsAgg }) {
   return {
     url,
     mime: ct,
+    timepoints,
     metrics: {
       // per chunk metrics (useful debugging)
       downloadMs,
@@ -97,7 +141,144 @@ export async function synthesizeChunkBinary({ text, cfg, abortSet, ttsAgg }) {
       charCount,
       estCostUsd,
       encoding,
+      cache,
+      savedUsd,
       warnings,
     },
   };
 }
+
+// MediaSource-backed object URL that can start playing before the download
+// finishes. Chunks appended before the <audio> element attaches are queued.
+function createProgressiveSource(mime) {
+  const ms = new MediaSource();
+  const url = URL.createObjectURL(ms);
+  const pending = [];
+  let sb = null;
+  let ended = false;
+
+  const pump = () => {
+    if (!sb || sb.updating) return;
+    if (pending.length) {
+      try { sb.appendBuffer(pending.shift()); } catch {}
+      return;
+    }
+    if (ended && ms.readyState === "open") {
+      try { ms.endOfStream(); } catch {}
+    }
+  };
+
+  ms.addEventListener("sourceopen", () => {
+    try {
+      sb = ms.addSourceBuffer(mime);
+      sb.addEventListener("updateend", pump);
+      pump();
+    } catch {}
+  }, { once: true });
+
+  return {
+    url,
+    append(bytes) { pending.push(bytes); pump(); },
+    end() { ended = true; pump(); },
+  };
+}
+
+function canPlayProgressively(mime) {
+  return typeof MediaSource !== "undefined" && MediaSource.isTypeSupported?.(mime);
+}
+
+// Same contract as synthesizeChunkBinary, but uses /api/synthesize/stream.
+// Returns as soon as audio starts arriving when it can be played progressively
+// (LINEAR16 / MULAW through Web Audio as `player`, MP3 via MediaSource);
+// otherwise after the download. `done` resolves once the whole chunk is
+// downloaded and aggregated.
+export async function synthesizeChunkStream({ text, cfg, abortSet, ttsAgg, record }) {
+  const controller = new AbortController();
+  abortSet.add(controller);
+
+  const t0 = performance.now();
+
+  const res = await apiFetch("/api/synthesize/stream", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(buildPayload(text, cfg, record)),
+    signal: controller.signal,
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    abortSet.delete(controller);
+    throw new Error(err?.details || err?.error || "TTS failed");
+  }
+
+  const ct = res.headers.get("content-type") || "audio/ogg";
+  const serverTtfbMs = Number(res.headers.get("x-tts-ttfb-ms")) || null;
+  const charCount = Number(res.headers.get("x-tts-char-count")) || null;
+  const estCostUsd = Number(res.headers.get("x-tts-est-cost-usd")) || null;
+  const encoding = res.headers.get("x-tts-encoding") || cfg.audioEncoding;
+  const streaming = res.headers.get("x-tts-streaming") || null;
+  const cache = res.headers.get("x-tts-cache") || null;
+  const savedUsd = Number(res.headers.get("x-tts-saved-usd")) || null;
+  const warnings = decodeWarningsHeader(res.headers);
+
+  const player = isPcmEncoding(encoding) ? createPcmStreamPlayer(encoding) : null;
+  const progressive = player || (canPlayProgressively(ct) ? createProgressiveSource(ct) : null);
+  const metrics = {
+    downloadMs: null,
+    firstByteMs: null,
+    serverTtfbMs,
+    serverTtsMs: null,
+    charCount,
+    estCostUsd,
+    encoding,
+    streaming,
+    cache,
+    savedUsd,
+    progressive: Boolean(progressive),
+    warnings,
+  };
+
+  let firstByte;
+  const firstBytePromise = new Promise((r) => { firstByte = r; });
+
+  const done = (async () => {
+    const reader = res.body.getReader();
+    const parts = [];
+    try {
+      while (true) {
+        const { value, done: finished } = await reader.read();
+        if (finished) break;
+        if (metrics.firstByteMs == null) {
+          metrics.firstByteMs = Math.round(performance.now() - t0);
+          firstByte();
+        }
+        if (progressive) progressive.append(value);
+        else parts.push(value);
+      }
+    } finally {
+      abortSet.delete(controller);
+      firstByte();
+      // a broken download still plays what arrived
+      progressive?.end();
+    }
+
+    metrics.downloadMs = Math.round(performance.now() - t0);
+
+    // no server TTS time for this transport (the body is the synthesis); firstServerTtfbMs stands in
+    aggregate(ttsAgg, metrics);
+    ttsAgg.streamedChunks += 1;
+    if (ttsAgg.firstByteMs == null) ttsAgg.firstByteMs = metrics.firstByteMs;
+    if (ttsAgg.firstServerTtfbMs == null) ttsAgg.firstServerTtfbMs = serverTtfbMs;
+
+    return parts;
+  })();
+
+  if (progressive) {
+    await firstBytePromise;
+    return { url: player ? null : progressive.url, player, mime: ct, timepoints: null, metrics, done: done.then(() => undefined) };
+  }
+
+  const parts = await done;
+  const url = URL.createObjectURL(new Blob(parts, { type: ct }));
+  return { url, mime: ct, timepoints: null, metrics, done: Promise.resolve() };
+}
@@ -1,18 +1,46 @@
-import { useCallback, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   BARGE_IN_PROFILES,
   clampText,
-  formatUsd,
   isAbortError,
   nowPerfMs,
   rms16,
   wsUrl,
 } from "../lib/utils";
+import { apiFetch, explainWsRejection, withToken } from "../lib/api";
 
-import { readSSE } from "../engine/sse";
+import { bufferSSE, readSSE } from "../engine/sse";
 import { extractSpeakChunk } from "../engine/chunker";
+import { normalizeForSpeech } from "../engine/normalize";
 import { createOrderedAudioQueue } from "../engine/audioQueue";
-import { createTtsAggregator, synthesizeChunkBinary } from "../engine/tts";
+import { createTtsAggregator, synthesizeChunkBinary, synthesizeChunkStream } from "../engine/tts";
+import { createSession, patchSession, saveSessionMessage } from "../engine/sessions";
+import { buildContext, summarizeTurns } from "../engine/context";
+import { sameTranscript, speculationSavedMs, wastedTokens } from "../engine/speculation";
+import { startReplay } from "../engine/replay";
+import { buildSummaryRows as summaryRows } from "../lib/summary";
+
+function countWords(text) {
+  return String(text || "").split(/\s+/).filter(Boolean).length;
+}
+
+// Rolling summary of turns that no longer fit the prompt budget
+function emptyMemory() {
+  return {
+    summary: "",
+    coveredUntilId: null, // last message folded into the summary
+    summarizedMessages: 0,
+    updatedAtMs: null,
+    calls: 0,
+    estCostUsd: 0,
+    error: null,
+  };
+}
+
+// Speculative request for the utterance in progress + what earlier guesses for it cost
+function emptySpeculation() {
+  return { spec: null, misses: 0, wastedTokens: 0 };
+}
 
 export function useConversationEngine() {
   // Audio output element (mounted in App.jsx)
@@ -21,6 +49,7 @@ export function useConversationEngine() {
   // Abort controllers
   const llmStreamAbortRef = useRef(null);
   const ttsAbortSetRef = useRef(new Set());
+  const speculationRef = useRef(emptySpeculation());
 
   // Mic/STT
   const wsRef = useRef(null);
@@ -29,6 +58,7 @@ export function useConversationEngine() {
   const workletRef = useRef(null);
   const sourceRef = useRef(null);
   const muteGainRef = useRef(null);
+  const replayStopRef = useRef(null);
 
   // STT utterance timing
   const utterRef = useRef({
@@ -36,6 +66,8 @@ export function useConversationEngine() {
     startedAt: null,
     firstResultAt: null,
     textFinalParts: [],
+    finalSegments: [], // { words, confidence, detected_language } per is_final result
+    finalLatencies: [], // { speechEndS, ms, speechFinal } per stt_latency from the proxy
   });
 
   // Barge-in gate
@@ -64,26 +96,54 @@ export function useConversationEngine() {
 
   // UI state
   const [isRunning, setIsRunning] = useState(false);
+  const [replay, setReplay] = useState(null); // { sentS, durationS, done } while replaying a file
   const [error, setError] = useState("");
 
   const [stats, setStats] = useState({
     audio_seconds: 0,
     est_cost_usd: 0,
     price_per_min_usd: 0.0052,
-    dg_request_id: null,
-    dg_ttfb_ms: null,
+    request_id: null,
+    stt_ttfb_ms: null,
     overall_ttfb_ms: null,
   });
 
+  // Session STT cost already attributed to earlier user turns
+  const sttCostRef = useRef({ totalUsd: 0, attributedUsd: 0 });
+
+  // Server-side session (/api/sessions): { id, createdAt } | null when it could not be created
+  const [session, setSession] = useState(null);
+  const sessionRef = useRef(null);
+  // latest stats for saving into the session outside of React renders
+  const statsRef = useRef(null);
+
   const [messages, setMessages] = useState([]);
   const last4 = useMemo(() => messages.slice(-4), [messages]);
 
+  // turns run from WS callbacks created at start(): read history from a ref, not a stale closure
+  const messagesRef = useRef([]);
+  useEffect(() => { messagesRef.current = messages; }, [messages]);
+
+  const [memory, setMemory] = useState(emptyMemory);
+  const memoryRef = useRef(emptyMemory());
+  const summarizingRef = useRef(false);
+
+  // Word currently coming out of the speaker: { seq, words, index, estimated } | null
+  const [caption, setCaption] = useState(null);
+
   const runningCfgRef = useRef(null);
 
+  // Assistant turn being spoken: { msgId, spokenText, interrupted, heard }
+  const currentTurnRef = useRef(null);
+
   // Ordered audio queue
   const audioQueueRef = useRef(null);
   if (!audioQueueRef.current) {
-    audioQueueRef.current = createOrderedAudioQueue({ audioOutRef, setError });
+    audioQueueRef.current = createOrderedAudioQueue({
+      audioOutRef,
+      setError,
+      onWord: (w) => setCaption(w && runningCfgRef.current?.captions ? w : null),
+    });
   }
 
   function pushMessage(msg) {
@@ -94,31 +154,60 @@ export function useConversationEngine() {
     setMessages((prev) => prev.map((m) => (m.id === id ? { ...m, ...patch } : m)));
   }
 
+  // Same message (or part of it) into the server-side session
+  function saveMessage(msg) {
+    if (sessionRef.current) saveSessionMessage(sessionRef.current.id, msg);
+  }
+
+  function saveStats(extra = {}) {
+    if (sessionRef.current) patchSession(sessionRef.current.id, { stats: statsRef.current, ...extra });
+  }
+
   function resetRuntimeState() {
     setError("");
     setStats({
       audio_seconds: 0,
       est_cost_usd: 0,
       price_per_min_usd: 0.0052,
-      dg_request_id: null,
-      dg_ttfb_ms: null,
+      request_id: null,
+      stt_ttfb_ms: null,
       overall_ttfb_ms: null,
     });
     setMessages([]);
-
-    utterRef.current = { active: false, startedAt: null, firstResultAt: null, textFinalParts: [] };
+    messagesRef.current = [];
+    memoryRef.current = emptyMemory();
+    setMemory(memoryRef.current);
+    sttCostRef.current = { totalUsd: 0, attributedUsd: 0 };
+    speculationRef.current = emptySpeculation();
+    sessionRef.current = null;
+    statsRef.current = null;
+    setSession(null);
+    setReplay(null);
+
+    utterRef.current = { active: false, startedAt: null, firstResultAt: null, textFinalParts: [], finalSegments: [], finalLatencies: [] };
 
     gateRef.current = { floor: 0, isSpeech: false, onsetFrames: 0, lastSpeechAt: 0 };
     aggRef.current = { buf: new Int16Array(320), off: 0 };
     preRollRef.current = [];
 
     audioQueueRef.current.reset();
+    currentTurnRef.current = null;
 
     pttActiveRef.current = false;
     _setPttActive(false);
   }
 
   function stopAudioOutput() {
+    // record how much of the reply was actually heard before we cut it off
+    const turn = currentTurnRef.current;
+    if (turn && aiSpeakingRef.current && !turn.interrupted) {
+      const heard = audioQueueRef.current.getHeard();
+      turn.interrupted = true;
+      turn.heard = { ...heard, totalWords: countWords(turn.spokenText), interrupted: true };
+      patchMessage(turn.msgId, { heard: turn.heard });
+      saveMessage({ id: turn.msgId, heard: turn.heard });
+    }
+
     // stop audio playback + clear queued urls
     audioQueueRef.current.reset();
     aiSpeakingRef.current = false;
@@ -141,6 +230,9 @@ export function useConversationEngine() {
   function stopEverything() {
     stopAudioOutput();
 
+    try { speculationRef.current.spec?.abort.abort(); } catch {}
+    speculationRef.current = emptySpeculation();
+
     // Close STT WS
     try {
       const ws = wsRef.current;
@@ -151,7 +243,10 @@ export function useConversationEngine() {
     } catch {}
     wsRef.current = null;
 
-    // Stop mic pipeline
+    // Stop mic pipeline (or the file standing in for it)
+    replayStopRef.current?.();
+    replayStopRef.current = null;
+
     try { workletRef.current?.disconnect(); } catch {}
     try { sourceRef.current?.disconnect(); } catch {}
     try { muteGainRef.current?.disconnect(); } catch {}
@@ -166,7 +261,131 @@ export function useConversationEngine() {
     try { audioCtxRef.current?.close(); } catch {}
     audioCtxRef.current = null;
 
-    utterRef.current = { active: false, startedAt: null, firstResultAt: null, textFinalParts: [] };
+    utterRef.current = { active: false, startedAt: null, firstResultAt: null, textFinalParts: [], finalSegments: [], finalLatencies: [] };
+  }
+
+  // Fold turns that fell out of the prompt into the summary, in the background
+  // (never delays a reply). While a call is running, the next turn catches up.
+  async function foldIntoMemory(turns, cfg) {
+    if (!turns.length || summarizingRef.current) return;
+    summarizingRef.current = true;
+
+    const mem = memoryRef.current;
+    try {
+      const out = await summarizeTurns({ provider: cfg.llmProvider, model: cfg.model, summary: mem.summary, turns });
+      if (memoryRef.current !== mem) return; // session was reset meanwhile
+
+      memoryRef.current = {
+        ...mem,
+        summary: out.summary || mem.summary,
+        coveredUntilId: turns[turns.length - 1].id,
+        summarizedMessages: mem.summarizedMessages + turns.length,
+        updatedAtMs: Date.now(),
+        calls: mem.calls + 1,
+        estCostUsd: mem.estCostUsd + (out.estCostUsd ?? 0),
+        error: null,
+      };
+    } catch (e) {
+      console.warn(e);
+      if (memoryRef.current !== mem) return;
+      memoryRef.current = { ...mem, error: String(e?.message || e) };
+    } finally {
+      summarizingRef.current = false;
+    }
+
+    setMemory(memoryRef.current);
+    if (sessionRef.current) patchSession(sessionRef.current.id, { memory: memoryRef.current });
+  }
+
+  // LLM messages: system + summary + as much recent history as the token budget allows + user.
+  // Messages already in the summary are never sent again.
+  function buildTurnContext(cfg, userText, userMsgId) {
+    const all = messagesRef.current;
+    const covered = memoryRef.current.coveredUntilId
+      ? all.findIndex((m) => m.id === memoryRef.current.coveredUntilId) + 1
+      : 0;
+    return buildContext({
+      systemPrompt: cfg.systemPrompt,
+      history: all.slice(covered).filter((m) => m.id !== userMsgId && m.text).map(({ id, role, text }) => ({ id, role, text })),
+      userText: clampText(userText, 5000),
+      summary: memoryRef.current.summary,
+      budgetTokens: cfg.historyBudgetTokens,
+    });
+  }
+
+  // /api/chat/stream (or /api/chat/race) request; sessionTurn = message ids the server saves the turn under
+  async function openChatStream(cfg, llmMessages, { sessionTurn, signal }) {
+    const race = cfg.race?.contenders?.length ? cfg.race : null;
+    const res = await apiFetch(race ? "/api/chat/race" : "/api/chat/stream", {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "accept": "text/event-stream",
+      },
+      cache: "no-store",
+      body: JSON.stringify(race ? {
+        contenders: [{ provider: cfg.llmProvider, model: cfg.model }, ...race.contenders],
+        messages: llmMessages,
+        ...cfg.llmParams,
+        // losers keep streaming so their tokens/s and total time are comparable
+        cancelLosers: false,
+      } : {
+        provider: cfg.llmProvider,
+        model: cfg.model,
+        messages: llmMessages,
+        ...cfg.llmParams,
+        ...(cfg.tools?.length ? { tools: cfg.tools } : {}),
+        ...(cfg.fallbacks?.length ? { fallbacks: cfg.fallbacks } : {}),
+        // the server appends this turn to the session itself (same message ids as ours)
+        ...(sessionTurn ? { sessionId: sessionTurn.sessionId, turn: sessionTurn.turn } : {}),
+      }),
+      signal,
+    });
+
+    if (!res.ok) {
+      const err = await res.text().catch(() => "");
+      throw new Error(`LLM stream failed (${res.status}): ${err}`);
+    }
+    return res;
+  }
+
+  // Speculative mode: start the reply on a transcript that is unlikely to change.
+  // A newer guess replaces the running one (and counts as a miss).
+  function speculate(text) {
+    const cfg = runningCfgRef.current;
+    if (!cfg?.speculative || cfg.race?.contenders?.length) return;
+
+    const s = speculationRef.current;
+    if (s.spec && sameTranscript(s.spec.text, text)) return;
+    discardSpeculation();
+
+    const context = buildTurnContext(cfg, text, null);
+    const abort = new AbortController();
+    s.spec = {
+      text,
+      context,
+      abort,
+      startedAt: performance.now(),
+      // no session ids: a discarded guess must not end up in the saved session
+      stream: bufferSSE(openChatStream(cfg, context.messages, { sessionTurn: null, signal: abort.signal })),
+    };
+  }
+
+  function discardSpeculation() {
+    const s = speculationRef.current;
+    if (!s.spec) return;
+    try { s.spec.abort.abort(); } catch {}
+    s.misses += 1;
+    s.wastedTokens += wastedTokens(s.spec);
+    s.spec = null;
+  }
+
+  // At speech_final: { spec (running request if it guessed the final text, else null), misses, wastedTokens }
+  function takeSpeculation(finalText) {
+    const s = speculationRef.current;
+    if (s.spec && !sameTranscript(s.spec.text, finalText)) discardSpeculation();
+    speculationRef.current = emptySpeculation();
+    return s;
   }
 
   function startNewUtteranceIfNeeded() {
@@ -175,30 +394,72 @@ export function useConversationEngine() {
     utterRef.current.startedAt = performance.now();
     utterRef.current.firstResultAt = null;
     utterRef.current.textFinalParts = [];
+    utterRef.current.finalSegments = [];
+    utterRef.current.finalLatencies = [];
   }
 
   function endUtterance() {
     utterRef.current.active = false;
   }
 
-  async function connectWs({ sttModel, sttLanguage }) {
-    const ws = new WebSocket(wsUrl(`/ws?model=${encodeURIComponent(sttModel)}&language=${encodeURIComponent(sttLanguage)}`));
+  async function connectWs({ sttProvider, sttModel, sttLanguage, sttOptions, recordSessionId }) {
+    const q = new URLSearchParams({
+      provider: sttProvider || "deepgram",
+      ...(recordSessionId ? { record: "1", sessionId: recordSessionId } : {}),
+      model: sttModel,
+      language: sttLanguage,
+      ...sttOptions,
+    });
+    const ws = new WebSocket(wsUrl(withToken(`/ws?${q}`)));
     wsRef.current = ws;
+    let proxyError = null; // last proxy_error, shown again if the proxy then closes the socket
 
     ws.onmessage = async (ev) => {
       let msg;
       try { msg = JSON.parse(ev.data); } catch { return; }
 
       if (msg.type === "stats") {
+        if (msg.est_cost_usd != null) sttCostRef.current.totalUsd = Number(msg.est_cost_usd) || 0;
+        if (msg.recording_error && !statsRef.current?.recording_error) setError(`Mic recording stopped: ${msg.recording_error}`);
+        statsRef.current = { ...statsRef.current, ...msg };
         setStats((prev) => ({ ...prev, ...msg }));
         return;
       }
-      if (msg.type === "dg_open") {
-        setStats((prev) => ({ ...prev, dg_request_id: msg.dg_request_id || prev.dg_request_id }));
+      if (msg.type === "stt_open") {
+        // options = what the server actually used (defaults filled in); saved with the session stats
+        statsRef.current = { ...statsRef.current, request_id: msg.request_id || null, stt_options: msg.options || null };
+        setStats((prev) => ({ ...prev, request_id: msg.request_id || prev.request_id, stt_options: msg.options || null }));
+        return;
+      }
+      // Upstream STT dropped; the proxy reconnects and replays the mic audio it buffered meanwhile
+      if (msg.type === "reconnecting") {
+        setStats((prev) => ({ ...prev, stt_reconnecting: { attempt: msg.attempt, max_attempts: msg.max_attempts, reason: msg.reason } }));
+        return;
+      }
+      if (msg.type === "reconnected") {
+        const outage = {
+          at: new Date().toISOString(),
+          outage_ms: msg.outage_ms,
+          attempts: msg.attempts,
+          replayed_ms: msg.replayed_ms,
+          dropped_ms: msg.dropped_ms,
+          reason: msg.reason,
+        };
+        const outages = [...(statsRef.current?.stt_outages || []), outage];
+        statsRef.current = { ...statsRef.current, request_id: msg.request_id || null, stt_outages: outages };
+        setStats((prev) => ({ ...prev, request_id: msg.request_id || prev.request_id, stt_reconnecting: null, stt_outages: outages }));
+        saveStats();
         return;
       }
       if (msg.type === "proxy_error") {
-        setError(`Error: ${msg.message || "Deepgram error"}${msg.dg_error ? " | " + msg.dg_error : ""}`);
+        proxyError = `${msg.message || "STT error"}${msg.details ? " | " + msg.details : ""}`;
+        setError(`Error: ${proxyError}`);
+        return;
+      }
+
+      // Sent right before a final transcript: end of speech in the audio -> final received
+      if (msg.type === "stt_latency") {
+        utterRef.current.finalLatencies.push({ speechEndS: msg.speech_end_s, ms: msg.final_latency_ms, speechFinal: Boolean(msg.speech_final) });
         return;
       }
 
@@ -207,47 +468,124 @@ export function useConversationEngine() {
         if (!text) return;
 
         if (!utterRef.current.firstResultAt) utterRef.current.firstResultAt = performance.now();
-        if (msg.is_final) utterRef.current.textFinalParts.push(text);
-
-        if (msg.speech_final) {
-          const full = utterRef.current.textFinalParts.join(" ").trim();
-          const startedAt = utterRef.current.startedAt ?? performance.now();
-          const firstAt = utterRef.current.firstResultAt ?? null;
-          const finishedAt = performance.now();
-
-          endUtterance();
-
-          const sttMetrics = {
-            clientMs: Math.round(finishedAt - startedAt),
-            firstResultMs: firstAt ? Math.round(firstAt - startedAt) : null,
-          };
-
-          pushMessage({
-            id: crypto.randomUUID(),
-            role: "user",
-            text: full,
-            createdAtMs: Date.now(),
-            metrics: { stt: sttMetrics },
+        if (msg.is_final) {
+          utterRef.current.textFinalParts.push(text);
+          utterRef.current.finalSegments.push({
+            words: msg.words || [],
+            confidence: msg.confidence ?? null,
+            detected_language: msg.detected_language || null,
           });
+        }
 
-          try {
-            await runAssistantTurnStreamed({ userText: full, sttMetrics });
-          } catch (e) {
-            if (!isAbortError(e)) setError(String(e?.message || e));
-          }
+        if (!msg.speech_final) {
+          // is_final segments are stable; interim ones once Deepgram sends the same text twice
+          const u = utterRef.current;
+          const stable = msg.is_final || text === u.lastInterim;
+          u.lastInterim = msg.is_final ? null : text;
+          if (stable) speculate([...u.textFinalParts, ...(msg.is_final ? [] : [text])].join(" "));
         }
+
+        if (msg.speech_final) await finishUserTurn("speech_final");
+      }
+
+      // Deepgram saw no new words for utterance_end_ms. Normally speech_final already answered
+      // the turn; if it never came, this is the only signal that the user is done.
+      if (msg.type === "utterance_end") {
+        const u = utterRef.current;
+        if (u.textFinalParts.length || u.lastInterim) await finishUserTurn("utterance_end");
+        return;
+      }
+
+      // Deepgram sends this when the stream closes (request id, models, billed duration)
+      if (msg.type === "metadata") {
+        statsRef.current = { ...statsRef.current, stt_metadata: msg };
+        return;
+      }
+    };
+
+    // endedBy: "speech_final" | "utterance_end"
+    const finishUserTurn = async (endedBy) => {
+      const u = utterRef.current;
+      const full = (u.textFinalParts.length ? u.textFinalParts.join(" ") : u.lastInterim || "").trim();
+      const segments = u.finalSegments;
+      const latencies = u.finalLatencies || [];
+      const startedAt = u.startedAt ?? performance.now();
+      const firstAt = u.firstResultAt ?? null;
+      const finishedAt = performance.now();
+
+      endUtterance();
+      u.textFinalParts = [];
+      u.finalSegments = [];
+      u.finalLatencies = [];
+      u.lastInterim = null;
+      if (!full) return;
+      const speculation = runningCfgRef.current?.speculative ? takeSpeculation(full) : null;
+
+      // STT is billed per streamed second: this turn's share is the growth since the last turn
+      const sttCost = sttCostRef.current;
+      const turnSttCostUsd = Math.max(0, sttCost.totalUsd - sttCost.attributedUsd);
+      sttCost.attributedUsd = sttCost.totalUsd;
+
+      // word timings (s of streamed audio) + confidence from the final segments
+      const words = segments.flatMap((sg) => sg.words || []);
+      const confidences = words.length
+        ? words.map((w) => w.confidence)
+        : segments.map((sg) => sg.confidence);
+      const known = confidences.filter((c) => typeof c === "number");
+
+      const sttMetrics = {
+        clientMs: Math.round(finishedAt - startedAt),
+        firstResultMs: firstAt ? Math.round(firstAt - startedAt) : null,
+        estCostUsd: turnSttCostUsd,
+        endedBy,
+        confidence: known.length ? known.reduce((a, b) => a + b, 0) / known.length : null,
+        detectedLanguage: segments.map((sg) => sg.detected_language).find(Boolean) || null,
+        // the final that closed the turn: how long after the user stopped talking STT was done
+        eosToFinalMs: latencies.length ? latencies[latencies.length - 1].ms : null,
+      };
+
+      const userMsg = {
+        id: crypto.randomUUID(),
+        role: "user",
+        text: full,
+        createdAtMs: Date.now(),
+        metrics: { stt: { ...sttMetrics, words, finalLatencies: latencies } },
+      };
+      pushMessage(userMsg);
+      saveMessage(userMsg);
+
+      try {
+        await runAssistantTurnStreamed({ userText: full, userMsgId: userMsg.id, sttMetrics, speculation });
+      } catch (e) {
+        if (!isAbortError(e)) setError(String(e?.message || e));
       }
     };
 
     ws.onerror = () => setError("WebSocket error. Check backend logs.");
 
     return new Promise((resolve, reject) => {
-      ws.onopen = () => resolve();
-      ws.onclose = () => reject(new Error("WS closed before open"));
+      // a refused upgrade (401/429) looks like any other failure here: ask the server why
+      ws.onclose = async () => reject(new Error((await explainWsRejection()) || "WS closed before open"));
+      ws.onopen = () => {
+        // from now on a close we didn't ask for (stopEverything drops wsRef first) ends speech
+        // recognition: say why (spend limit 1008, upstream gave up 1011, network 1006, ...)
+        ws.onclose = (ev) => {
+          if (wsRef.current !== ws) return;
+          const why = proxyError || ev.reason || "connection lost";
+          setError(`Speech recognition stopped (close ${ev.code}): ${why}`);
+        };
+        resolve();
+      };
     });
   }
 
-  async function startAudioPipeline() {
+  // replay = { pcm, speed }: a decoded file instead of the mic (engine/replay.js)
+  async function startAudioPipeline(replay) {
+    if (replay) {
+      replayStopRef.current = startReplay(replay.pcm, { speed: replay.speed, onPcm: sendPcm16, onProgress: setReplay });
+      return;
+    }
+
     const stream = await navigator.mediaDevices.getUserMedia({
       audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
     });
@@ -274,86 +612,89 @@ export function useConversationEngine() {
     worklet.connect(mute);
     mute.connect(audioCtx.destination);
 
-    worklet.port.onmessage = (e) => {
-      const ws = wsRef.current;
-      if (!ws || ws.readyState !== WebSocket.OPEN) return;
-      if (ws.bufferedAmount > 1_500_000) return;
-
-      const cfg = runningCfgRef.current;
-      if (!cfg) return;
-
-      const mode = cfg.bargeInMode;
-      const profile = BARGE_IN_PROFILES[mode] || BARGE_IN_PROFILES.strict;
-
-      const in16 = new Int16Array(e.data);
-      let { buf, off } = aggRef.current;
-
-      let i = 0;
-      while (i < in16.length) {
-        const take = Math.min(buf.length - off, in16.length - i);
-        buf.set(in16.subarray(i, i + take), off);
-        off += take;
-        i += take;
-
-        if (off === buf.length) {
-          const frame = buf.slice(0);
-          const frameAb = frame.buffer;
-
-          // Push-to-talk
-          if (mode === "push_to_talk") {
-            if (pttActiveRef.current) ws.send(frameAb);
-            off = 0;
-            continue;
-          }
+    worklet.port.onmessage = (e) => sendPcm16(new Int16Array(e.data));
+  }
 
-          const rms = rms16(frame);
-          const s = gateRef.current;
-          const t = nowPerfMs();
+  // Mic and replay audio alike: 20 ms frames through the barge-in gate to the STT proxy
+  function sendPcm16(in16) {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (ws.bufferedAmount > 1_500_000) return;
 
-          if (aiSpeakingRef.current && !s.isSpeech) {
-            s.floor = s.floor === 0 ? rms : (0.97 * s.floor + 0.03 * rms);
-          }
+    const cfg = runningCfgRef.current;
+    if (!cfg) return;
 
-          const ON = Math.max(profile.absOn, s.floor * profile.multOn);
-          const OFF = Math.max(profile.absOff, s.floor * profile.multOff);
+    const mode = cfg.bargeInMode;
+    const profile = BARGE_IN_PROFILES[mode] || BARGE_IN_PROFILES.strict;
 
-          if (!s.isSpeech) {
-            s.onsetFrames = rms >= ON ? s.onsetFrames + 1 : 0;
+    let { buf, off } = aggRef.current;
 
-            if (s.onsetFrames >= profile.minOnFrames) {
-              s.isSpeech = true;
-              s.lastSpeechAt = t;
-              s.onsetFrames = 0;
+    let i = 0;
+    while (i < in16.length) {
+      const take = Math.min(buf.length - off, in16.length - i);
+      buf.set(in16.subarray(i, i + take), off);
+      off += take;
+      i += take;
 
-              startNewUtteranceIfNeeded();
+      if (off === buf.length) {
+        const frame = buf.slice(0);
+        const frameAb = frame.buffer;
 
-              if (aiSpeakingRef.current) {
-                stopAudioOutput();
-                for (const pr of preRollRef.current) ws.send(pr);
-                preRollRef.current.length = 0;
-              }
-            }
-          } else {
-            if (rms >= OFF) s.lastSpeechAt = t;
-            if (t - s.lastSpeechAt > profile.hangMs) s.isSpeech = false;
-          }
+        // Push-to-talk
+        if (mode === "push_to_talk") {
+          if (pttActiveRef.current) ws.send(frameAb);
+          off = 0;
+          continue;
+        }
+
+        const rms = rms16(frame);
+        const s = gateRef.current;
+        const t = nowPerfMs();
+
+        if (aiSpeakingRef.current && !s.isSpeech) {
+          s.floor = s.floor === 0 ? rms : (0.97 * s.floor + 0.03 * rms);
+        }
 
-          if (aiSpeakingRef.current && !s.isSpeech) {
-            preRollRef.current.push(frameAb);
-            if (preRollRef.current.length > profile.preRollFrames) preRollRef.current.shift();
-          } else {
-            ws.send(frameAb);
+        const ON = Math.max(profile.absOn, s.floor * profile.multOn);
+        const OFF = Math.max(profile.absOff, s.floor * profile.multOff);
+
+        if (!s.isSpeech) {
+          s.onsetFrames = rms >= ON ? s.onsetFrames + 1 : 0;
+
+          if (s.onsetFrames >= profile.minOnFrames) {
+            s.isSpeech = true;
+            s.lastSpeechAt = t;
+            s.onsetFrames = 0;
+
+            startNewUtteranceIfNeeded();
+
+            if (aiSpeakingRef.current) {
+              stopAudioOutput();
+              for (const pr of preRollRef.current) ws.send(pr);
+              preRollRef.current.length = 0;
+            }
           }
+        } else {
+          if (rms >= OFF) s.lastSpeechAt = t;
+          if (t - s.lastSpeechAt > profile.hangMs) s.isSpeech = false;
+        }
 
-          off = 0;
+        if (aiSpeakingRef.current && !s.isSpeech) {
+          preRollRef.current.push(frameAb);
+          if (preRollRef.current.length > profile.preRollFrames) preRollRef.current.shift();
+        } else {
+          ws.send(frameAb);
         }
+
+        off = 0;
       }
+    }
 
-      aggRef.current.off = off;
-    };
+    aggRef.current.off = off;
   }
 
-  async function runAssistantTurnStreamed({ userText, sttMetrics }) {
+  // speculation: from takeSpeculation(); its request is reused when it guessed this userText
+  async function runAssistantTurnStreamed({ userText, userMsgId, sttMetrics, speculation = null }) {
     setError("");
     const cfg = runningCfgRef.current;
     if (!cfg) return;
@@ -370,20 +711,20 @@ export function useConversationEngine() {
     // mark speaking while audio playing
     aiSpeakingRef.current = false;
 
-    // LLM messages: system + last 10 + user
-    const history = messages.slice(-10).map((m) => ({ role: m.role, content: m.text }));
-    const llmMessages = [
-      { role: "system", content: cfg.systemPrompt },
-      ...history,
-      { role: "user", content: clampText(userText, 5000) },
-    ];
+    const spec = speculation?.spec || null;
+    const context = spec ? spec.context : buildTurnContext(cfg, userText, userMsgId);
+    const llmMessages = context.messages;
+    foldIntoMemory(context.dropped, cfg);
 
     const assistantMsgId = crypto.randomUUID();
+    const assistantCreatedAtMs = Date.now();
+    const turn = { msgId: assistantMsgId, spokenText: "", interrupted: false, heard: null };
+    currentTurnRef.current = turn;
     pushMessage({
       id: assistantMsgId,
       role: "assistant",
       text: "",
-      createdAtMs: Date.now(),
+      createdAtMs: assistantCreatedAtMs,
       metrics: { stt: sttMetrics || null, llm: null, tts: null, combined: null },
     });
 
@@ -393,8 +734,9 @@ export function useConversationEngine() {
 
     // aggregated TTS metrics across chunks
     const ttsAgg = createTtsAggregator(cfg.audioEncoding);
+    const synthesizeChunk = cfg.ttsTransport === "stream" ? synthesizeChunkStream : synthesizeChunkBinary;
 
-    const llmAbort = new AbortController();
+    const llmAbort = spec ? spec.abort : new AbortController();
     llmStreamAbortRef.current = llmAbort;
 
     const llmStart = performance.now();
@@ -402,8 +744,25 @@ export function useConversationEngine() {
     let llmDone = false;
     let llmTotal = null;
     let llmRequestId = null; // may stay null
+    let llmUsage = null;
+    let llmCostUsd = null;
+    let llmPricing = null;
+    let llmParams = cfg.llmParams || null; // server echoes the effective values in meta
+    let llmFinishReason = null;
+    let llmServerTimes = null; // { ttftMs, totalMs } from the done event
+    let llmError = null;
+
+    // retry / fallback (server meta events)
+    let answeredBy = null;
+    let llmAttempts = null;
+    const llmRetries = [];
+
+    // tool round-trips: { round, id, name, arguments, callAtMs, execMs, ok, error, roundTripMs }
+    const toolCalls = [];
+    let firstToolCallAtMs = null;
 
     let fullText = "";
+    let spokenText = "";
     let buffer = "";
     let lastUiUpdate = 0;
 
@@ -414,6 +773,17 @@ export function useConversationEngine() {
     // pending text chunks {seq, text}
     const pendingTextChunks = [];
 
+    // Displayed text stays as the LLM wrote it; only the TTS input is normalized
+    const enqueueSpeech = (chunk) => {
+      const spoken = cfg.normalizeText ? normalizeForSpeech(chunk, cfg.language) : chunk;
+      if (!spoken.trim()) return;
+
+      spokenText = spokenText ? `${spokenText} ${spoken}` : spoken;
+      turn.spokenText = spokenText;
+      pendingTextChunks.push({ seq: seqCounter++, text: spoken });
+      kickTtsPump();
+    };
+
     const kickTtsPump = async () => {
       while (inFlight < MAX_TTS_IN_FLIGHT && pendingTextChunks.length > 0) {
         const { seq, text } = pendingTextChunks.shift();
@@ -421,23 +791,33 @@ export function useConversationEngine() {
 
         (async () => {
           try {
-            const tts = await synthesizeChunkBinary({
+            const tts = await synthesizeChunk({
               text,
               cfg,
               abortSet: ttsAbortSetRef.current,
               ttsAgg,
+              record: cfg.record && sessionRef.current ? { sessionId: sessionRef.current.id, turnId: assistantMsgId, seq } : undefined,
             });
 
             const item = {
               seq,
               url: tts.url,
+              // streamed LINEAR16 / MULAW: Web Audio player instead of a url
+              player: tts.player || null,
               mime: tts.mime,
               metrics: tts.metrics,
+              // for captions + "heard before barge-in"
+              text,
+              timepoints: tts.timepoints,
             };
 
             // when first chunk is available, AI starts speaking soon
             aiSpeakingRef.current = true;
-            await audioQueueRef.current.onItemCompleted(item);
+            const playing = audioQueueRef.current.onItemCompleted(item);
+
+            // streaming transport: item may still be downloading while it plays
+            await tts.done;
+            await playing;
           } catch (e) {
             if (!isAbortError(e)) setError(String(e?.message || e));
           } finally {
@@ -448,34 +828,74 @@ export function useConversationEngine() {
       }
     };
 
-    const res = await fetch("/api/chat/stream", {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        "accept": "text/event-stream",
-      },
-      cache: "no-store",
-      body: JSON.stringify({ model: cfg.model, messages: llmMessages, temperature: 0.4 }),
-      signal: llmAbort.signal,
-    });
-
-    if (!res.ok) {
-      const err = await res.text().catch(() => "");
-      throw new Error(`LLM stream failed (${res.status}): ${err}`);
-    }
+    // Race mode: same messages to several models; we speak one of them
+    // (first to answer, or the primary model) and keep the others' numbers.
+    const race = cfg.race?.contenders?.length ? cfg.race : null;
+    let spokenKey = null;
+    let raceWinner = null;
+    let raceResults = null;
 
-    await readSSE(res, (event, data) => {
+    const onEvent = (event, data) => {
       if (event === "meta") {
         // If server emits request_id later, capture it
         if (data?.request_id) llmRequestId = data.request_id;
+        // race: contenders[0] is the primary (Setup) model
+        if (race && data?.contenders && race.speak === "primary") spokenKey = data.contenders[0]?.key ?? null;
+        if (data?.params) llmParams = data.params;
+        if (data?.retry) llmRetries.push(data.retry);
+        if (data?.answered_by) {
+          answeredBy = data.answered_by;
+          llmAttempts = data.attempts ?? null;
+        }
+        return;
+      }
+
+      if (event === "winner") {
+        raceWinner = data?.key ?? null;
+        if (spokenKey == null) spokenKey = raceWinner;
+        return;
+      }
+
+      if (event === "tool_call") {
+        const atMs = Math.round(performance.now() - llmStart);
+        if (firstToolCallAtMs == null && llmTTFT == null) firstToolCallAtMs = atMs;
+        toolCalls.push({
+          round: data?.round ?? 0,
+          id: data?.id,
+          name: data?.name,
+          arguments: data?.arguments,
+          callAtMs: atMs,
+          execMs: null,
+          ok: null,
+          error: null,
+          roundTripMs: null,
+        });
+        return;
+      }
+
+      if (event === "tool_result") {
+        const call = toolCalls.find((c) => c.id === data?.id);
+        if (call) {
+          call.execMs = data?.exec_ms ?? null;
+          call.ok = Boolean(data?.ok);
+          call.error = data?.error || null;
+        }
         return;
       }
 
       if (event === "delta") {
+        if (race && data?.key !== spokenKey) return;
+
         const d = String(data?.text || "");
         if (!d) return;
 
-        if (llmTTFT == null) llmTTFT = Math.round(performance.now() - llmStart);
+        const nowMs = Math.round(performance.now() - llmStart);
+        if (llmTTFT == null) llmTTFT = nowMs;
+
+        // tool call -> model answering again: what the round-trip cost
+        for (const c of toolCalls) {
+          if (c.roundTripMs == null) c.roundTripMs = nowMs - c.callAtMs;
+        }
 
         fullText += d;
         buffer += d;
@@ -491,30 +911,77 @@ export function useConversationEngine() {
           if (!chunk) break;
 
           buffer = rest;
-          const seq = seqCounter++;
-          pendingTextChunks.push({ seq, text: chunk });
-          kickTtsPump();
+          enqueueSpeech(chunk);
         }
       }
 
       if (event === "done") {
+        if (race) {
+          raceResults = data?.results || null;
+          const spoken = (raceResults || []).find((r) => r.key === spokenKey);
+          llmUsage = spoken?.usage ?? null;
+          // every contender is billed, not only the one we speak
+          llmCostUsd = (raceResults || []).reduce((sum, r) => sum + (r.est_cost_usd ?? 0), 0);
+        } else {
+          llmUsage = data?.usage ?? null;
+          llmCostUsd = data?.est_cost_usd ?? null;
+          llmPricing = data?.pricing ?? null;
+          llmFinishReason = data?.finish_reason ?? null;
+          llmServerTimes = { ttftMs: data?.server_ttft_ms ?? null, totalMs: data?.server_total_ms ?? null };
+        }
         llmDone = true;
         llmTotal = Math.round(performance.now() - llmStart);
       }
 
       if (event === "error") {
-        setError(`LLM stream error: ${data?.details || data?.message || "Unknown"}`);
+        const tried = data?.attempts ? ` (after ${data.attempts} attempts)` : "";
+        setError(`LLM stream error${tried}: ${data?.details || data?.message || "Unknown"}`);
+        if (data?.attempts) llmAttempts = data.attempts;
+        llmError = data?.details || data?.message || "Unknown";
         llmDone = true;
         llmTotal = Math.round(performance.now() - llmStart);
       }
+    };
+
+    // what the server records for a session turn, for the speculative request that had no session ids
+    const speculativeLlmServer = () => ({
+      answeredBy,
+      usage: llmUsage,
+      estCostUsd: llmCostUsd,
+      serverTtftMs: llmServerTimes?.ttftMs ?? null,
+      serverTotalMs: llmServerTimes?.totalMs ?? null,
+      params: llmParams,
+      finishReason: llmFinishReason,
+      cancelled: !llmDone,
+      attempts: llmAttempts,
+      ...(llmError ? { error: llmError } : {}),
     });
 
+    if (spec) {
+      // events that arrived before the final transcript are replayed first
+      try {
+        await spec.stream.consume(onEvent);
+      } catch (e) {
+        // barge-in: the server would have saved the cancelled turn itself
+        if (isAbortError(e)) {
+          saveMessage({ id: assistantMsgId, role: "assistant", text: fullText, createdAtMs: assistantCreatedAtMs, metrics: { llmServer: speculativeLlmServer() } });
+        }
+        throw e;
+      }
+    } else {
+      const res = await openChatStream(cfg, llmMessages, {
+        sessionTurn: sessionRef.current ? {
+          sessionId: sessionRef.current.id,
+          turn: { ...(userMsgId ? { userMessageId: userMsgId } : {}), assistantMessageId: assistantMsgId },
+        } : null,
+        signal: llmAbort.signal,
+      });
+      await readSSE(res, onEvent);
+    }
+
     // flush leftover buffer after stream ends
     const leftover = buffer.trim();
-    if (leftover) {
-      pendingTextChunks.push({ seq: seqCounter++, text: leftover });
-      kickTtsPump();
-    }
+    if (leftover) enqueueSpeech(leftover);
 
     // wait until everything is synthesized & played
     const waitUntilIdle = async () => {
@@ -530,7 +997,16 @@ export function useConversationEngine() {
     };
     await waitUntilIdle();
 
-    patchMessage(assistantMsgId, { text: fullText });
+    if (!turn.interrupted) {
+      turn.heard = { text: spokenText, words: countWords(spokenText), totalWords: countWords(spokenText), interrupted: false };
+    }
+    patchMessage(assistantMsgId, { text: fullText, spokenText, heard: turn.heard });
+
+    // Real "AI started speaking" moment, measured at the audio element
+    const firstPlayingAt = audioQueueRef.current.getState().firstPlayingAt;
+    const measuredToFirstAudioMs = firstPlayingAt == null
+      ? null
+      : Math.round((sttMetrics?.clientMs ?? 0) + (firstPlayingAt - llmStart));
 
     // ✅ Fill metrics for Logs page (no more blanks)
     const combinedToFirstAudioMs =
@@ -543,62 +1019,154 @@ export function useConversationEngine() {
       (llmTotal ?? 0) +
       (ttsAgg.totalDownloadMs ?? 0);
 
-    patchMessage(assistantMsgId, {
-      metrics: {
-        stt: sttMetrics || null,
-
-        llm: {
-          ttftMs: llmTTFT,
-          clientMs: llmTotal,
-          requestId: llmRequestId, // may be null
-        },
-
-        // For compatibility with your current TalkPage + LogsPage:
-        tts: {
-          // TalkPage expects these:
-          serverTtsMs: ttsAgg.firstServerMs,
-          clientMs: ttsAgg.firstDownloadMs,
-
-          // LogsPage expects these:
-          encoding: ttsAgg.encoding,
-          charCount: ttsAgg.totalChars,
-          estCostUsd: ttsAgg.totalCostUsd,
-          warnings: Array.from(ttsAgg.warnings),
-
-          // Extra useful totals:
-          firstServerMs: ttsAgg.firstServerMs,
-          firstDownloadMs: ttsAgg.firstDownloadMs,
-          totalServerMs: ttsAgg.totalServerMs,
-          totalDownloadMs: ttsAgg.totalDownloadMs,
-          chunkCount: ttsAgg.chunkCount,
-        },
-
-        // LogsPage currently looks for combinedMs – we’ll set it to “time to first audio”
-        combinedMs: Math.round(combinedToFirstAudioMs),
-
-        // Extra (if you want later in UI):
-        combined: {
-          toFirstAudioMs: Math.round(combinedToFirstAudioMs),
-          pipelineTotalMs: Math.round(combinedPipelineTotalMs),
-        },
+    const metrics = {
+      stt: sttMetrics || null,
+
+      // prompt size vs. budget, how much history made it in
+      context: context.stats,
+
+      // speculative mode: did the request started before the final transcript get used,
+      // how much earlier the first token came, what the wrong guesses for this turn cost
+      speculation: speculation ? {
+        hit: Boolean(spec),
+        headStartMs: spec ? Math.round(llmStart - spec.startedAt) : null,
+        savedMs: spec ? speculationSavedMs(spec, llmStart) : 0,
+        misses: speculation.misses,
+        wastedEstTokens: speculation.wastedTokens,
+      } : null,
+
+      llm: {
+        ttftMs: llmTTFT,
+        clientMs: llmTotal,
+        requestId: llmRequestId, // may be null
+
+        // provider-reported usage (+ Groq queue/prompt/completion times, seconds) and cost from config pricing
+        usage: llmUsage,
+        promptTokens: llmUsage?.prompt_tokens ?? null,
+        completionTokens: llmUsage?.completion_tokens ?? null,
+        queueTimeS: llmUsage?.queue_time ?? null,
+        promptTimeS: llmUsage?.prompt_time ?? null,
+        completionTimeS: llmUsage?.completion_time ?? null,
+        estCostUsd: llmCostUsd,
+        pricing: llmPricing,
+
+        // generation parameters sent with this turn; "length" = cut off by max_tokens
+        params: llmParams,
+        finishReason: llmFinishReason,
+
+        // tool calling (only when tools were offered)
+        tools: toolCalls,
+        // time from the first tool call to the first spoken token, if tools ran before any text
+        toolsToFirstTokenMs: firstToolCallAtMs != null && llmTTFT != null ? llmTTFT - firstToolCallAtMs : null,
+
+        // which model actually answered (fallback chain) and what it took
+        answeredBy,
+        attempts: llmAttempts,
+        retries: llmRetries,
+        fallbackUsed: Boolean(answeredBy && (answeredBy.provider !== cfg.llmProvider || answeredBy.model !== cfg.model)),
+
+        // race mode: server-side numbers for every contender
+        race: race ? { winner: raceWinner, spoken: spokenKey, speak: race.speak, results: raceResults } : null,
+      },
+
+      // speculative hit: the server did not save this turn (no session ids), so its numbers go in from here
+      ...(spec ? { llmServer: speculativeLlmServer() } : {}),
+
+      // For compatibility with your current TalkPage + LogsPage:
+      tts: {
+        // TalkPage expects these:
+        serverTtsMs: ttsAgg.firstServerMs,
+        clientMs: ttsAgg.firstDownloadMs,
+
+        // LogsPage expects these:
+        encoding: ttsAgg.encoding,
+        charCount: ttsAgg.totalChars,
+        estCostUsd: ttsAgg.totalCostUsd,
+        warnings: Array.from(ttsAgg.warnings),
+
+        // Extra useful totals:
+        firstServerMs: ttsAgg.firstServerMs,
+        firstDownloadMs: ttsAgg.firstDownloadMs,
+        totalServerMs: ttsAgg.totalServerMs,
+        totalDownloadMs: ttsAgg.totalDownloadMs,
+        chunkCount: ttsAgg.chunkCount,
+
+        // Streaming transport (/api/synthesize/stream)
+        transport: cfg.ttsTransport || "binary",
+        firstByteMs: ttsAgg.firstByteMs,
+        firstServerTtfbMs: ttsAgg.firstServerTtfbMs,
+        streamedChunks: ttsAgg.streamedChunks,
+
+        // Server audio cache
+        cacheHits: ttsAgg.cacheHits,
+        cacheMisses: ttsAgg.cacheMisses,
+        savedUsd: ttsAgg.savedUsd,
+      },
+
+      // What this turn cost end to end (STT share of the user turn that triggered it)
+      cost: {
+        sttUsd: sttMetrics?.estCostUsd ?? 0,
+        llmUsd: llmCostUsd,
+        ttsUsd: ttsAgg.totalCostUsd,
+        totalUsd: (sttMetrics?.estCostUsd ?? 0) + (llmCostUsd ?? 0) + (ttsAgg.totalCostUsd ?? 0),
       },
+
+      // LogsPage currently looks for combinedMs – we’ll set it to “time to first audio”
+      combinedMs: Math.round(combinedToFirstAudioMs),
+
+      // Extra (if you want later in UI):
+      combined: {
+        toFirstAudioMs: Math.round(combinedToFirstAudioMs),
+        pipelineTotalMs: Math.round(combinedPipelineTotalMs),
+        measuredToFirstAudioMs,
+      },
+    };
+    patchMessage(assistantMsgId, { metrics });
+
+    // race turns don't go through /api/chat/stream, so the text is saved from here too
+    saveMessage({
+      id: assistantMsgId,
+      role: "assistant",
+      text: fullText,
+      createdAtMs: assistantCreatedAtMs,
+      spokenText,
+      ...(turn.heard ? { heard: turn.heard } : {}),
+      metrics,
     });
+    saveStats();
 
     // done
     llmStreamAbortRef.current = null;
     aiSpeakingRef.current = false;
   }
 
-  const start = useCallback(async (cfg) => {
+  // opts.replay = { pcm, speed }: stream a decoded file instead of the mic (cfg.audioInput says which)
+  const start = useCallback(async (cfg, opts = {}) => {
     resetRuntimeState();
     runningCfgRef.current = cfg;
 
     setIsRunning(true);
     setError("");
 
+    // history survives a reload; talking works without it
+    try {
+      const created = await createSession(cfg);
+      sessionRef.current = { id: created.id, createdAt: created.createdAt };
+      setSession(sessionRef.current);
+    } catch (e) {
+      console.warn(e);
+    }
+
     try {
-      await connectWs({ sttModel: cfg.sttModel, sttLanguage: cfg.sttLanguage });
-      await startAudioPipeline();
+      await connectWs({
+        sttProvider: cfg.sttProvider,
+        sttModel: cfg.sttModel,
+        sttLanguage: cfg.sttLanguage,
+        sttOptions: cfg.sttOptions,
+        // recordings hang off the session: no session, no recording
+        recordSessionId: cfg.record ? sessionRef.current?.id : null,
+      });
+      await startAudioPipeline(opts.replay);
 
       await runAssistantTurnStreamed({
         userText: cfg.kickoffUserText || "Start the conversation.",
@@ -612,31 +1180,25 @@ export function useConversationEngine() {
   const stop = useCallback(() => {
     stopEverything();
     setIsRunning(false);
+    saveStats({ endedAt: new Date().toISOString() });
   }, []);
 
-  const buildSummaryRows = useCallback(() => {
-    const cfg = runningCfgRef.current;
-    return {
-      sessionId: "-",
-      started: "-",
-      stt: cfg ? `Deepgram ${cfg.sttModel} (${cfg.sttLanguage})` : "-",
-      llm: cfg?.model || "-",
-      tts: cfg ? `${cfg.voiceName} (${cfg.audioEncoding})` : "-",
-      dg_request_id: stats.dg_request_id || "-",
-      audio_seconds: `${Number(stats.audio_seconds || 0).toFixed(2)} s`,
-      stt_est_cost: `${formatUsd(stats.est_cost_usd)} (price/min $${Number(stats.price_per_min_usd || 0).toFixed(6)})`,
-      dg_ttfb: stats.dg_ttfb_ms != null ? `${stats.dg_ttfb_ms} ms` : "-",
-      overall_ttfb: stats.overall_ttfb_ms != null ? `${stats.overall_ttfb_ms} ms` : "-",
-    };
-  }, [stats]);
+  const buildSummaryRows = useCallback(
+    () => summaryRows({ session, cfg: runningCfgRef.current, stats, messages, memory }),
+    [session, stats, messages, memory]
+  );
 
   return {
     audioOutRef,
     isRunning,
     error,
+    replay,
     stats,
     messages,
+    session,
+    memory,
     last4,
+    caption,
     start,
     stop,
     buildSummaryRows,
@@ -0,0 +1,100 @@
+// Every call to the backend goes through apiFetch: it adds the session token
+// (shared deployments, see POST /api/auth) and turns 401/429 into clear errors.
+// A 401 also tells the app to show the sign-in screen again.
+
+const TOKEN_KEY = "aiVoiceDemo.authToken";
+
+let token = sessionStorage.getItem(TOKEN_KEY) || "";
+const authListeners = new Set();
+
+export function setAuthToken(next) {
+  token = next || "";
+  if (token) sessionStorage.setItem(TOKEN_KEY, token);
+  else sessionStorage.removeItem(TOKEN_KEY);
+}
+
+export function hasAuthToken() {
+  return Boolean(token);
+}
+
+// fn(reason) when the server rejects our token. -> unsubscribe
+export function onAuthRequired(fn) {
+  authListeners.add(fn);
+  return () => authListeners.delete(fn);
+}
+
+export class ApiError extends Error {
+  constructor(message, { status, body } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// "Rate limit exceeded: More than 120 requests per minute ... Retry in 23 s."
+function limitMessage(body) {
+  if (!body?.error) return "Too many requests. Try again in a minute.";
+  return body.details ? `${body.error}: ${body.details}` : body.error;
+}
+
+export async function apiFetch(url, opts = {}) {
+  const headers = new Headers(opts.headers || {});
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+
+  const res = await fetch(url, { ...opts, headers });
+
+  if (res.status === 401) {
+    const body = await res.json().catch(() => ({}));
+    setAuthToken("");
+    const reason = body.details || "Sign in to use this server.";
+    for (const fn of authListeners) fn(reason);
+    throw new ApiError(`Not signed in: ${reason}`, { status: 401, body });
+  }
+  if (res.status === 429) {
+    const body = await res.json().catch(() => ({}));
+    throw new ApiError(limitMessage(body), { status: 429, body });
+  }
+  return res;
+}
+
+// For URLs the browser fetches itself (<audio src>, WebSocket): no headers there
+export function withToken(url) {
+  if (!token) return url;
+  const [path, hash] = url.split("#");
+  return `${path}${path.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}${hash != null ? `#${hash}` : ""}`;
+}
+
+// GET /api/auth: { required, limits, session } (session = state of our token, null if none/invalid)
+export async function getAuthStatus() {
+  const res = await apiFetch("/api/auth", { cache: "no-store" });
+  return res.json();
+}
+
+export async function signIn(accessToken) {
+  const res = await fetch("/api/auth", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ accessToken }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new ApiError(body.details || body.error || `Sign-in failed (${res.status})`, { status: res.status, body });
+  setAuthToken(body.token);
+  return body;
+}
+
+// The browser can't see why a /ws upgrade was refused: ask the server about our token
+export async function explainWsRejection() {
+  try {
+    const status = await getAuthStatus();
+    if (!status.required) return null;
+    if (!status.session) {
+      setAuthToken("");
+      for (const fn of authListeners) fn("Your session expired.");
+      return "Not signed in: your session expired.";
+    }
+    return status.session.blocked ? limitMessage(status.session.blocked) : null;
+  } catch (e) {
+    return String(e?.message || e);
+  }
+}
@@ -0,0 +1,119 @@
+import { formatUsd } from "./utils";
+
+// Rows of the Logs page "Session summary" card. Used for the running session
+// (engine state) and for sessions reopened from /api/sessions.
+//   session: { id, createdAt } | null, cfg: session config, stats: STT stats from the proxy
+//   memory: rolling summary state of the context manager (its LLM calls count as LLM cost)
+export function buildSummaryRows({ session, cfg, stats, messages, memory }) {
+  let cacheHits = 0;
+  let cacheMisses = 0;
+  let savedUsd = 0;
+  let llmUsd = 0;
+  let ttsUsd = 0;
+  let promptTokens = 0;
+  let completionTokens = 0;
+  const userTurns = { count: 0, byUtteranceEnd: 0, confidenceSum: 0, withConfidence: 0 };
+  const eosToFinal = []; // ms per user turn, measured in the STT proxy
+  const spec = { turns: 0, hits: 0, misses: 0, savedMs: 0, wastedTokens: 0 };
+  for (const m of messages) {
+    const stt = m.role === "user" ? m.metrics?.stt : null;
+    if (stt?.endedBy) {
+      userTurns.count += 1;
+      userTurns.byUtteranceEnd += stt.endedBy === "utterance_end" ? 1 : 0;
+      if (stt.confidence != null) {
+        userTurns.confidenceSum += stt.confidence;
+        userTurns.withConfidence += 1;
+      }
+      if (stt.eosToFinalMs != null) eosToFinal.push(stt.eosToFinalMs);
+    }
+    const sp = m.metrics?.speculation;
+    if (sp) {
+      spec.turns += 1;
+      spec.hits += sp.hit ? 1 : 0;
+      spec.misses += sp.misses ?? 0;
+      spec.savedMs += sp.savedMs ?? 0;
+      spec.wastedTokens += sp.wastedEstTokens ?? 0;
+    }
+    cacheHits += m.metrics?.tts?.cacheHits ?? 0;
+    cacheMisses += m.metrics?.tts?.cacheMisses ?? 0;
+    savedUsd += m.metrics?.tts?.savedUsd ?? 0;
+    llmUsd += m.metrics?.llm?.estCostUsd ?? 0;
+    ttsUsd += m.metrics?.tts?.estCostUsd ?? 0;
+    promptTokens += m.metrics?.llm?.promptTokens ?? 0;
+    completionTokens += m.metrics?.llm?.completionTokens ?? 0;
+  }
+  llmUsd += memory?.estCostUsd ?? 0;
+  const cacheLookups = cacheHits + cacheMisses;
+  const s = stats || {};
+  const sttUsd = Number(s.est_cost_usd || 0);
+
+  return {
+    sessionId: session?.id || "-",
+    started: session?.createdAt ? new Date(session.createdAt).toLocaleString() : "-",
+    input: cfg ? inputLabel(cfg) : "-",
+    stt: cfg ? `${cfg.sttProvider || "deepgram"} ${cfg.sttModel} (${cfg.sttLanguage})` : "-",
+    stt_options: sttOptionsLabel(s.stt_options || cfg?.sttOptions),
+    // utterance_end = speech_final never came; those turns used to get no reply
+    stt_reconnects: s.stt_outages?.length
+      ? `${s.stt_outages.length} • total outage ${s.stt_outages.reduce((n, o) => n + (o.outage_ms || 0), 0)} ms`
+        + ` • replayed ${s.stt_outages.reduce((n, o) => n + (o.replayed_ms || 0), 0)} ms of audio`
+        + ` • dropped ${s.stt_outages.reduce((n, o) => n + (o.dropped_ms || 0), 0)} ms`
+      : "0",
+    stt_turns: userTurns.count
+      ? `${userTurns.count} user turns • ${userTurns.byUtteranceEnd} ended by utterance_end`
+        + (userTurns.withConfidence ? ` • avg confidence ${Math.round((userTurns.confidenceSum / userTurns.withConfidence) * 100)}%` : "")
+      : "-",
+    stt_eos_final: eosToFinal.length
+      ? `median ${percentile(eosToFinal, 50)} ms • p95 ${percentile(eosToFinal, 95)} ms • max ${Math.max(...eosToFinal)} ms over ${eosToFinal.length} turns`
+      : "-",
+    llm: cfg
+      ? `${cfg.llmProvider}/${cfg.model}${cfg.race?.contenders?.length ? ` (race vs ${cfg.race.contenders.map((c) => `${c.provider}/${c.model}`).join(", ")}; speak ${cfg.race.speak})` : ""}`
+      : "-",
+    tts: cfg ? `${cfg.voiceName} (${cfg.audioEncoding})` : "-",
+    prompt: cfg ? promptLabel(cfg) : "-",
+    // sessions saved before the pluggable STT proxy have dg_* stats
+    stt_request_id: s.request_id || s.dg_request_id || "-",
+    audio_seconds: `${Number(s.audio_seconds || 0).toFixed(2)} s`,
+    stt_est_cost: `${formatUsd(s.est_cost_usd)} (price/min $${Number(s.price_per_min_usd || 0).toFixed(6)})`,
+    stt_ttfb: (s.stt_ttfb_ms ?? s.dg_ttfb_ms) != null ? `${s.stt_ttfb_ms ?? s.dg_ttfb_ms} ms` : "-",
+    overall_ttfb: s.overall_ttfb_ms != null ? `${s.overall_ttfb_ms} ms` : "-",
+    tts_cache: cacheLookups
+      ? `${cacheHits}/${cacheLookups} hits (${Math.round((cacheHits / cacheLookups) * 100)}%)`
+      : "-",
+    tts_saved: formatUsd(savedUsd),
+    speculation: spec.turns
+      ? `${spec.hits}/${spec.turns} turns hit, ${spec.misses} misses • ${spec.savedMs} ms saved (avg ${Math.round(spec.savedMs / Math.max(1, spec.hits))} ms per hit) • ~${spec.wastedTokens} tokens wasted`
+      : "-",
+    llm_tokens: `${promptTokens} prompt / ${completionTokens} completion`,
+    llm_est_cost: formatUsd(llmUsd),
+    tts_est_cost: formatUsd(ttsUsd),
+    total_est_cost: `${formatUsd(sttUsd + llmUsd + ttsUsd)} (STT ${formatUsd(sttUsd)} + LLM ${formatUsd(llmUsd)} + TTS ${formatUsd(ttsUsd)})`,
+  };
+}
+
+// Nearest-rank percentile of a non-empty list
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// "endpointing=100 • utterance_end_ms=1000 • keyterms=Acme,refund" (server-echoed options preferred)
+function sttOptionsLabel(options) {
+  const entries = Object.entries(options || {}).filter(([k]) => k !== "model" && k !== "language");
+  if (!entries.length) return "defaults";
+  return entries.map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(",") : v}`).join(" • ");
+}
+
+// Runs that replayed the same file are comparable turn by turn
+export function inputLabel(cfg) {
+  const a = cfg?.audioInput;
+  if (a?.kind !== "replay") return "microphone";
+  return `replay ${a.file} (${a.durationS} s at ${a.speed}×)`;
+}
+
+// "Support agent v3 (edited)" for library templates, "custom" for pasted/uploaded prompts
+export function promptLabel(cfg) {
+  const t = cfg?.promptTemplate;
+  if (!t) return "custom";
+  return `${t.name} v${t.version}${t.modified ? " (edited)" : ""}`;
+}
@@ -0,0 +1,21 @@
+// {{variable}} placeholders in system prompts (same syntax as server/src/prompts/store.js)
+const VAR_RE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+export function templateVariables(body) {
+  return [...new Set([...String(body || "").matchAll(VAR_RE)].map((m) => m[1]))];
+}
+
+// Unknown / empty variables become "" so no braces reach the model
+export function renderTemplate(body, vars) {
+  return String(body || "").replace(VAR_RE, (_, name) => String(vars?.[name] ?? ""));
+}
+
+// Filled in automatically; the Setup page can override them
+export function defaultTemplateVars(language) {
+  const now = new Date();
+  return {
+    date: now.toLocaleDateString(language || undefined, { dateStyle: "full" }),
+    time: now.toLocaleTimeString(language || undefined, { timeStyle: "short" }),
+    language: language || "",
+  };
+}
@@ -16,6 +16,15 @@ export function nowMs() {
   return Date.now();
 }
 
+// Parsed JSON body, or an Error with the status and response text
+export async function jsonOrThrow(res, what) {
+  if (!res.ok) {
+    const err = await res.text().catch(() => "");
+    throw new Error(`${what} failed (${res.status}): ${err}`);
+  }
+  return res.json();
+}
+
 export function isAbortError(e) {
   return e?.name === "AbortError";
 }
@@ -37,6 +46,7 @@ export function voiceTypePretty(t) {
   if (t === "STUDIO") return "Studio";
   if (t === "STANDARD") return "Standard";
   if (t === "POLYGLOT") return "Polyglot";
+  if (t === "LOCAL_TONE") return "Local tone";
   return t || "Other";
 }
 
@@ -48,6 +58,9 @@ export function formatUsd(n) {
   return `$${x.toFixed(6)}`;
 }
 
+// Deepgram on/off options the Setup page exposes (/ws query, "default" = not sent)
+export const STT_BOOL_OPTIONS = ["smart_format", "punctuate", "diarize", "numerals", "profanity_filter", "filler_words"];
+
 // IMPORTANT: stricter VAD profiles to avoid background interruptions.
 // Strict is default (best for AirPods + background noise).
 export const BARGE_IN_PROFILES = {
@@ -1,8 +1,76 @@
+import { useEffect, useState } from "react";
 import { formatUsd } from "../lib/utils";
+import { buildSummaryRows, inputLabel, promptLabel } from "../lib/summary";
+import { deleteSession, getSession, listSessions } from "../engine/sessions";
+import { clipUrl, getRecordings } from "../engine/recordings";
+import { withToken } from "../lib/api";
+
+// summary/messages/memory: the session that just ended. Saved sessions can be reopened from the server.
+export default function LogsPage({ summary: currentSummary, messages: currentMessages, memory: currentMemory, currentSessionId, onExit }) {
+  const [sessions, setSessions] = useState([]);
+  const [opened, setOpened] = useState(null); // full session from GET /api/sessions/:id
+  const [sessionsError, setSessionsError] = useState("");
+  const [recordings, setRecordings] = useState(null); // GET /api/sessions/:id/recordings of the shown session
+  const [playing, setPlaying] = useState(null); // clip url
+
+  async function refresh() {
+    try {
+      setSessionsError("");
+      setSessions(await listSessions());
+    } catch (e) {
+      setSessionsError(String(e?.message || e));
+    }
+  }
+  useEffect(() => { refresh(); }, []);
+
+  const shownId = opened?.id ?? currentSessionId;
+  useEffect(() => {
+    setRecordings(null);
+    setPlaying(null);
+    if (!shownId) return;
+    getRecordings(shownId).then(setRecordings).catch((e) => console.warn(e));
+  }, [shownId]);
+
+  async function open(id) {
+    try {
+      setSessionsError("");
+      setOpened(id === currentSessionId ? null : await getSession(id));
+    } catch (e) {
+      setSessionsError(String(e?.message || e));
+    }
+  }
+
+  async function remove(id) {
+    if (!window.confirm("Delete this session?")) return;
+    try {
+      await deleteSession(id);
+      if (opened?.id === id) setOpened(null);
+      await refresh();
+    } catch (e) {
+      setSessionsError(String(e?.message || e));
+    }
+  }
+
+  const summary = opened
+    ? buildSummaryRows({ session: opened, cfg: opened.config, stats: opened.stats, messages: opened.messages, memory: opened.memory })
+    : currentSummary;
+  const messages = opened ? opened.messages : currentMessages;
+  const memory = opened ? opened.memory : currentMemory;
+
+  // mic times are on the STT timeline of a connection: only unambiguous with one mic file
+  const micUrl = recordings?.mic.length === 1 ? recordings.mic[0].url : null;
+  const ttsByTurn = new Map();
+  for (const t of recordings?.tts || []) {
+    if (!ttsByTurn.has(t.turnId)) ttsByTurn.set(t.turnId, []);
+    ttsByTurn.get(t.turnId).push(t);
+  }
 
-export default function LogsPage({ summary, messages, onExit }) {
   return (
     <div className="container">
+      {/* one player for every ▶ on the page, pinned so it stays in view */}
+      {playing ? (
+        <audio key={playing} src={withToken(playing)} controls autoPlay style={{ position: "fixed", left: 16, right: 16, bottom: 16, zIndex: 10 }} />
+      ) : null}
       <div className="headerRow">
         <div>
           <h1>Timing Logs</h1>
@@ -11,20 +79,113 @@ export default function LogsPage({ summary, messages, onExit }) {
         <button className="btn" onClick={onExit}>← Exit</button>
       </div>
 
+      <div className="card">
+        <h2>Saved sessions</h2>
+        {sessionsError ? <div className="mono muted">{sessionsError}</div> : null}
+        {!sessions.length && !sessionsError ? <div className="muted">No saved sessions yet.</div> : null}
+        <div className="msgList">
+          {sessions.map((s) => (
+            <div key={s.id} className="hstack mono">
+              <div style={{ flex: 1 }}>
+                {new Date(s.createdAt).toLocaleString()} • {s.config?.llmProvider}/{s.config?.model} • prompt: {promptLabel(s.config)} • {inputLabel(s.config)} • {s.messageCount} messages
+                {s.id === currentSessionId ? " (this session)" : ""}
+                {s.preview ? <div className="muted">“{s.preview}”</div> : null}
+              </div>
+              <button className="secondary" disabled={(opened?.id ?? currentSessionId) === s.id} onClick={() => open(s.id)}>Open</button>
+              <button className="danger" onClick={() => remove(s.id)}>Delete</button>
+            </div>
+          ))}
+        </div>
+      </div>
+
       <div className="card">
         <h2>Session summary</h2>
         <div className="kv mono">
           <div>Session ID</div><div>{summary.sessionId}</div>
           <div>Started</div><div>{summary.started}</div>
+          <div>Audio input</div><div>{summary.input}</div>
           <div>STT</div><div>{summary.stt}</div>
+          <div>STT options</div><div>{summary.stt_options}</div>
+          <div>STT turns</div><div>{summary.stt_turns}</div>
+          <div>STT end of speech → final</div><div>{summary.stt_eos_final}</div>
+          <div>STT reconnects</div><div>{summary.stt_reconnects}</div>
           <div>LLM</div><div>{summary.llm}</div>
           <div>TTS</div><div>{summary.tts}</div>
-          <div>DG request id</div><div>{summary.dg_request_id}</div>
+          <div>Prompt</div><div>{summary.prompt}</div>
+          <div>STT request id</div><div>{summary.stt_request_id}</div>
           <div>Audio streamed</div><div>{summary.audio_seconds}</div>
           <div>STT est cost</div><div>{summary.stt_est_cost}</div>
-          <div>DG TTFB</div><div>{summary.dg_ttfb}</div>
+          <div>STT TTFB</div><div>{summary.stt_ttfb}</div>
           <div>Overall TTFB</div><div>{summary.overall_ttfb}</div>
+          <div>TTS cache</div><div>{summary.tts_cache}</div>
+          <div>TTS saved by cache</div><div>{summary.tts_saved}</div>
+          <div>Speculation</div><div>{summary.speculation}</div>
+          <div>LLM tokens</div><div>{summary.llm_tokens}</div>
+          <div>LLM est cost</div><div>{summary.llm_est_cost}</div>
+          <div>TTS est cost</div><div>{summary.tts_est_cost}</div>
+          <div>Total est cost</div><div>{summary.total_est_cost}</div>
+        </div>
+      </div>
+
+      {recordings ? (
+        <div className="card">
+          <h2>Recordings</h2>
+          <div className="muted">Mic audio as streamed to STT (turns marked by the proxy) and every synthesized chunk.</div>
+          <div className="msgList">
+            {recordings.mic.map((m) => (
+              <div key={m.file} className="mono">
+                <div className="hstack">
+                  <div style={{ flex: 1 }}>
+                    {m.file} • {m.provider} • {m.durationS.toFixed(1)} s{m.endedAt ? "" : " (recording)"} • {m.turns.length} turns
+                  </div>
+                  <button className="secondary" onClick={() => setPlaying(m.url)}>▶ Play</button>
+                  <a href={withToken(`${m.url}?download=1`)}>Download</a>
+                </div>
+                {m.turns.map((t) => (
+                  <div key={t.turn} className="hstack muted">
+                    <div style={{ flex: 1 }}>
+                      #{t.turn} {t.start?.toFixed(2) ?? "—"}–{t.end?.toFixed(2) ?? "—"} s • {t.endedBy} • “{t.text}”
+                    </div>
+                    <button className="secondary" onClick={() => setPlaying(clipUrl(m.url, t.start - 0.3, t.end + 0.3))}>▶</button>
+                  </div>
+                ))}
+              </div>
+            ))}
+            {recordings.tts.length ? (
+              <div className="mono">
+                <div>TTS: {recordings.tts.length} chunks in {ttsByTurn.size} turns</div>
+                {recordings.tts.map((t) => (
+                  <div key={t.file} className="hstack muted">
+                    <div style={{ flex: 1 }}>
+                      {new Date(t.createdAt).toLocaleTimeString()} • #{t.seq ?? "—"} • {t.voiceName} • {t.encoding} • “{t.text}”
+                    </div>
+                    <button className="secondary" onClick={() => setPlaying(t.url)}>▶</button>
+                    <a href={withToken(`${t.url}?download=1`)}>Download</a>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="card">
+        <h2>What the agent remembers</h2>
+        <div className="muted">
+          Rolling summary of turns that no longer fit the prompt budget; it is sent instead of them.
         </div>
+        {memory?.summary ? (
+          <>
+            <div className="text" style={{ marginTop: 10 }}>{memory.summary}</div>
+            <div className="mono muted" style={{ marginTop: 6 }}>
+              Covers {memory.summarizedMessages} earlier messages • {memory.calls} summarize calls
+              {" "}• {formatUsd(memory.estCostUsd)} • updated {new Date(memory.updatedAtMs).toLocaleTimeString()}
+            </div>
+          </>
+        ) : (
+          <div className="mono muted" style={{ marginTop: 10 }}>Nothing summarized yet: the whole conversation fit the budget.</div>
+        )}
+        {memory?.error ? <div className="mono muted" style={{ marginTop: 6 }}>Last summarize call failed: {memory.error}</div> : null}
       </div>
 
       <div className="card">
@@ -39,21 +200,164 @@ export default function LogsPage({ summary, messages, onExit }) {
 
               <div className="text">{m.text}</div>
 
+              {m.spokenText && m.spokenText !== m.text ? (
+                <div className="mono muted" style={{ marginTop: 6 }}>Spoken: {m.spokenText}</div>
+              ) : null}
+
+              {m.heard?.interrupted ? (
+                <div className="mono muted" style={{ marginTop: 6 }}>
+                  Heard before barge-in ({m.heard.words}/{m.heard.totalWords} words): {m.heard.text || "—"}
+                </div>
+              ) : null}
+
+              {m.role === "user" && m.metrics?.stt?.endedBy ? (
+                <div className="mono muted" style={{ marginTop: 6 }}>
+                  <div>
+                    STT ended by {m.metrics.stt.endedBy}
+                    {m.metrics.stt.confidence != null ? ` • confidence ${Math.round(m.metrics.stt.confidence * 100)}%` : ""}
+                    {m.metrics.stt.detectedLanguage ? ` • language ${m.metrics.stt.detectedLanguage}` : ""}
+                  </div>
+                  {m.metrics.stt.eosToFinalMs != null ? (
+                    <div>
+                      End of speech → final transcript {m.metrics.stt.eosToFinalMs} ms
+                      {m.metrics.stt.finalLatencies?.length > 1
+                        ? ` (all finals: ${m.metrics.stt.finalLatencies.map((l) => `${l.ms} ms @ ${l.speechEndS.toFixed(2)} s`).join(", ")})`
+                        : ""}
+                    </div>
+                  ) : null}
+                  {m.metrics.stt.words?.length ? (
+                    <details>
+                      <summary>Word timings ({m.metrics.stt.words.length} words, s of streamed audio)</summary>
+                      {m.metrics.stt.words
+                        .map((w) => `${w.word} ${w.start.toFixed(2)}–${w.end.toFixed(2)}${w.confidence != null ? ` (${Math.round(w.confidence * 100)}%)` : ""}`)
+                        .join(" • ")}
+                    </details>
+                  ) : null}
+                </div>
+              ) : null}
+
+              {m.role === "user" && micUrl && m.metrics?.stt?.words?.length ? (
+                <div className="hstack mono muted" style={{ marginTop: 6 }}>
+                  <button
+                    className="secondary"
+                    onClick={() => setPlaying(clipUrl(micUrl, m.metrics.stt.words[0].start - 0.3, m.metrics.stt.words[m.metrics.stt.words.length - 1].end + 0.3))}
+                  >
+                    ▶ Recorded mic
+                  </button>
+                </div>
+              ) : null}
+
+              {m.role === "assistant" && ttsByTurn.has(m.id) ? (
+                <div className="hstack mono muted" style={{ marginTop: 6 }}>
+                  Recorded TTS
+                  {ttsByTurn.get(m.id).map((t) => (
+                    <button key={t.file} className="secondary" title={t.text} onClick={() => setPlaying(t.url)}>▶ {t.seq ?? "?"}</button>
+                  ))}
+                </div>
+              ) : null}
+
+              {m.metrics?.llmServer?.cancelled || m.metrics?.llmServer?.error ? (
+                <div className="mono muted" style={{ marginTop: 6 }}>
+                  LLM {m.metrics.llmServer.error ? `error: ${m.metrics.llmServer.error}` : "cancelled before the reply was complete"}
+                </div>
+              ) : null}
+
               {m.role === "assistant" && m.metrics ? (
                 <div className="mono muted" style={{ marginTop: 10 }}>
                   <div>
                     STT {m.metrics?.stt?.clientMs ?? "—"} ms{" "}
                     {m.metrics?.stt?.firstResultMs != null ? `(first ${m.metrics.stt.firstResultMs} ms)` : ""}
+                    {m.metrics?.stt?.eosToFinalMs != null ? ` • end of speech → final ${m.metrics.stt.eosToFinalMs} ms` : ""}
                   </div>
 
                   <div>
                     LLM TTFT {m.metrics?.llm?.ttftMs ?? "—"} ms • LLM total {m.metrics?.llm?.clientMs ?? "—"} ms
                   </div>
 
+                  {m.metrics?.speculation ? (
+                    <div>
+                      Speculation {m.metrics.speculation.hit
+                        ? `hit • ${m.metrics.speculation.headStartMs} ms head start • ${m.metrics.speculation.savedMs} ms saved`
+                        : m.metrics.speculation.misses ? "miss" : "no stable transcript before speech_final"}
+                      {m.metrics.speculation.misses
+                        ? ` • ${m.metrics.speculation.misses} discarded guesses (~${m.metrics.speculation.wastedEstTokens} tokens)`
+                        : ""}
+                    </div>
+                  ) : null}
+                  {m.metrics?.llm?.params ? (
+                    <div>
+                      LLM params {Object.entries(m.metrics.llm.params).map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`).join(" • ") || "defaults"}
+                      {m.metrics.llm.finishReason === "length" ? " • cut off by max_tokens" : ""}
+                    </div>
+                  ) : null}
+
+                  {m.metrics?.context ? (
+                    <div>
+                      Context ~{m.metrics.context.estTokens}/{m.metrics.context.budgetTokens} tokens • {m.metrics.context.keptMessages} messages kept
+                      {m.metrics.context.droppedMessages ? ` • ${m.metrics.context.droppedMessages} dropped` : ""}
+                      {m.metrics.context.carriedMessages ? ` (${m.metrics.context.carriedMessages} still sent until summarized)` : ""}
+                      {m.metrics.context.summaryTokens ? ` • summary ~${m.metrics.context.summaryTokens} tokens` : ""}
+                    </div>
+                  ) : null}
+
+                  {m.metrics?.llm?.answeredBy && (m.metrics.llm.fallbackUsed || (m.metrics.llm.attempts ?? 1) > 1) ? (
+                    <div>
+                      Answered by {m.metrics.llm.answeredBy.provider}/{m.metrics.llm.answeredBy.model}
+                      {" "}after {m.metrics.llm.attempts} attempts{m.metrics.llm.fallbackUsed ? " (fallback)" : ""}
+                    </div>
+                  ) : null}
+
+                  {(m.metrics?.llm?.retries || []).map((r) => (
+                    <div key={r.attempt}>
+                      Retry #{r.attempt}: {r.provider}/{r.model} {r.status ?? "network"} → {r.next.provider}/{r.next.model} in {r.delay_ms} ms
+                    </div>
+                  ))}
+
+                  {m.metrics?.llm?.usage ? (
+                    <div>
+                      LLM tokens {m.metrics.llm.promptTokens ?? "—"} prompt / {m.metrics.llm.completionTokens ?? "—"} completion
+                      {m.metrics.llm.queueTimeS != null
+                        ? ` • queue ${Math.round(m.metrics.llm.queueTimeS * 1000)} ms • prompt ${Math.round((m.metrics.llm.promptTimeS ?? 0) * 1000)} ms • completion ${Math.round((m.metrics.llm.completionTimeS ?? 0) * 1000)} ms`
+                        : ""}
+                      {" "}• {m.metrics.llm.estCostUsd != null ? formatUsd(m.metrics.llm.estCostUsd) : "no price for this model"}
+                    </div>
+                  ) : null}
+
+                  {m.metrics?.cost ? (
+                    <div>
+                      Turn cost {formatUsd(m.metrics.cost.totalUsd)} (STT {formatUsd(m.metrics.cost.sttUsd)} + LLM {m.metrics.cost.llmUsd != null ? formatUsd(m.metrics.cost.llmUsd) : "—"} + TTS {formatUsd(m.metrics.cost.ttsUsd)})
+                    </div>
+                  ) : null}
+
+                  {(m.metrics?.llm?.race?.results || []).map((r) => (
+                    <div key={r.key}>
+                      Race {r.provider}/{r.model}{r.key === m.metrics.llm.race.winner ? " 🏆" : ""}{r.key === m.metrics.llm.race.spoken ? " (spoken)" : ""}:
+                      {" "}TTFT {r.ttft_ms ?? "—"} ms • {r.tokens_per_sec ?? "—"} tok/s • total {r.total_ms ?? "—"} ms • {r.est_cost_usd != null ? formatUsd(r.est_cost_usd) : "no price"}
+                      {r.cancelled ? " • cancelled" : ""}{r.error ? ` • error: ${r.error}` : ""}
+                    </div>
+                  ))}
+
+                  {(m.metrics?.llm?.tools || []).map((c) => (
+                    <div key={c.id}>
+                      Tool {c.name}({c.arguments || ""}) • round {c.round} • exec {c.execMs ?? "—"} ms •
+                      {" "}round-trip {c.roundTripMs ?? "—"} ms{c.ok === false ? ` • error: ${c.error}` : ""}
+                    </div>
+                  ))}
+
+                  {m.metrics?.llm?.toolsToFirstTokenMs != null ? (
+                    <div>Tools added before first token / first audio: {m.metrics.llm.toolsToFirstTokenMs} ms</div>
+                  ) : null}
+
                   <div>
                     TTS first download {m.metrics?.tts?.clientMs ?? "—"} ms (server {m.metrics?.tts?.serverTtsMs ?? "—"} ms)
                   </div>
 
+                  {m.metrics?.tts?.transport === "stream" ? (
+                    <div>
+                      TTS first byte {m.metrics?.tts?.firstByteMs ?? "—"} ms (server TTFB {m.metrics?.tts?.firstServerTtfbMs ?? "—"} ms) • streamed chunks {m.metrics?.tts?.streamedChunks ?? "—"}
+                    </div>
+                  ) : null}
+
                   <div>
                     TTS totals: download {m.metrics?.tts?.totalDownloadMs ?? "—"} ms • server {m.metrics?.tts?.totalServerMs ?? "—"} ms • chunks {m.metrics?.tts?.chunkCount ?? "—"}
                   </div>
@@ -62,6 +366,10 @@ export default function LogsPage({ summary, messages, onExit }) {
                     Time to first AI audio (STT + LLM TTFT + TTS first download): {m.metrics?.combined?.toFirstAudioMs ?? m.metrics?.combinedMs ?? "—"} ms
                   </div>
 
+                  <div>
+                    Measured time to first AI audio (STT + turn start → audio playing): {m.metrics?.combined?.measuredToFirstAudioMs ?? "—"} ms
+                  </div>
+
                   <div>
                     Pipeline total (STT + LLM total + sum TTS downloads): {m.metrics?.combined?.pipelineTotalMs ?? "—"} ms
                   </div>
@@ -78,6 +386,12 @@ export default function LogsPage({ summary, messages, onExit }) {
                     TTS encoding {m.metrics?.tts?.encoding ?? "—"}
                   </div>
 
+                  {m.metrics?.tts?.cacheHits != null ? (
+                    <div>
+                      TTS cache {m.metrics.tts.cacheHits} hit / {m.metrics.tts.cacheMisses ?? 0} miss • saved {formatUsd(m.metrics.tts.savedUsd ?? 0)}
+                    </div>
+                  ) : null}
+
                   {(m.metrics?.tts?.warnings || []).length ? (
                     <div>Warnings: {m.metrics.tts.warnings.join(" | ")}</div>
                   ) : null}
@@ -1,16 +1,76 @@
-import { BARGE_IN_PROFILES } from "../lib/utils";
+import { BARGE_IN_PROFILES, STT_BOOL_OPTIONS, voiceTypePretty } from "../lib/utils";
+import ComparePanel from "../components/ComparePanel";
+
+// <optgroup> per LLM provider; option values are "provider:model"
+function ModelOptionGroups({ llmProviders, exclude }) {
+  return llmProviders.map((p) => (
+    <optgroup key={p.id} label={p.label}>
+      {p.models
+        .filter((m) => `${p.id}:${m}` !== exclude)
+        .map((m) => (
+          <option key={`${p.id}:${m}`} value={`${p.id}:${m}`}>{m}</option>
+        ))}
+    </optgroup>
+  ));
+}
+
+const HISTORY_BUDGETS = [1000, 2000, 4000, 8000, 16000, 32000];
+
+// Deepgram endpointing presets (ms of silence before speech_final)
+const ENDPOINTING_MS = [10, 25, 50, 100, 200, 300, 500, 800, 1000];
+const REDACT_OPTIONS = ["pci", "ssn", "numbers"];
 
 export default function SetupPage(props) {
   const {
     loading,
     bootError,
 
-    models,
+    llmProviders,
+    llmProvider,
     model,
-    setModel,
+    onPickModel,
+    availableTools,
+    toolsEnabled,
+    setToolsEnabled,
+    speculative,
+    setSpeculative,
+    fallbackModels,
+    setFallbackModels,
+    raceModels,
+    setRaceModels,
+    raceSpeak,
+    setRaceSpeak,
+    llmParams,
+    setLlmParams,
+    historyBudget,
+    setHistoryBudget,
+    modelHistoryBudget,
 
     // TTS
+    sttProviders,
+    sttProvider,
+    onPickSttProvider,
+    sttModel,
+    setSttModel,
+    sttLanguage,
+    setSttLanguage,
+    sttOptions,
+    setSttOptions,
+    record,
+    setRecord,
+    audioInput,
+    setAudioInput,
+    replayAudio,
+    replaySpeed,
+    setReplaySpeed,
+    replayError,
+    onPickReplayFile,
+    ttsProviders,
+    ttsProvider,
+    setTtsProvider,
     voices,
+    allVoices,
+    onPickVoice,
     languages,
     voiceTypes,
     language,
@@ -21,6 +81,12 @@ export default function SetupPage(props) {
     setVoiceName,
     audioEncoding,
     setAudioEncoding,
+    ttsTransport,
+    setTtsTransport,
+    normalizeText,
+    setNormalizeText,
+  captions,
+  setCaptions,
     inputType,
     setInputType,
     speakingRate,
@@ -34,6 +100,15 @@ export default function SetupPage(props) {
     systemPrompt,
     setSystemPrompt,
     onUploadPrompt,
+    promptTemplates,
+    promptBase,
+    promptModified,
+    promptVariables,
+    promptVarValues,
+    setPromptVar,
+    onPickPromptTemplate,
+    onSavePrompt,
+    promptError,
 
     // barge-in
     bargeInMode,
@@ -41,14 +116,22 @@ export default function SetupPage(props) {
 
     canStart,
     onStart,
+    onOpenLogs,
   } = props;
 
+  const sttInfo = sttProviders.find((p) => p.id === sttProvider) || null;
+  const setSttOption = (key) => (e) => setSttOptions((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const setParam = (key) => (e) => setLlmParams((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const multiSelectSize = Math.min(6, Math.max(3, llmProviders.reduce((n, p) => n + p.models.length, 0)));
+
   return (
     <div className="container">
       <div className="header">
         <h1>AI Voice Demo (Latency Benchmark)</h1>
         <p className="muted">
-          Choose your Groq LLM + Google TTS voice. STT is Deepgram Nova-3 (multi).
+          Choose your STT provider, LLM provider/model + TTS provider/voice.
           Click <b>Start</b> to begin. During conversation, speaking near your mic interrupts AI (“barge-in”).
           If you are in a noisy room, use <b>Push-to-Talk</b>.
         </p>
@@ -57,19 +140,285 @@ export default function SetupPage(props) {
       {bootError ? <div className="error">Boot error: {bootError}</div> : null}
 
       <div className="card">
-        <h2>LLM (Groq)</h2>
+        <h2>Audio input</h2>
+        <div className="row cols3">
+          <div>
+            <label>Source</label>
+            <select value={audioInput} onChange={(e) => setAudioInput(e.target.value)}>
+              <option value="mic">Microphone</option>
+              <option value="replay">Replay a recorded file</option>
+            </select>
+          </div>
+          {audioInput === "replay" ? (
+            <>
+              <div>
+                <label>File (WAV or anything the browser decodes)</label>
+                <input type="file" accept="audio/*,.wav" onChange={onPickReplayFile} />
+              </div>
+              <div>
+                <label>Speed</label>
+                <select value={replaySpeed} onChange={(e) => setReplaySpeed(e.target.value)}>
+                  <option value="1">1× (real time)</option>
+                  <option value="2">2×</option>
+                  <option value="4">4×</option>
+                </select>
+              </div>
+            </>
+          ) : null}
+        </div>
+        {audioInput === "replay" ? (
+          <div className="small">
+            {replayError || (replayAudio ? `${replayAudio.name} • ${replayAudio.durationS.toFixed(1)} s` : "Pick a file to start.")}
+            {" "}The file is streamed like mic audio (16 kHz PCM16, barge-in gate included) and the STT provider decides
+            where turns end, so the same script can be run against other models and voices. The greeting plays while the
+            file starts: leave a pause at its beginning. Recorded sessions (Record audio) give you such files.
+          </div>
+        ) : null}
+      </div>
+
+      <div className="card">
+        <h2>STT</h2>
+        <div className="row">
+          <label>Provider</label>
+          <select value={sttProvider} onChange={(e) => onPickSttProvider(e.target.value)}>
+            {sttProviders.map((p) => (
+              <option key={p.id} value={p.id} disabled={Boolean(p.unavailable)}>
+                {p.label}{p.offline ? " • offline" : ""} • ${Number(p.pricePerMinUsd || 0).toFixed(4)}/min
+                {p.unavailable ? ` (${p.unavailable})` : ""}
+              </option>
+            ))}
+          </select>
+          <div className="small">
+            The scripted fake "hears" the utterances of a fixture file, one per stretch of speech — handy to benchmark
+            the rest of the pipeline offline.
+          </div>
+        </div>
+
+        <div className="row cols3">
+          <div>
+            <label>Model</label>
+            <select value={sttModel} onChange={(e) => setSttModel(e.target.value)}>
+              {(sttInfo?.models || [sttModel]).map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </div>
+          <div>
+            <label>Language</label>
+            <select value={sttLanguage} onChange={(e) => setSttLanguage(e.target.value)}>
+              {(sttInfo?.languages || [sttLanguage]).map((l) => <option key={l} value={l}>{l}</option>)}
+            </select>
+          </div>
+          {sttProvider === "deepgram" ? (
+            <div>
+              <label>Endpointing (silence before speech_final)</label>
+              <select value={sttOptions.endpointing} onChange={setSttOption("endpointing")}>
+                {ENDPOINTING_MS.map((n) => <option key={n} value={String(n)}>{n} ms</option>)}
+                <option value="false">Off (Deepgram decides)</option>
+              </select>
+            </div>
+          ) : null}
+        </div>
+
+        {sttProvider === "deepgram" ? (
+          <>
+            <div className="small">
+              Endpointing is the biggest STT knob on end-to-end latency: lower answers sooner but cuts in on pauses.
+              The options used are echoed in the Logs summary.
+            </div>
+
+            <div className="row cols3">
+              <div>
+                <label>Utterance end (ms, 1000–5000)</label>
+                <input type="number" step="100" min="1000" max="5000" value={sttOptions.utteranceEndMs} onChange={setSttOption("utteranceEndMs")} placeholder="1000" />
+              </div>
+              {STT_BOOL_OPTIONS.map((k) => (
+                <div key={k}>
+                  <label>{k}</label>
+                  <select value={sttOptions[k]} onChange={setSttOption(k)}>
+                    <option value="default">Default{k === "smart_format" ? " (on)" : ""}</option>
+                    <option value="true">On</option>
+                    <option value="false">Off</option>
+                  </select>
+                </div>
+              ))}
+              <div>
+                <label>Redact (Ctrl/Cmd-click for several)</label>
+                <select
+                  multiple
+                  size={REDACT_OPTIONS.length}
+                  value={sttOptions.redact}
+                  onChange={(e) => setSttOptions((prev) => ({ ...prev, redact: Array.from(e.target.selectedOptions).map((o) => o.value) }))}
+                >
+                  {REDACT_OPTIONS.map((r) => <option key={r} value={r}>{r}</option>)}
+                </select>
+              </div>
+            </div>
+
+            <div className="row">
+              <label>Keyterms (Nova-3, comma-separated)</label>
+              <input type="text" value={sttOptions.keyterms} onChange={setSttOption("keyterms")} placeholder="e.g. Acme, order status" />
+            </div>
+            <div className="row">
+              <label>Keywords (Nova-2 and older, word or word:boost, comma-separated)</label>
+              <input type="text" value={sttOptions.keywords} onChange={setSttOption("keywords")} placeholder="e.g. Acme:2, refund" />
+            </div>
+          </>
+        ) : null}
+
+        <div className="row">
+          <label>Record audio</label>
+          <select value={record ? "on" : "off"} onChange={(e) => setRecord(e.target.value === "on")}>
+            <option value="off">Off</option>
+            <option value="on">On (mic WAV + every TTS chunk, kept with the session)</option>
+          </select>
+          <div className="small">
+            Recordings stay on the server until the session is deleted; play them back or download them from Logs.
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2>LLM</h2>
         <div className="row">
           <label>Model</label>
-          <select value={model} onChange={(e) => setModel(e.target.value)}>
-            {models.map((m) => (
-              <option key={m} value={m}>{m}</option>
+          <select value={`${llmProvider}:${model}`} onChange={(e) => onPickModel(e.target.value)}>
+            {llmProviders.map((p) => (
+              <optgroup key={p.id} label={`${p.label}${p.local ? " • local" : ""}`}>
+                {p.models.map((m) => (
+                  <option key={`${p.id}:${m}`} value={`${p.id}:${m}`}>{m}</option>
+                ))}
+              </optgroup>
             ))}
           </select>
         </div>
+
+        <div className="row">
+          <label>History budget (prompt tokens)</label>
+          <select value={historyBudget} onChange={(e) => setHistoryBudget(e.target.value)}>
+            <option value="auto">Model default ({modelHistoryBudget} tokens)</option>
+            {HISTORY_BUDGETS.map((n) => (
+              <option key={n} value={String(n)}>{n} tokens</option>
+            ))}
+          </select>
+          <div className="small">Older turns that don't fit are summarized by the model; the summary is shown in the Logs.</div>
+        </div>
+
+        <div className="row">
+          <label>Tool calling</label>
+          <select value={toolsEnabled ? "on" : "off"} onChange={(e) => setToolsEnabled(e.target.value === "on")}>
+            <option value="off">Off</option>
+            <option value="on" disabled={!availableTools.length}>
+              On ({availableTools.map((t) => t.name).join(", ") || "no tools available"})
+            </option>
+          </select>
+          <div className="small">Tools run on the server; each round-trip shows up in the Logs with its latency.</div>
+        </div>
+
+        <div className="row">
+          <label>Fallback models (in list order; Ctrl/Cmd-click for several)</label>
+          <select
+            multiple
+            size={multiSelectSize}
+            value={fallbackModels}
+            onChange={(e) => setFallbackModels(Array.from(e.target.selectedOptions).map((o) => o.value))}
+          >
+            <ModelOptionGroups llmProviders={llmProviders} exclude={`${llmProvider}:${model}`} />
+          </select>
+          <div className="small">
+            On 429/5xx before the first token the server retries with backoff, then moves down this list.
+            Empty = server default (LLM_FALLBACKS).
+          </div>
+        </div>
+
+        <div className="row">
+          <label>Race against (optional, Ctrl/Cmd-click for several)</label>
+          <select
+            multiple
+            size={multiSelectSize}
+            value={raceModels}
+            onChange={(e) => setRaceModels(Array.from(e.target.selectedOptions).map((o) => o.value))}
+          >
+            <ModelOptionGroups llmProviders={llmProviders} exclude={`${llmProvider}:${model}`} />
+          </select>
+          <div className="small">
+            Each turn is sent to the model above and these at once; per-model TTFT, tokens/s and total time go to the Logs.
+            Tool calling is not used while racing.
+          </div>
+        </div>
+
+        <div className="row">
+          <label>Speculative generation</label>
+          <select value={speculative ? "on" : "off"} onChange={(e) => setSpeculative(e.target.value === "on")}>
+            <option value="off">Off (ask the LLM after the final transcript)</option>
+            <option value="on" disabled={raceModels.length > 0}>On (start on a stable interim transcript)</option>
+          </select>
+          <div className="small">
+            The reply is kept when the final transcript matches, otherwise it is cancelled and restarted.
+            Hits, misses, ms saved and wasted tokens go to the Logs. Not used while racing.
+          </div>
+        </div>
+
+        {raceModels.length ? (
+          <div className="row">
+            <label>Speak</label>
+            <select value={raceSpeak} onChange={(e) => setRaceSpeak(e.target.value)}>
+              <option value="first">Whichever model answers first</option>
+              <option value="primary">Always the model selected above</option>
+            </select>
+          </div>
+        ) : null}
       </div>
 
       <div className="card">
-        <h2>TTS (Google)</h2>
+        <h2>LLM parameters</h2>
+        <p className="muted">Empty fields use the provider's default. Values are recorded with every turn in the Logs.</p>
+
+        <div className="row cols3">
+          <div>
+            <label>Temperature (0–2)</label>
+            <input type="number" step="0.1" min="0" max="2" value={llmParams.temperature} onChange={setParam("temperature")} />
+          </div>
+          <div>
+            <label>Max tokens (keeps spoken answers short)</label>
+            <input type="number" step="1" min="1" value={llmParams.maxTokens} onChange={setParam("maxTokens")} placeholder="default" />
+          </div>
+          <div>
+            <label>Top p (0–1)</label>
+            <input type="number" step="0.05" min="0" max="1" value={llmParams.topP} onChange={setParam("topP")} placeholder="default" />
+          </div>
+          <div>
+            <label>Frequency penalty (-2–2)</label>
+            <input type="number" step="0.1" min="-2" max="2" value={llmParams.frequencyPenalty} onChange={setParam("frequencyPenalty")} placeholder="default" />
+          </div>
+          <div>
+            <label>Seed</label>
+            <input type="number" step="1" value={llmParams.seed} onChange={setParam("seed")} placeholder="random" />
+          </div>
+          <div>
+            <label>Response format</label>
+            <select value={llmParams.responseFormat} onChange={setParam("responseFormat")}>
+              <option value="text">Text</option>
+              <option value="json_object">JSON mode (spoken as-is)</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="row">
+          <label>Stop sequences (up to 4, separated by |)</label>
+          <input type="text" value={llmParams.stop} onChange={setParam("stop")} placeholder="e.g. User:|###" />
+        </div>
+      </div>
+
+      <div className="card">
+        <h2>TTS</h2>
+
+        <div className="row">
+          <label>Provider</label>
+          <select value={ttsProvider} onChange={(e) => setTtsProvider(e.target.value)}>
+            {ttsProviders.map((p) => (
+              <option key={p.id} value={p.id}>{p.label}{p.offline ? " • offline" : ""}</option>
+            ))}
+          </select>
+        </div>
 
         <div className="row">
           <label>Language</label>
@@ -81,7 +430,7 @@ export default function SetupPage(props) {
         <div className="row">
           <label>Voice type</label>
           <select value={voiceType} onChange={(e) => setVoiceType(e.target.value)}>
-            {voiceTypes.map((t) => <option key={t} value={t}>{t}</option>)}
+            {voiceTypes.map((t) => <option key={t} value={t}>{voiceTypePretty(t)}</option>)}
           </select>
         </div>
 
@@ -109,6 +458,36 @@ export default function SetupPage(props) {
           </select>
         </div>
 
+        <div className="row">
+          <label>Transport</label>
+          <select value={ttsTransport} onChange={(e) => setTtsTransport(e.target.value)}>
+            <option value="binary">Binary (wait for whole chunk)</option>
+            <option value="stream">Streaming (chunked, start playback early)</option>
+          </select>
+        </div>
+        {ttsTransport === "stream" ? (
+          <p className="muted">
+            Playback starts before the download finishes only for formats the browser can stream (MP3).
+            Other encodings still report server TTFB and first-byte timing, then play once downloaded.
+          </p>
+        ) : null}
+
+        <div className="row">
+          <label>Speech normalization</label>
+          <select value={normalizeText ? "on" : "off"} onChange={(e) => setNormalizeText(e.target.value === "on")}>
+            <option value="on">On (strip markdown, expand numbers/currency/dates, speak URLs)</option>
+            <option value="off">Off (send LLM text as-is)</option>
+          </select>
+        </div>
+
+        <div className="row">
+          <label>Live captions</label>
+          <select value={captions ? "on" : "off"} onChange={(e) => setCaptions(e.target.value === "on")}>
+            <option value="on">On (highlight the spoken word; uses TTS word timepoints when available)</option>
+            <option value="off">Off</option>
+          </select>
+        </div>
+
         <div className="row">
           <label>Input type</label>
           <select value={inputType} onChange={(e) => setInputType(e.target.value)}>
@@ -128,7 +507,7 @@ export default function SetupPage(props) {
         </div>
 
         <div className="row">
-          <label>Speaking rate (ignored for Chirp HD)</label>
+          <label>Speaking rate (ignored where the voice doesn't support it, e.g. Chirp HD)</label>
           <input
             type="number"
             step="0.05"
@@ -138,7 +517,7 @@ export default function SetupPage(props) {
         </div>
 
         <div className="row">
-          <label>Pitch (ignored for Chirp HD)</label>
+          <label>Pitch (ignored where the voice doesn't support it, e.g. Chirp HD)</label>
           <input
             type="number"
             step="1"
@@ -148,12 +527,61 @@ export default function SetupPage(props) {
         </div>
       </div>
 
+      <ComparePanel
+        voices={allVoices}
+        language={language}
+        current={{ ttsProvider, voiceName, audioEncoding }}
+        onPick={onPickVoice}
+      />
+
       <div className="card">
         <h2>Prompt</h2>
         <p className="muted">
-          Supported upload: <b>.txt</b> only (fast + safe). Paste below or upload.
+          Supported upload: <b>.txt</b> only (fast + safe). Paste below, upload, or pick a saved template.
+          Use <code>{"{{variable}}"}</code> placeholders; they are filled in when you press Start.
         </p>
 
+        <div className="row cols3">
+          <div>
+            <label>Template</label>
+            <select value={promptBase?.id || ""} onChange={(e) => onPickPromptTemplate(e.target.value)}>
+              <option value="">— None (file / upload / paste) —</option>
+              {promptTemplates.map((t) => (
+                <option key={t.id} value={t.id}>{t.name} (v{t.latestVersion})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Version</label>
+            <select
+              value={promptBase?.version || ""}
+              disabled={!promptBase}
+              onChange={(e) => onPickPromptTemplate(promptBase.id, Number(e.target.value))}
+            >
+              {(promptBase?.versions || []).map((v, i, all) => (
+                <option key={v} value={v}>v{v}{i === all.length - 1 ? " (latest)" : ""}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>&nbsp;</label>
+            <button
+              className="btn secondary"
+              disabled={!systemPrompt.trim() || (promptBase && !promptModified)}
+              onClick={onSavePrompt}
+            >
+              {promptBase ? "💾 Save as new version" : "💾 Save as template"}
+            </button>
+          </div>
+        </div>
+
+        {promptBase ? (
+          <div className="small">
+            Based on <b>{promptBase.name}</b> v{promptBase.version}{promptModified ? " (edited — unsaved)" : ""}
+          </div>
+        ) : null}
+        {promptError ? <div className="error">{promptError}</div> : null}
+
         <div className="row">
           <label>Upload (.txt)</label>
           <input type="file" accept=".txt,text/plain" onChange={onUploadPrompt} />
@@ -165,6 +593,17 @@ export default function SetupPage(props) {
           onChange={(e) => setSystemPrompt(e.target.value)}
           placeholder="Paste your system prompt here..."
         />
+
+        {promptVariables.length ? (
+          <div className="row cols3">
+            {promptVariables.map((k) => (
+              <div key={k}>
+                <label>{`{{${k}}}`}</label>
+                <input value={promptVarValues[k] ?? ""} onChange={(e) => setPromptVar(k, e.target.value)} />
+              </div>
+            ))}
+          </div>
+        ) : null}
       </div>
 
       <div className="card">
@@ -187,6 +626,9 @@ export default function SetupPage(props) {
         <button className="btn primary" disabled={!canStart || loading} onClick={onStart}>
           🎤 Start
         </button>
+        <button className="btn secondary" onClick={onOpenLogs}>
+          📜 Saved sessions
+        </button>
       </div>
     </div>
   );
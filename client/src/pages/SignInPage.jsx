@@ -0,0 +1,56 @@
+import { useState } from "react";
+import { formatUsd } from "../lib/utils";
+import { signIn } from "../lib/api";
+
+// Shown when the server has AUTH_TOKEN set and we have no (valid) session token.
+// limits: { rateLimitPerMin, spendLimitUsd, spendWindowHours } from GET /api/auth (per access token)
+export default function SignInPage({ reason, limits, sessionTtlSec, onSignedIn }) {
+  const [accessToken, setAccessToken] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await signIn(accessToken.trim());
+      onSignedIn();
+    } catch (err) {
+      setError(String(err?.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="container">
+      <div className="header">
+        <h1>AI Voice Demo (Latency Benchmark)</h1>
+        <p className="muted">This server is shared: sign in with your access token.</p>
+      </div>
+
+      <form className="card" onSubmit={submit}>
+        <h2>Sign in</h2>
+        {reason ? <div className="error">{reason}</div> : null}
+        <div className="row">
+          <label>Access token</label>
+          <input type="password" autoFocus value={accessToken} onChange={(e) => setAccessToken(e.target.value)} />
+        </div>
+        {error ? <div className="error">{error}</div> : null}
+        <div className="small">
+          You get a session token valid for {Math.round((sessionTtlSec || 0) / 60)} minutes
+          {limits?.rateLimitPerMin ? ` • ${limits.rateLimitPerMin} LLM/TTS requests per minute` : ""}
+          {limits?.spendLimitUsd
+            ? ` • up to ${formatUsd(limits.spendLimitUsd)} of estimated spend${limits.spendWindowHours ? ` per ${limits.spendWindowHours} h` : ""}`
+            : ""}.
+        </div>
+        <div className="actions">
+          <button className="btn primary" type="submit" disabled={busy || !accessToken.trim()}>
+            {busy ? "Signing in…" : "Sign in"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
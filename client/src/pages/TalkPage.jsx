@@ -2,16 +2,18 @@ import { formatUsd } from "../lib/utils";
 
 export default function TalkPage({
   headerLine,
-  dgReq,
+  sttReq,
   error,
   stats,
   last4,
+  caption,
   onStop,
   bargeInMode,
   pttActive,
   setPttActive,
+  replay,
 }) {
-  const statsLine = `DG TTFB ${stats.dg_ttfb_ms ?? "—"} ms • Overall TTFB ${stats.overall_ttfb_ms ?? "—"} ms • Audio streamed ${Number(stats.audio_seconds || 0).toFixed(2)} s • STT est cost ${formatUsd(stats.est_cost_usd || 0)}`;
+  const statsLine = `STT TTFB ${stats.stt_ttfb_ms ?? "—"} ms • Overall TTFB ${stats.overall_ttfb_ms ?? "—"} ms • Audio streamed ${Number(stats.audio_seconds || 0).toFixed(2)} s • STT est cost ${formatUsd(stats.est_cost_usd || 0)}`;
 
   return (
     <div className="container">
@@ -19,7 +21,19 @@ export default function TalkPage({
       <div className="mono small" style={{ marginBottom: 10 }}>{headerLine}</div>
 
       <div className="hstack" style={{ justifyContent: "space-between", marginBottom: 12 }}>
-        <span className="badge">DG req: <span className="mono">{dgReq || "—"}</span></span>
+        <span className="badge">STT req: <span className="mono">{sttReq || "—"}</span></span>
+        {stats.stt_reconnecting ? (
+          <span className="badge">
+            STT reconnecting (attempt {stats.stt_reconnecting.attempt}/{stats.stt_reconnecting.max_attempts}) — keep talking, audio is buffered
+          </span>
+        ) : null}
+        {replay ? (
+          <span className="badge">
+            {replay.done
+              ? "Replay finished — sending silence"
+              : `Replaying ${replay.sentS.toFixed(1)} / ${replay.durationS.toFixed(1)} s`}
+          </span>
+        ) : null}
         <button className="danger" onClick={onStop}>■ Stop</button>
       </div>
 
@@ -54,6 +68,21 @@ export default function TalkPage({
         ) : null}
       </div>
 
+      {caption ? (
+        <div className="card" style={{ marginTop: 14 }}>
+          <div className="small" style={{ marginBottom: 6 }}>
+            Now speaking{caption.estimated ? " (estimated timing)" : ""}
+          </div>
+          <div className="caption">
+            {caption.words.map((w, i) => (
+              <span key={i} className={i < caption.index ? "past" : i === caption.index ? "now" : "next"}>
+                {w}{" "}
+              </span>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
       <div className="card" style={{ marginTop: 14 }}>
         <div style={{ fontSize: 22, fontWeight: 900, marginBottom: 10 }}>Last 4 messages</div>
 
@@ -0,0 +1,226 @@
+import crypto from "crypto";
+
+import { config } from "../config.js";
+import { incMetric } from "../metrics.js";
+
+// Access control for a shared deployment; off unless AUTH_TOKEN is set.
+// The browser trades an access token from AUTH_TOKEN for a short-lived session token
+// (POST /api/auth); scripts may send the access token itself. Tokens travel as "Authorization: Bearer <token>", or
+// as ?token= where no header can be set (/ws, <audio src>).
+// Every token ("grant") counts against the limits of the access token it came from: a rate
+// limit (requests per minute to routes that spend money) and a spend limit (estimated USD the
+// routes report via recordSpend, per AUTH_SPEND_WINDOW_HOURS). Minting another session token
+// does not reset either, and one access token can't use up another's budget.
+// Grants and counters live in memory: a restart signs everybody out and resets the counters.
+
+const WINDOW_MS = 60 * 1000;
+
+const sessions = new Map(); // session token -> grant
+
+// AUTH_TOKEN may list several access tokens (comma-separated, e.g. one per person or script);
+// each has its own counters, inherited by the session tokens issued for it
+const usageByAccess = new Map(); // access token index -> counters
+const sharedGrants = new Map(); // access token index -> grant of callers sending it directly
+
+function accessTokens() {
+  return config.AUTH_TOKEN.split(",").map((t) => t.trim()).filter(Boolean);
+}
+
+function usageFor(accessIndex) {
+  if (!usageByAccess.has(accessIndex)) {
+    usageByAccess.set(accessIndex, { spentUsd: 0, spendWindowStartedAt: Date.now(), windowStartedAt: 0, windowCount: 0 });
+  }
+  return usageByAccess.get(accessIndex);
+}
+
+function newGrant(kind, expiresAt, accessIndex) {
+  return { id: crypto.randomUUID(), kind, issuedAt: Date.now(), expiresAt, accessIndex, usage: usageFor(accessIndex) };
+}
+
+function sharedGrant(accessIndex) {
+  if (!sharedGrants.has(accessIndex)) sharedGrants.set(accessIndex, newGrant("shared", null, accessIndex));
+  return sharedGrants.get(accessIndex);
+}
+
+export function authEnabled() {
+  return accessTokens().length > 0;
+}
+
+function sameSecret(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+// -> index of the matching access token | -1 (every token is compared, in constant time each)
+function matchAccessToken(token) {
+  let found = -1;
+  accessTokens().forEach((t, i) => {
+    if (sameSecret(token, t) && found < 0) found = i;
+  });
+  return found;
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, grant] of sessions) {
+    if (grant.expiresAt <= now) sessions.delete(token);
+  }
+}
+
+// -> { token, grant } | null when the access token is wrong
+export function issueSessionToken(accessToken) {
+  const accessIndex = matchAccessToken(accessToken);
+  if (accessIndex < 0) return null;
+  pruneExpired();
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const grant = newGrant("session", Date.now() + config.AUTH_SESSION_TTL_SEC * 1000, accessIndex);
+  sessions.set(token, grant);
+  incMetric("auth", "sessionsIssued");
+  return { token, grant };
+}
+
+// -> grant | null (unknown or expired)
+export function grantFor(token) {
+  if (!token) return null;
+  const accessIndex = matchAccessToken(token);
+  if (accessIndex >= 0) return sharedGrant(accessIndex);
+
+  const grant = sessions.get(token);
+  if (!grant) return null;
+  if (grant.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return grant;
+}
+
+export function revokeSessionToken(token) {
+  return sessions.delete(token);
+}
+
+// Works for Express requests and raw upgrade requests alike
+export function tokenFromRequest(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  return new URL(req.url, "http://localhost").searchParams.get("token") || null;
+}
+
+const spendWindowMs = () => config.AUTH_SPEND_WINDOW_HOURS * 60 * 60 * 1000;
+
+function rollWindows(u) {
+  const now = Date.now();
+  if (now - u.windowStartedAt >= WINDOW_MS) {
+    u.windowStartedAt = now;
+    u.windowCount = 0;
+  }
+  if (spendWindowMs() > 0 && now - u.spendWindowStartedAt >= spendWindowMs()) {
+    u.spendWindowStartedAt = now;
+    u.spentUsd = 0;
+  }
+}
+
+// Why this grant may not spend right now: null | { error, details, retry_after_s, ... } (-> 429)
+export function limitReason(grant) {
+  const u = grant.usage;
+  rollWindows(u);
+
+  if (config.AUTH_SPEND_LIMIT_USD > 0 && u.spentUsd >= config.AUTH_SPEND_LIMIT_USD) {
+    const retryAfterS = spendWindowMs() > 0 ? Math.max(1, Math.ceil((u.spendWindowStartedAt + spendWindowMs() - Date.now()) / 1000)) : null;
+    return {
+      error: "Spend limit reached",
+      details: `This access token has spent ~$${u.spentUsd.toFixed(4)} of its $${config.AUTH_SPEND_LIMIT_USD} budget`
+        + (retryAfterS ? `; it resets in ${Math.ceil(retryAfterS / 60)} min.` : " until it is restarted."),
+      limit: "spend",
+      spent_usd: Number(u.spentUsd.toFixed(6)),
+      spend_limit_usd: config.AUTH_SPEND_LIMIT_USD,
+      retry_after_s: retryAfterS,
+    };
+  }
+
+  if (config.AUTH_RATE_LIMIT_PER_MIN > 0 && u.windowCount >= config.AUTH_RATE_LIMIT_PER_MIN) {
+    const retryAfterS = Math.max(1, Math.ceil((u.windowStartedAt + WINDOW_MS - Date.now()) / 1000));
+    return {
+      error: "Rate limit exceeded",
+      details: `More than ${config.AUTH_RATE_LIMIT_PER_MIN} requests per minute with this access token. Retry in ${retryAfterS} s.`,
+      limit: "rate",
+      rate_limit_per_min: config.AUTH_RATE_LIMIT_PER_MIN,
+      retry_after_s: retryAfterS,
+    };
+  }
+  return null;
+}
+
+// Counts one spending request. -> limitReason (nothing counted) | null
+export function takeRequest(grant) {
+  const blocked = limitReason(grant);
+  if (blocked) {
+    incMetric("auth", blocked.limit === "spend" ? "spendLimited" : "rateLimited");
+    return blocked;
+  }
+  grant.usage.windowCount += 1;
+  return null;
+}
+
+// Estimated cost of work done for this grant (no-op when auth is off)
+export function recordSpend(grant, usd) {
+  if (grant && Number(usd) > 0) grant.usage.spentUsd += Number(usd);
+}
+
+export function describeGrant(grant) {
+  const u = grant.usage;
+  rollWindows(u);
+  return {
+    kind: grant.kind,
+    issuedAt: new Date(grant.issuedAt).toISOString(),
+    expiresAt: grant.expiresAt ? new Date(grant.expiresAt).toISOString() : null,
+    spentUsd: Number(u.spentUsd.toFixed(6)),
+    spendLimitUsd: config.AUTH_SPEND_LIMIT_USD || null,
+    spendWindowHours: config.AUTH_SPEND_WINDOW_HOURS || null,
+    requestsThisMinute: u.windowCount,
+    rateLimitPerMin: config.AUTH_RATE_LIMIT_PER_MIN || null,
+    blocked: limitReason(grant),
+  };
+}
+
+// Express: 401 without a valid token; sets req.auth (the grant)
+export function requireAuth(req, res, next) {
+  if (!authEnabled()) return next();
+
+  const grant = grantFor(tokenFromRequest(req));
+  if (!grant) {
+    incMetric("auth", "rejected");
+    return res.status(401).json({ error: "Unauthorized", details: "Missing, wrong or expired token. Sign in via POST /api/auth." });
+  }
+  req.auth = grant;
+  next();
+}
+
+// Express: per-token rate + spend limits, for routes that spend money
+export function spendLimits(req, res, next) {
+  if (!req.auth) return next();
+
+  const blocked = takeRequest(req.auth);
+  if (blocked) {
+    if (blocked.retry_after_s) res.setHeader("Retry-After", String(blocked.retry_after_s));
+    return res.status(429).json(blocked);
+  }
+  next();
+}
+
+// ws `verifyClient`: the /ws upgrade is refused (401 / 429) before any STT connection is made
+export function verifyWsClient(info, cb) {
+  if (!authEnabled()) return cb(true);
+
+  const grant = grantFor(tokenFromRequest(info.req));
+  if (!grant) {
+    incMetric("auth", "rejected");
+    return cb(false, 401, "Unauthorized");
+  }
+  const blocked = takeRequest(grant);
+  if (blocked) return cb(false, 429, blocked.error);
+
+  info.req.auth = grant;
+  cb(true);
+}
@@ -1,3 +1,28 @@
+import { fileURLToPath } from "url";
+
+// "groq:llama-3.1-8b-instant,ollama:llama3.2" -> [{ provider, model }]
+function parseModelList(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((x) => {
+      const at = x.indexOf(":");
+      return at > 0 ? { provider: x.slice(0, at), model: x.slice(at + 1) } : { model: x };
+    });
+}
+
+function parseJsonArray(raw) {
+  if (!raw) return [];
+  try {
+    const v = JSON.parse(raw);
+    return Array.isArray(v) ? v : [];
+  } catch {
+    console.warn("⚠️ LLM_PROVIDERS_JSON is not valid JSON; ignoring.");
+    return [];
+  }
+}
+
 export const config = {
   PORT: Number(process.env.PORT || 7079),
 
@@ -7,24 +32,180 @@ export const config = {
   GROQ_API_KEY: process.env.GROQ_API_KEY || "",
   DEEPGRAM_API_KEY: process.env.DEEPGRAM_API_KEY || "",
 
+  // STT providers behind /ws (?provider=...). Price per minute of streamed audio.
+  STT_DEFAULT_PROVIDER: (process.env.STT_DEFAULT_PROVIDER || "deepgram").trim(),
+  DG_PRICE_PER_MIN_USD: Number(process.env.DG_PRICE_PER_MIN_MULTI || 0.0052),
+  // Upstream STT dropped: reconnect with backoff, buffering up to this much mic audio meanwhile
+  STT_RECONNECT_MAX_ATTEMPTS: Number(process.env.STT_RECONNECT_MAX_ATTEMPTS ?? 5),
+  STT_RECONNECT_BASE_MS: Number(process.env.STT_RECONNECT_BASE_MS || 250),
+  STT_RECONNECT_MAX_DELAY_MS: Number(process.env.STT_RECONNECT_MAX_DELAY_MS || 4000),
+  STT_RECONNECT_BUFFER_SEC: Number(process.env.STT_RECONNECT_BUFFER_SEC || 10),
+  // Utterances the offline "fake" provider recognizes, in order
+  STT_FAKE_SCRIPT: process.env.STT_FAKE_SCRIPT || fileURLToPath(new URL("../fixtures/fake-stt.json", import.meta.url)),
+
   // ✅ Default LLM model (may be discontinued in future; we fallback safely)
   DEFAULT_LLM: (process.env.DEFAULT_LLM || "").trim(),
+  DEFAULT_LLM_PROVIDER: (process.env.DEFAULT_LLM_PROVIDER || "groq").trim(),
+
+  // OpenAI-compatible LLM backends. A provider is listed when `enabled`;
+  // the key is read from process.env[apiKeyEnv] at request time.
+  // pricing: USD per 1M tokens per model ("*" = any model of that provider).
+  // historyBudgetTokens: prompt size the client's context manager aims for, per
+  // model ("*" = any); LLM_HISTORY_BUDGET_TOKENS when a model has no entry.
+  // Extra backends can be added without code changes via LLM_PROVIDERS_JSON
+  // (a JSON array of the same shape, `enabled` defaults to true).
+  LLM_PROVIDERS: [
+    {
+      id: "groq",
+      label: "Groq",
+      baseUrl: (process.env.GROQ_BASE_URL || "https://api.groq.com/openai/v1").trim(),
+      apiKeyEnv: "GROQ_API_KEY",
+      enabled: Boolean(process.env.GROQ_API_KEY),
+      pricing: {
+        "llama-3.1-8b-instant": { inputPer1M: 0.05, outputPer1M: 0.08 },
+        "llama-3.3-70b-versatile": { inputPer1M: 0.59, outputPer1M: 0.79 },
+        "meta-llama/llama-4-scout-17b-16e-instruct": { inputPer1M: 0.11, outputPer1M: 0.34 },
+        "meta-llama/llama-4-maverick-17b-128e-instruct": { inputPer1M: 0.2, outputPer1M: 0.6 },
+      },
+      historyBudgetTokens: {
+        "llama-3.1-8b-instant": 3000,
+        "llama-3.3-70b-versatile": 6000,
+      },
+    },
+    {
+      id: "openai",
+      label: "OpenAI",
+      baseUrl: (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").trim(),
+      apiKeyEnv: "OPENAI_API_KEY",
+      enabled: Boolean(process.env.OPENAI_API_KEY),
+      pricing: {
+        "gpt-4o-mini": { inputPer1M: 0.15, outputPer1M: 0.6 },
+        "gpt-4.1-mini": { inputPer1M: 0.4, outputPer1M: 1.6 },
+        "gpt-4.1-nano": { inputPer1M: 0.1, outputPer1M: 0.4 },
+      },
+    },
+    {
+      id: "ollama",
+      label: "Ollama (local)",
+      baseUrl: (process.env.OLLAMA_BASE_URL || "http://127.0.0.1:11434/v1").trim(),
+      apiKeyEnv: null,
+      local: true,
+      enabled: Boolean(process.env.OLLAMA_BASE_URL),
+      pricing: { "*": { inputPer1M: 0, outputPer1M: 0 } },
+    },
+    {
+      id: "llamacpp",
+      label: "llama.cpp server (local)",
+      baseUrl: (process.env.LLAMACPP_BASE_URL || "http://127.0.0.1:8080/v1").trim(),
+      apiKeyEnv: null,
+      local: true,
+      enabled: Boolean(process.env.LLAMACPP_BASE_URL),
+      pricing: { "*": { inputPer1M: 0, outputPer1M: 0 } },
+    },
+    {
+      // Served by this backend (routes/mockLlm.js); no key, no network
+      id: "mock",
+      label: "Mock (offline)",
+      baseUrl: `http://127.0.0.1:${Number(process.env.PORT || 7079)}/mock/v1`,
+      apiKeyEnv: null,
+      local: true,
+      enabled: process.env.MOCK_LLM_ENABLED !== "false",
+      models: ["mock-echo", "mock-flaky", "mock-429"],
+      pricing: { "*": { inputPer1M: 0, outputPer1M: 0 } },
+      // small on purpose: a few turns are enough to see the rolling summary kick in
+      historyBudgetTokens: { "*": 400 },
+    },
+    ...parseJsonArray(process.env.LLM_PROVIDERS_JSON).map((p) => ({ enabled: true, pricing: {}, ...p })),
+  ],
+
+  // Provider model lists are cached like TTS voices
+  LLM_MODELS_CACHE_TTL_SEC: Number(process.env.LLM_MODELS_CACHE_TTL_SEC || 10 * 60),
+
+  // /api/chat/stream: retries before the first token (429/5xx/network), then the
+  // fallback chain. LLM_FALLBACKS applies when the client sends no `fallbacks`.
+  LLM_RETRY_MAX: Number(process.env.LLM_RETRY_MAX ?? 2),
+  LLM_RETRY_BASE_MS: Number(process.env.LLM_RETRY_BASE_MS || 300),
+  LLM_RETRY_MAX_DELAY_MS: Number(process.env.LLM_RETRY_MAX_DELAY_MS || 4000),
+  LLM_FALLBACKS: parseModelList(process.env.LLM_FALLBACKS),
+
+  // Context management (client): default prompt budget and length of the rolling summary
+  LLM_HISTORY_BUDGET_TOKENS: Number(process.env.LLM_HISTORY_BUDGET_TOKENS || 4000),
+  LLM_SUMMARY_MAX_WORDS: Number(process.env.LLM_SUMMARY_MAX_WORDS || 150),
+
+  // Tool-calling rounds per chat turn before the model must answer in text
+  LLM_MAX_TOOL_ROUNDS: Number(process.env.LLM_MAX_TOOL_ROUNDS || 3),
+
+  // /api/chat/race: max models fanned out per request
+  LLM_RACE_MAX_MODELS: Number(process.env.LLM_RACE_MAX_MODELS || 6),
+
+  // After a client disconnect / barge-in, keep reading the upstream this long before aborting
+  // it, to measure what it was still generating (llm.estTokensAfterCancel; 0 = abort at once)
+  LLM_CANCEL_DRAIN_MS: Number(process.env.LLM_CANCEL_DRAIN_MS ?? 300),
+
+  // Mock LLM pacing (simulates TTFT + token rate)
+  MOCK_LLM_TTFT_MS: Number(process.env.MOCK_LLM_TTFT_MS || 250),
+  MOCK_LLM_TOKEN_MS: Number(process.env.MOCK_LLM_TOKEN_MS || 30),
 
   // Optional defaults for TTS (not required, but useful later)
   DEFAULT_TTS_LANGUAGE: (process.env.DEFAULT_TTS_LANGUAGE || "").trim(),
   DEFAULT_TTS_VOICE_TYPE: (process.env.DEFAULT_TTS_VOICE_TYPE || "").trim(),
   DEFAULT_TTS_ENCODING: (process.env.DEFAULT_TTS_ENCODING || "").trim(),
 
+  // Provider voice lists are cached (Google listVoices is slow-ish)
+  VOICES_CACHE_TTL_SEC: Number(process.env.VOICES_CACHE_TTL_SEC || 6 * 60 * 60),
+
+  // Synthesized-audio cache (greetings/fillers repeat a lot).
+  // Memory tier is an LRU; set TTS_CACHE_DIR to also keep audio on disk (an LRU with its own limits).
+  TTS_CACHE_ENABLED: process.env.TTS_CACHE_ENABLED !== "false",
+  TTS_CACHE_MAX_ENTRIES: Number(process.env.TTS_CACHE_MAX_ENTRIES || 500),
+  TTS_CACHE_MAX_MB: Number(process.env.TTS_CACHE_MAX_MB || 64),
+  TTS_CACHE_TTL_SEC: Number(process.env.TTS_CACHE_TTL_SEC || 24 * 60 * 60),
+  TTS_CACHE_DIR: (process.env.TTS_CACHE_DIR || "").trim(),
+  TTS_CACHE_DISK_MAX_ENTRIES: Number(process.env.TTS_CACHE_DISK_MAX_ENTRIES || 5000),
+  TTS_CACHE_DISK_MAX_MB: Number(process.env.TTS_CACHE_DISK_MAX_MB || 512),
+
+  // /api/synthesize/compare: how many voices are synthesized at once / per request
+  TTS_COMPARE_CONCURRENCY: Number(process.env.TTS_COMPARE_CONCURRENCY || 3),
+  TTS_COMPARE_MAX_VOICES: Number(process.env.TTS_COMPARE_MAX_VOICES || 12),
+
+  // Conversation sessions (/api/sessions): one JSON file per session
+  SESSIONS_DIR: (process.env.SESSIONS_DIR || ".sessions").trim(),
+
+  // System prompt templates (/api/prompts): one JSON file per template, all versions inside
+  PROMPTS_DIR: (process.env.PROMPTS_DIR || ".prompts").trim(),
+
+  // Opt-in audio recordings (mic WAV from /ws + synthesized chunks), per session
+  RECORDINGS_DIR: (process.env.RECORDINGS_DIR || ".recordings").trim(),
+
+  // Access control for a shared box. Unset AUTH_TOKEN = open (local use). Set: /api (except
+  // /api/health and /api/auth) and /ws need an access token or a session token from POST /api/auth.
+  // Comma-separated for several access tokens (one per person / script), each with its own limits.
+  AUTH_TOKEN: (process.env.AUTH_TOKEN || "").trim(),
+  AUTH_SESSION_TTL_SEC: Number(process.env.AUTH_SESSION_TTL_SEC || 2 * 60 * 60),
+  // Per access token, shared by every session token issued for it (0 = no limit): requests per
+  // minute to routes that spend money (chat, synthesize, /ws connects) and estimated USD spent
+  // (LLM + TTS + STT) per AUTH_SPEND_WINDOW_HOURS (0 = until restart)
+  AUTH_RATE_LIMIT_PER_MIN: Number(process.env.AUTH_RATE_LIMIT_PER_MIN ?? 120),
+  AUTH_SPEND_LIMIT_USD: Number(process.env.AUTH_SPEND_LIMIT_USD ?? 1),
+  AUTH_SPEND_WINDOW_HOURS: Number(process.env.AUTH_SPEND_WINDOW_HOURS ?? 24),
+
   // Expose these so the browser can read them (CORS)
   EXPOSE_HEADERS: [
     "X-TTS-Voice-Name",
+    "X-TTS-Provider",
     "X-TTS-Voice-Type",
     "X-TTS-Encoding",
     "X-TTS-Mime",
     "X-TTS-Char-Count",
     "X-TTS-Est-Cost-Usd",
     "X-TTS-Tts-Ms",
+    "X-TTS-Ttfb-Ms",
+    "X-TTS-Streaming",
     "X-TTS-Total-Ms",
     "X-TTS-Warnings",
+    "X-TTS-Timepoints",
+    "X-TTS-Cache",
+    "X-TTS-Cache-Tier",
+    "X-TTS-Saved-Usd",
   ],
 };
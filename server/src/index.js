@@ -5,9 +5,17 @@ import cors from "cors";
 import { WebSocketServer } from "ws";
 
 import { config } from "./config.js";
+import { requireAuth, spendLimits, verifyWsClient } from "./auth/index.js";
+import { metricsSnapshot } from "./metrics.js";
+import { authRouter } from "./routes/auth.js";
 import { ttsRouter } from "./routes/tts.js";
-import { groqRouter } from "./routes/groq.js";
-import { setupDeepgramProxy } from "./ws/deepgramProxy.js";
+import { llmRouter } from "./routes/llm.js";
+import { mockLlmRouter } from "./routes/mockLlm.js";
+import { sessionsRouter } from "./routes/sessions.js";
+import { promptsRouter } from "./routes/prompts.js";
+import { recordingsRouter } from "./routes/recordings.js";
+import { sttRouter } from "./routes/stt.js";
+import { setupSttProxy } from "./ws/sttProxy.js";
 
 const app = express();
 
@@ -17,25 +25,38 @@ app.use(express.json({ limit: "2mb" }));
 app.use(
   cors({
     origin: config.CORS_ORIGIN,
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
     exposedHeaders: config.EXPOSE_HEADERS,
   })
 );
 
 app.get("/api/health", (req, res) => res.json({ ok: true }));
+app.use(authRouter);
+
+// Everything else under /api needs a token when AUTH_TOKEN is set; routes that spend money are also rate/spend limited
+app.use("/api", requireAuth);
+app.use(["/api/chat", "/api/synthesize"], spendLimits);
+
+app.get("/api/metrics", (req, res) => res.json(metricsSnapshot()));
 
 app.use(ttsRouter);
-app.use(groqRouter);
+app.use(llmRouter);
+app.use(mockLlmRouter);
+app.use(sessionsRouter);
+app.use(recordingsRouter);
+app.use(promptsRouter);
+app.use(sttRouter);
 
 const server = http.createServer(app);
 
 // WS: /ws (same path you already use)
-const wss = new WebSocketServer({ server, path: "/ws" });
-setupDeepgramProxy(wss, config);
+const wss = new WebSocketServer({ server, path: "/ws", verifyClient: verifyWsClient });
+setupSttProxy(wss, config);
 
 server.listen(config.PORT, "127.0.0.1", () => {
   console.log(`✅ ai-voice-demo backend listening on http://127.0.0.1:${config.PORT}`);
   console.log(`   REST:  http://127.0.0.1:${config.PORT}/api/health`);
   console.log(`   WS:    ws://127.0.0.1:${config.PORT}/ws`);
+  console.log(`   Auth:  ${config.AUTH_TOKEN ? "token required (POST /api/auth)" : "off (set AUTH_TOKEN on a shared machine)"}`);
 });
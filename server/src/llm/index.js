@@ -0,0 +1,138 @@
+import { config } from "../config.js";
+
+// Every LLM backend speaks the OpenAI Chat Completions API; a provider is
+// just an entry of config.LLM_PROVIDERS:
+//   { id, label, baseUrl, apiKeyEnv, enabled, local?, models?, pricing, historyBudgetTokens? }
+const modelsCache = new Map(); // provider id -> { atMs, ids }
+
+export function listLlmProviders() {
+  return config.LLM_PROVIDERS.filter((p) => p.enabled);
+}
+
+export function getLlmProvider(id) {
+  return listLlmProviders().find((p) => p.id === id) || null;
+}
+
+export function defaultLlmProvider() {
+  return getLlmProvider(config.DEFAULT_LLM_PROVIDER) || listLlmProviders()[0] || null;
+}
+
+// What the client may see (never the key)
+export function publicLlmProvider(p) {
+  return {
+    id: p.id,
+    label: p.label || p.id,
+    baseUrl: p.baseUrl,
+    local: Boolean(p.local),
+    pricing: p.pricing || {},
+  };
+}
+
+export function llmHeaders(p, extra = {}) {
+  const key = p.apiKeyEnv ? (process.env[p.apiKeyEnv] || "") : "";
+  return {
+    "Content-Type": "application/json",
+    ...(key ? { "Authorization": `Bearer ${key}` } : {}),
+    ...extra,
+  };
+}
+
+export function chatCompletionsUrl(p) {
+  return `${p.baseUrl.replace(/\/+$/, "")}/chat/completions`;
+}
+
+// Model ids of one provider: static `models` from config, else GET {baseUrl}/models (cached)
+export async function listLlmModels(p) {
+  if (Array.isArray(p.models)) return p.models;
+
+  const cached = modelsCache.get(p.id);
+  if (cached && Date.now() - cached.atMs < config.LLM_MODELS_CACHE_TTL_SEC * 1000) return cached.ids;
+
+  const r = await fetch(`${p.baseUrl.replace(/\/+$/, "")}/models`, {
+    headers: llmHeaders(p),
+    signal: AbortSignal.timeout(8000),
+  });
+  if (!r.ok) {
+    const txt = await r.text().catch(() => "");
+    throw new Error(`${p.label || p.id} /models failed (${r.status}): ${txt.slice(0, 300)}`);
+  }
+
+  const data = await r.json();
+  const ids = [...new Set((data?.data || []).map((m) => m.id).filter(Boolean))].sort();
+
+  modelsCache.set(p.id, { atMs: Date.now(), ids });
+  return ids;
+}
+
+// Parsed `data:` payloads of an upstream OpenAI-style SSE body; "[DONE]" ends it.
+export async function* readUpstreamSse(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buf = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buf += decoder.decode(value, { stream: true });
+    buf = buf.replace(/\r\n/g, "\n");
+
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const raw = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+
+      const dataLines = [];
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      }
+      if (!dataLines.length) continue;
+
+      const dataStr = dataLines.join("\n");
+      if (dataStr === "[DONE]") return;
+
+      try { yield JSON.parse(dataStr); } catch { continue; }
+    }
+  }
+}
+
+// ---------- Usage + cost ----------
+const USAGE_FIELDS = [
+  "prompt_tokens", "completion_tokens", "total_tokens",
+  // Groq extras (seconds)
+  "queue_time", "prompt_time", "completion_time", "total_time",
+];
+
+// Usage object of a stream chunk (Groq used to nest it under x_groq)
+export function chunkUsage(json) {
+  return json?.usage || json?.x_groq?.usage || null;
+}
+
+// Sum usage over several upstream calls (tool rounds)
+export function addUsage(acc, u) {
+  if (!u) return acc;
+  const out = { ...(acc || {}) };
+  for (const k of USAGE_FIELDS) {
+    if (typeof u[k] === "number") out[k] = Math.round(((out[k] || 0) + u[k]) * 1e6) / 1e6;
+  }
+  return out;
+}
+
+// Prompt token budget for the client's context manager
+export function llmHistoryBudget(p, model) {
+  return p.historyBudgetTokens?.[model] ?? p.historyBudgetTokens?.["*"] ?? config.LLM_HISTORY_BUDGET_TOKENS;
+}
+
+export function llmPricing(p, model) {
+  return p.pricing?.[model] || p.pricing?.["*"] || null;
+}
+
+// USD for prompt/completion tokens; null when the model has no price in config
+export function estimateLlmCostUsd(p, model, usage) {
+  const price = llmPricing(p, model);
+  if (!price || !usage) return null;
+  return (
+    ((usage.prompt_tokens || 0) / 1_000_000) * price.inputPer1M +
+    ((usage.completion_tokens || 0) / 1_000_000) * price.outputPer1M
+  );
+}
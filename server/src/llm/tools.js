@@ -0,0 +1,171 @@
+import crypto from "crypto";
+
+// Server-side tools the model may call. Each tool:
+//   description, parameters (JSON Schema), run(args) -> JSON-serializable result
+// Clients enable tools by name; implementations never come from the client.
+
+// ---------- calculator ----------
+// Small recursive-descent parser (no eval): + - * / % ^, parentheses, unary minus.
+function evaluateExpression(src) {
+  const tokens = String(src).match(/\d+(?:\.\d+)?|\.\d+|[-+*/%^()]|\S/g) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const take = () => tokens[pos++];
+
+  function primary() {
+    const t = take();
+    if (t === "(") {
+      const v = expr();
+      if (take() !== ")") throw new Error("Missing closing parenthesis");
+      return v;
+    }
+    if (t === "-") return -primary();
+    if (t === "+") return primary();
+    if (t !== undefined && /^(\d|\.)/.test(t)) return Number(t);
+    throw new Error(`Unexpected token: ${t ?? "end of input"}`);
+  }
+
+  function power() {
+    const base = primary();
+    if (peek() === "^") {
+      take();
+      return Math.pow(base, power()); // right-associative
+    }
+    return base;
+  }
+
+  function term() {
+    let v = power();
+    while (["*", "/", "%"].includes(peek())) {
+      const op = take();
+      const r = power();
+      if (op === "*") v *= r;
+      if (op === "/") v /= r;
+      if (op === "%") v %= r;
+    }
+    return v;
+  }
+
+  function expr() {
+    let v = term();
+    while (["+", "-"].includes(peek())) {
+      const op = take();
+      const r = term();
+      v = op === "+" ? v + r : v - r;
+    }
+    return v;
+  }
+
+  const value = expr();
+  if (pos < tokens.length) throw new Error(`Unexpected token: ${tokens[pos]}`);
+  if (!Number.isFinite(value)) throw new Error("Result is not a finite number");
+  return value;
+}
+
+// ---------- order_status (mock backend) ----------
+const ORDER_STATUSES = ["processing", "shipped", "out_for_delivery", "delivered"];
+
+function mockOrder(orderId) {
+  // deterministic per id, so repeated benchmark runs say the same thing
+  const h = crypto.createHash("sha256").update(orderId).digest();
+  const status = ORDER_STATUSES[h[0] % ORDER_STATUSES.length];
+  const eta = new Date(Date.now() + ((h[1] % 5) + 1) * 24 * 60 * 60 * 1000);
+
+  return {
+    order_id: orderId,
+    status,
+    carrier: ["UPS", "FedEx", "DHL"][h[2] % 3],
+    estimated_delivery: status === "delivered" ? null : eta.toISOString().slice(0, 10),
+  };
+}
+
+const TOOLS = {
+  get_time: {
+    description: "Current local date and time, optionally for an IANA time zone (e.g. Europe/Berlin).",
+    parameters: {
+      type: "object",
+      properties: {
+        timezone: { type: "string", description: "IANA time zone name. Defaults to the server time zone." },
+      },
+    },
+    run({ timezone } = {}) {
+      const now = new Date();
+      const tz = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      let local;
+      try {
+        local = now.toLocaleString("en-US", { timeZone: tz, dateStyle: "full", timeStyle: "short" });
+      } catch {
+        throw new Error(`Unknown time zone: ${timezone}`);
+      }
+      return { timezone: tz, local, iso: now.toISOString() };
+    },
+  },
+
+  calculator: {
+    description: "Evaluate an arithmetic expression. Supports + - * / % ^ and parentheses.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "For example: (12.5 * 4) / 3" },
+      },
+      required: ["expression"],
+    },
+    run({ expression } = {}) {
+      if (!expression) throw new Error("expression is required");
+      return { expression, result: evaluateExpression(expression) };
+    },
+  },
+
+  order_status: {
+    description: "Look up the shipping status of a customer order by its order ID.",
+    parameters: {
+      type: "object",
+      properties: {
+        order_id: { type: "string", description: "The order ID, e.g. 48213" },
+      },
+      required: ["order_id"],
+    },
+    async run({ order_id } = {}) {
+      if (!order_id) throw new Error("order_id is required");
+      // pretend to be a backend call
+      await new Promise((r) => setTimeout(r, 120));
+      return mockOrder(String(order_id));
+    },
+  },
+};
+
+export function listTools() {
+  return Object.entries(TOOLS).map(([name, t]) => ({ name, description: t.description, parameters: t.parameters }));
+}
+
+export function unknownTools(names) {
+  return names.filter((n) => !TOOLS[n]);
+}
+
+// OpenAI `tools` request field for the enabled names
+export function toolSpecs(names) {
+  return names.map((name) => ({
+    type: "function",
+    function: { name, description: TOOLS[name].description, parameters: TOOLS[name].parameters },
+  }));
+}
+
+// -> { ok, result } | { ok: false, error }. Never throws: errors go back to the model.
+export async function runTool(name, argsJson) {
+  const tool = TOOLS[name];
+  if (!tool) return { ok: false, error: `Unknown tool: ${name}` };
+
+  let args;
+  try {
+    args = argsJson ? JSON.parse(argsJson) : {};
+  } catch {
+    return { ok: false, error: "Arguments are not valid JSON" };
+  }
+
+  try {
+    return { ok: true, result: await tool.run(args) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
@@ -0,0 +1,38 @@
+// Process-wide counters since server start, served at GET /api/metrics.
+// Mostly about work (and money) spent for clients that already went away.
+const counters = {
+  llm: {
+    streams: 0,
+    // client disconnected / barged in while the upstream was still generating
+    cancelled: 0,
+    // completion tokens (estimated from text, ≈ 4 chars each) the upstream still streamed
+    // during the LLM_CANCEL_DRAIN_MS after the client was gone
+    estTokensAfterCancel: 0,
+  },
+  tts: {
+    requests: 0,
+    // client aborted while the provider call was in flight
+    cancelled: 0,
+    // provider finished anyway (call could not be cancelled in time)
+    completedAfterCancel: 0,
+    // characters synthesized for nobody
+    charsAfterCancel: 0,
+  },
+  auth: {
+    sessionsIssued: 0,
+    // missing / wrong / expired token
+    rejected: 0,
+    rateLimited: 0,
+    spendLimited: 0,
+  },
+};
+
+const startedAt = new Date().toISOString();
+
+export function incMetric(group, key, n = 1) {
+  counters[group][key] += n;
+}
+
+export function metricsSnapshot() {
+  return { startedAt, llm: { ...counters.llm }, tts: { ...counters.tts }, auth: { ...counters.auth } };
+}
@@ -0,0 +1,6 @@
+import { config } from "../config.js";
+import { createPromptStore } from "./store.js";
+
+export const promptStore = createPromptStore({ dir: config.PROMPTS_DIR });
+
+export { isPromptId, templateVariables } from "./store.js";
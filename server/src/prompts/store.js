@@ -0,0 +1,81 @@
+import { createJsonDir } from "../storage/jsonDir.js";
+
+// Versioned system prompt templates, one JSON file per template: <dir>/<id>.json
+//   { id, name, description, createdAt, updatedAt,
+//     versions: [{ version, body, variables, note, createdAt }] }   (oldest first)
+// Versions are never edited: saving a changed body appends a new one, so a
+// session can point at exactly the text it ran with.
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const VAR_RE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+export function isPromptId(id) {
+  return ID_RE.test(String(id || ""));
+}
+
+// "{{user_name}} ... {{ date }}" -> ["user_name", "date"]
+export function templateVariables(body) {
+  return [...new Set([...String(body || "").matchAll(VAR_RE)].map((m) => m[1]))];
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().normalize("NFKD").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 48) || "prompt";
+}
+
+function newVersion(version, body, note) {
+  return { version, body, variables: templateVariables(body), note: note || "", createdAt: new Date().toISOString() };
+}
+
+// List entry: everything but the version bodies
+function summarize(t) {
+  const latest = t.versions[t.versions.length - 1];
+  return {
+    id: t.id,
+    name: t.name,
+    description: t.description,
+    latestVersion: latest.version,
+    variables: latest.variables,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+  };
+}
+
+export function createPromptStore({ dir }) {
+  const docs = createJsonDir({ dir, isId: isPromptId });
+
+  return {
+    async list() {
+      return (await docs.list()).map(summarize).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    get: docs.read,
+
+    async getVersion(id, version) {
+      const t = await docs.read(id);
+      const v = t?.versions.find((x) => x.version === version);
+      return v ? { id: t.id, name: t.name, ...v } : null;
+    },
+
+    async create({ name, description = "", body, note }) {
+      // id from the name; "-2", "-3", ... when taken (also by a create running at the same time)
+      const base = slugify(name);
+      const now = new Date().toISOString();
+      const t = { id: base, name, description, createdAt: now, updatedAt: now, versions: [newVersion(1, body, note)] };
+      for (let n = 2; !(await docs.create(t)); n++) t.id = `${base}-${n}`;
+      return t;
+    },
+
+    // New version when the body changed; name/description are plain metadata
+    update(id, { body, note, name, description }) {
+      return docs.update(id, (t) => {
+        const latest = t.versions[t.versions.length - 1];
+        if (body !== undefined && body !== latest.body) t.versions.push(newVersion(latest.version + 1, body, note));
+        if (name !== undefined) t.name = name;
+        if (description !== undefined) t.description = description;
+        return t;
+      });
+    },
+
+    remove: docs.remove,
+  };
+}
@@ -0,0 +1,5 @@
+import { config } from "../config.js";
+import { createRecordingStore } from "./store.js";
+
+// Shared by the STT proxy (mic), /api/synthesize (TTS chunks) and the recording routes
+export const recordingStore = createRecordingStore({ dir: config.RECORDINGS_DIR });
@@ -0,0 +1,169 @@
+import fs from "fs/promises";
+import path from "path";
+
+import { createJsonDir } from "../storage/jsonDir.js";
+import { wavHeader } from "../tts/audio.js";
+import { isSessionId } from "../sessions/store.js";
+
+// Opt-in audio recordings, per conversation session:
+//   <dir>/<sessionId>.json   index { id, createdAt, updatedAt, mic: [...], tts: [...] }
+//   <dir>/<sessionId>/       mic-<n>.wav (one per /ws connection), tts-<turnId>-<seq>.<ext>
+// Mic times are seconds on the STT proxy's audio timeline, i.e. offsets into the WAV file.
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SEC = SAMPLE_RATE * 2;
+const TURN_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+const EXTENSIONS = { MP3: "mp3", OGG_OPUS: "ogg", LINEAR16: "wav", MULAW: "ulaw" };
+
+function seconds(bytes) {
+  return Number((bytes / BYTES_PER_SEC).toFixed(3));
+}
+
+export function createRecordingStore({ dir }) {
+  const docs = createJsonDir({ dir, isId: isSessionId });
+  const creating = new Map(); // sessionId -> promise, so two first writers don't race
+
+  const audioDir = (id) => path.join(dir, id);
+
+  function ensure(id) {
+    if (!creating.has(id)) {
+      const p = (async () => {
+        if (await docs.read(id)) return;
+        const now = new Date().toISOString();
+        await docs.write({ id, createdAt: now, updatedAt: now, mic: [], tts: [] });
+      })();
+      creating.set(id, p);
+      p.finally(() => creating.delete(id)).catch(() => {});
+    }
+    return creating.get(id);
+  }
+
+  async function update(id, fn) {
+    await ensure(id);
+    return docs.update(id, fn);
+  }
+
+  return {
+    get: docs.read,
+
+    // Streams one /ws connection's PCM16 @ 16 kHz into a WAV file. The header says
+    // "length unknown" until close() patches it, so a crash still leaves a playable file.
+    // A failed write (disk full, ...) stops the recording; onError(err) is told once.
+    async openMic(sessionId, { provider, onError } = {}) {
+      if (!isSessionId(sessionId)) throw new Error("Invalid sessionId");
+      await fs.mkdir(audioDir(sessionId), { recursive: true });
+
+      let file;
+      await update(sessionId, (doc) => {
+        file = `mic-${doc.mic.length + 1}.wav`;
+        doc.mic.push({ file, provider: provider || null, sampleRate: SAMPLE_RATE, startedAt: new Date().toISOString(), endedAt: null, bytes: 0, durationS: 0, turns: [] });
+        return doc;
+      });
+
+      const fh = await fs.open(path.join(audioDir(sessionId), file), "w");
+      let bytes = 0;
+      let closed = false;
+      let failed = null;
+
+      const fail = (e) => {
+        if (failed) return;
+        failed = e;
+        console.warn(`⚠️ Mic recording ${sessionId}/${file} stopped:`, e?.message || e);
+        onError?.(e);
+      };
+      let writes = fh.write(wavHeader({ sampleRate: SAMPLE_RATE, dataBytes: null })).catch(fail);
+
+      const patchEntry = (fields) =>
+        docs.update(sessionId, (doc) => {
+          const entry = doc.mic.find((m) => m.file === file);
+          if (!entry) return null;
+          Object.assign(entry, typeof fields === "function" ? fields(entry) : fields);
+          return doc;
+        });
+
+      return {
+        file,
+
+        get error() {
+          return failed;
+        },
+
+        write(pcm) {
+          if (closed || failed) return;
+          writes = writes.then(async () => {
+            if (failed) return;
+            await fh.write(pcm);
+            bytes += pcm.length;
+          }).catch(fail);
+        },
+
+        // One user turn: { start, end, text, endedBy } with start/end in seconds of this file
+        markTurn(turn) {
+          const at = new Date().toISOString();
+          return patchEntry((entry) => ({
+            bytes,
+            durationS: seconds(bytes),
+            turns: [...entry.turns, { turn: entry.turns.length + 1, at, ...turn }],
+          })).catch((e) => console.warn("⚠️ Recording index update failed:", e?.message || e));
+        },
+
+        async close() {
+          if (closed) return;
+          closed = true;
+          try {
+            await writes;
+            await fh.write(wavHeader({ sampleRate: SAMPLE_RATE, dataBytes: bytes }), 0, 44, 0);
+          } finally {
+            await fh.close();
+          }
+          await patchEntry({ bytes, durationS: seconds(bytes), endedAt: new Date().toISOString() });
+        },
+      };
+    },
+
+    // One synthesized chunk as the client got it. -> index entry
+    async saveTts(sessionId, { turnId, seq, text, provider, voiceName, encoding, mime, audio }) {
+      if (!isSessionId(sessionId)) throw new Error("Invalid sessionId");
+      const turn = TURN_ID_RE.test(String(turnId || "")) ? turnId : "noturn";
+      const name = `tts-${turn}-${seq ?? Date.now()}.${EXTENSIONS[encoding] || "bin"}`;
+
+      await fs.mkdir(audioDir(sessionId), { recursive: true });
+      await fs.writeFile(path.join(audioDir(sessionId), name), audio);
+
+      const entry = {
+        file: name,
+        turnId: turnId || null,
+        seq: seq ?? null,
+        text,
+        provider,
+        voiceName,
+        encoding,
+        mime,
+        bytes: audio.length,
+        createdAt: new Date().toISOString(),
+      };
+      await update(sessionId, (doc) => {
+        doc.tts = [...doc.tts.filter((t) => t.file !== name), entry];
+        return doc;
+      });
+      return entry;
+    },
+
+    // Absolute path + mime of a file listed in the session's index (never a path from the request)
+    async resolveFile(sessionId, name) {
+      const doc = await docs.read(sessionId);
+      const mic = doc?.mic.find((m) => m.file === name);
+      const tts = doc?.tts.find((t) => t.file === name);
+      if (!mic && !tts) return null;
+      return { path: path.resolve(audioDir(sessionId), name), mime: mic ? "audio/wav" : tts.mime };
+    },
+
+    async remove(sessionId) {
+      if (!isSessionId(sessionId)) return false;
+      const removed = await docs.remove(sessionId);
+      await fs.rm(audioDir(sessionId), { recursive: true, force: true });
+      return removed;
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import express from "express";
+import { z } from "zod";
+import { config } from "../config.js";
+import {
+  authEnabled,
+  describeGrant,
+  grantFor,
+  issueSessionToken,
+  revokeSessionToken,
+  tokenFromRequest,
+} from "../auth/index.js";
+
+// Sign-in for shared deployments (see auth/index.js). Mounted before the auth gate:
+// these routes are reachable without a token.
+export const authRouter = express.Router();
+
+const SignInSchema = z.object({
+  accessToken: z.string().min(1).max(500),
+});
+
+// Whether a token is needed, and the state of the one sent (if any)
+authRouter.get("/api/auth", (req, res) => {
+  const grant = authEnabled() ? grantFor(tokenFromRequest(req)) : null;
+  res.json({
+    required: authEnabled(),
+    sessionTtlSec: config.AUTH_SESSION_TTL_SEC,
+    limits: {
+      rateLimitPerMin: config.AUTH_RATE_LIMIT_PER_MIN || null,
+      spendLimitUsd: config.AUTH_SPEND_LIMIT_USD || null,
+      spendWindowHours: config.AUTH_SPEND_WINDOW_HOURS || null,
+    },
+    session: grant ? describeGrant(grant) : null,
+  });
+});
+
+// Shared access token -> short-lived session token (same limits as the access token)
+authRouter.post("/api/auth", async (req, res) => {
+  if (!authEnabled()) return res.status(400).json({ error: "Auth is not enabled on this server (AUTH_TOKEN unset)" });
+
+  let parsed;
+  try {
+    parsed = SignInSchema.parse(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid sign-in", details: String(e?.message || e) });
+  }
+
+  const issued = issueSessionToken(parsed.accessToken);
+  if (!issued) {
+    // slows down guessing a little
+    await new Promise((r) => setTimeout(r, 500));
+    return res.status(401).json({ error: "Unauthorized", details: "Wrong access token." });
+  }
+
+  res.status(201).json({ token: issued.token, ...describeGrant(issued.grant) });
+});
+
+// Sign out: the session token stops working
+authRouter.delete("/api/auth", (req, res) => {
+  const token = tokenFromRequest(req);
+  res.json({ ok: Boolean(token) && revokeSessionToken(token) });
+});
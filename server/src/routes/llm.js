@@ -0,0 +1,785 @@
+import crypto from "crypto";
+import express from "express";
+import { z } from "zod";
+import { performance } from "perf_hooks";
+import { config } from "../config.js";
+import { recordSpend } from "../auth/index.js";
+import { incMetric } from "../metrics.js";
+import {
+  addUsage,
+  chatCompletionsUrl,
+  chunkUsage,
+  defaultLlmProvider,
+  estimateLlmCostUsd,
+  getLlmProvider,
+  listLlmModels,
+  listLlmProviders,
+  llmHeaders,
+  llmHistoryBudget,
+  llmPricing,
+  publicLlmProvider,
+  readUpstreamSse,
+} from "../llm/index.js";
+import { listTools, runTool, toolSpecs, unknownTools } from "../llm/tools.js";
+import { isSessionId, sessionStore } from "../sessions/index.js";
+
+export const llmRouter = express.Router();
+
+// ---------- Models ----------
+// Grouped by provider. `models` (flat ids of the default provider) is kept for older clients.
+llmRouter.get("/api/models", async (_req, res) => {
+  const providers = listLlmProviders();
+  if (!providers.length) {
+    return res.status(500).json({ error: "No LLM providers configured", details: "Set GROQ_API_KEY or enable another provider." });
+  }
+
+  const requestedDefault = config.DEFAULT_LLM || "";
+  const settled = await Promise.allSettled(providers.map((p) => listLlmModels(p)));
+
+  const groups = providers.map((p, i) => {
+    const s = settled[i];
+    let ids = s.status === "fulfilled" ? s.value : [];
+
+    // ✅ Put default on top if available
+    if (requestedDefault && ids.includes(requestedDefault)) {
+      ids = [requestedDefault, ...ids.filter((x) => x !== requestedDefault)];
+    }
+
+    return {
+      ...publicLlmProvider(p),
+      models: ids,
+      // prompt token budget per model for the client's context manager
+      historyBudgets: Object.fromEntries(ids.map((id) => [id, llmHistoryBudget(p, id)])),
+      error: s.status === "rejected" ? String(s.reason?.message || s.reason) : null,
+    };
+  });
+
+  if (groups.every((g) => g.error)) {
+    return res.status(500).json({ error: "Failed to fetch LLM models", details: groups.map((g) => g.error).join(" | ") });
+  }
+
+  // Default: provider that has DEFAULT_LLM, else DEFAULT_LLM_PROVIDER, else first with models
+  const withDefault = groups.find((g) => requestedDefault && g.models.includes(requestedDefault));
+  const preferred = groups.find((g) => g.id === defaultLlmProvider()?.id && g.models.length);
+  const defaultGroup = withDefault || preferred || groups.find((g) => g.models.length) || groups[0];
+  const defaultFound = Boolean(withDefault);
+
+  res.json({
+    providers: groups,
+    models: defaultGroup.models,
+    default_provider: defaultGroup.id,
+    requested_default: requestedDefault || null,
+    default_model: defaultGroup.models[0] || null,
+    default_found: defaultFound,
+    errors: groups.filter((g) => g.error).map((g) => ({ provider: g.id, details: g.error })),
+    note: defaultFound
+      ? "DEFAULT_LLM found and set as first model."
+      : (requestedDefault ? "DEFAULT_LLM not found in any provider's model list; using first available model." : "DEFAULT_LLM not set; using first available model."),
+  });
+});
+
+// ---------- Tools ----------
+llmRouter.get("/api/tools", (_req, res) => {
+  res.json({ tools: listTools(), maxRounds: config.LLM_MAX_TOOL_ROUNDS });
+});
+
+// Sampling / output parameters, forwarded as-is (OpenAI names) when set
+const GenerationParams = {
+  temperature: z.number().min(0).max(2).optional(),
+  // keeps spoken answers short; the reply just stops (finish_reason "length")
+  max_tokens: z.number().int().min(1).max(32768).optional(),
+  top_p: z.number().min(0).max(1).optional(),
+  stop: z.union([z.string().min(1), z.array(z.string().min(1)).min(1).max(4)]).optional(),
+  seed: z.number().int().optional(),
+  frequency_penalty: z.number().min(-2).max(2).optional(),
+  // JSON mode; most providers also want the word "JSON" somewhere in the prompt
+  response_format: z.union([
+    z.object({ type: z.enum(["text", "json_object"]) }),
+    z.object({
+      type: z.literal("json_schema"),
+      json_schema: z.object({
+        name: z.string().min(1).max(64),
+        schema: z.record(z.any()),
+        strict: z.boolean().optional(),
+      }),
+    }),
+  ]).optional(),
+};
+
+// Upstream body fields for the parameters above (temperature defaults to 0.4)
+function generationParams(parsed) {
+  const out = { temperature: parsed.temperature ?? 0.4 };
+  for (const k of Object.keys(GenerationParams)) {
+    if (k !== "temperature" && parsed[k] !== undefined) out[k] = parsed[k];
+  }
+  return out;
+}
+
+const ChatSchema = z.object({
+  // LLM provider id from config.LLM_PROVIDERS; defaults to DEFAULT_LLM_PROVIDER
+  provider: z.string().optional(),
+  model: z.string().min(1),
+  messages: z.array(
+    z.object({
+      role: z.enum(["system", "user", "assistant"]),
+      content: z.string(),
+    })
+  ).min(1),
+  ...GenerationParams,
+  // Names of server-side tools (llm/tools.js) the model may call; streaming route only
+  tools: z.array(z.string()).max(16).optional(),
+  // Tried in order when the primary model fails before its first token; overrides LLM_FALLBACKS
+  fallbacks: z.array(
+    z.object({
+      provider: z.string().optional(),
+      model: z.string().min(1),
+    })
+  ).max(5).optional(),
+  // Streaming route: append this turn to the session (see routes/sessions.js).
+  // Message ids default to new UUIDs; clients pass their own to merge metrics in later.
+  sessionId: z.string().refine(isSessionId, "Invalid session id").optional(),
+  turn: z.object({
+    userMessageId: z.string().refine(isSessionId, "Invalid message id").optional(),
+    assistantMessageId: z.string().refine(isSessionId, "Invalid message id").optional(),
+  }).optional(),
+});
+
+// Error with upstream HTTP status (null = network / no body) for the retry logic
+function upstreamError(message, status, details, retryAfter = null) {
+  const e = new Error(message);
+  e.status = status;
+  e.details = details;
+  e.retryAfter = retryAfter;
+  return e;
+}
+
+// Exponential backoff with jitter; Retry-After (seconds) wins when the provider sends it
+function retryDelayMs(tryNo, retryAfter) {
+  const ra = Number(retryAfter);
+  if (Number.isFinite(ra) && ra >= 0) return Math.min(ra * 1000, config.LLM_RETRY_MAX_DELAY_MS);
+  const base = config.LLM_RETRY_BASE_MS * Math.pow(2, tryNo - 1);
+  return Math.min(Math.round(base * (0.75 + Math.random() * 0.5)), config.LLM_RETRY_MAX_DELAY_MS);
+}
+
+// setTimeout that ends early when the signal fires
+function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    const onAbort = () => { clearTimeout(t); resolve(); };
+    const t = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function resolveProvider(id) {
+  const p = id ? getLlmProvider(id) : defaultLlmProvider();
+  if (!p) throw new Error(id ? `Unknown or disabled LLM provider: ${id}` : "No LLM providers configured");
+  return p;
+}
+
+// One non-streaming completion; aborted when the client goes away
+async function completeOnce(res, provider, body) {
+  const upstreamAbort = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) upstreamAbort.abort(); });
+
+  const upstream = await fetch(chatCompletionsUrl(provider), {
+    method: "POST",
+    headers: llmHeaders(provider),
+    signal: upstreamAbort.signal,
+    body: JSON.stringify(body),
+  });
+
+  if (!upstream.ok) {
+    const txt = await upstream.text().catch(() => "");
+    throw new Error(`Upstream ${provider.label} failed (${upstream.status}): ${txt}`);
+  }
+  return upstream.json();
+}
+
+// ---------- Non-streaming (kept) ----------
+llmRouter.post("/api/chat", async (req, res) => {
+  const t0 = performance.now();
+  try {
+    const parsed = ChatSchema.parse(req.body);
+    const provider = resolveProvider(parsed.provider);
+
+    const completion = await completeOnce(res, provider, {
+      model: parsed.model,
+      messages: parsed.messages,
+      ...generationParams(parsed),
+    });
+    const t1 = performance.now();
+
+    const estCostUsd = estimateLlmCostUsd(provider, parsed.model, completion?.usage);
+    recordSpend(req.auth, estCostUsd);
+    res.json({
+      provider: provider.id,
+      model: completion?.model || parsed.model,
+      text: completion?.choices?.[0]?.message?.content ?? "",
+      finishReason: completion?.choices?.[0]?.finish_reason ?? null,
+      params: generationParams(parsed),
+      wallTimeMs: Math.round(t1 - t0),
+      usage: completion?.usage ?? null,
+      estCostUsd,
+      requestId: completion?.id ?? null,
+    });
+  } catch (e) {
+    res.status(400).json({ error: "LLM failed", details: String(e?.message || e) });
+  }
+});
+
+// ---------- Rolling summary ----------
+// Used by the client's context manager: turns that no longer fit the prompt
+// budget are folded into one short summary, which is sent instead of them.
+const SummarizeSchema = z.object({
+  provider: z.string().optional(),
+  model: z.string().min(1),
+  // summary so far ("" on the first call)
+  summary: z.string().max(8000).default(""),
+  // turns to fold in, oldest first
+  messages: ChatSchema.shape.messages,
+});
+
+const SUMMARY_INSTRUCTIONS = (maxWords) => [
+  "You maintain the memory of a voice conversation between a user and an AI assistant.",
+  "Merge the new turns into the existing summary.",
+  "Keep names, numbers, dates, decisions, user preferences and open questions; drop small talk.",
+  `Write at most ${maxWords} words in plain sentences, in the language of the conversation.`,
+  "Reply with the updated summary only.",
+].join(" ");
+
+llmRouter.post("/api/chat/summarize", async (req, res) => {
+  const t0 = performance.now();
+  try {
+    const parsed = SummarizeSchema.parse(req.body);
+    const provider = resolveProvider(parsed.provider);
+
+    const transcript = parsed.messages
+      .map((m) => `${m.role === "assistant" ? "Assistant" : m.role === "user" ? "User" : "System"}: ${m.content}`)
+      .join("\n");
+
+    const completion = await completeOnce(res, provider, {
+      model: parsed.model,
+      messages: [
+        { role: "system", content: SUMMARY_INSTRUCTIONS(config.LLM_SUMMARY_MAX_WORDS) },
+        { role: "user", content: `Existing summary:\n${parsed.summary || "(none yet)"}\n\nNew turns:\n${transcript}` },
+      ],
+      temperature: 0.2,
+    });
+
+    const estCostUsd = estimateLlmCostUsd(provider, parsed.model, completion?.usage);
+    recordSpend(req.auth, estCostUsd);
+    res.json({
+      provider: provider.id,
+      model: completion?.model || parsed.model,
+      summary: String(completion?.choices?.[0]?.message?.content ?? "").trim(),
+      wallTimeMs: Math.round(performance.now() - t0),
+      usage: completion?.usage ?? null,
+      estCostUsd,
+    });
+  } catch (e) {
+    res.status(400).json({ error: "Summarize failed", details: String(e?.message || e) });
+  }
+});
+
+// The client left: keep reading for LLM_CANCEL_DRAIN_MS so the metrics show what the upstream
+// was still generating (≈ 4 chars per token), then abort. afterCancel.chars is filled by the reader.
+function abortAfterDrain(abort, afterCancel) {
+  setTimeout(() => {
+    abort();
+    if (afterCancel.chars) incMetric("llm", "estTokensAfterCancel", Math.ceil(afterCancel.chars / 4));
+  }, config.LLM_CANCEL_DRAIN_MS);
+}
+
+// ---------- Streaming SSE ----------
+// With `tools`, every round that ends in tool calls is executed server-side
+// (each call starts as soon as its arguments are complete), results are fed
+// back and the model is called again – all inside this one SSE response.
+llmRouter.post("/api/chat/stream", async (req, res) => {
+  // Client disconnect / barge-in aborts the upstream request (we pay for every token
+  // generated) after a short drain that measures what it would have kept producing.
+  let clientGone = false;
+  const upstreamAbort = new AbortController();
+  const afterCancel = { chars: 0 };
+  const onGone = () => {
+    if (clientGone) return;
+    clientGone = true;
+    if (res.writableEnded) return upstreamAbort.abort();
+    incMetric("llm", "cancelled");
+    abortAfterDrain(() => upstreamAbort.abort(), afterCancel);
+  };
+  req.on("aborted", onGone);
+  res.on("close", onGone);
+  incMetric("llm", "streams");
+
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.setHeader("Content-Encoding", "identity");
+  res.flushHeaders?.();
+
+  const send = (event, dataObj) => {
+    if (clientGone || res.writableEnded) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(dataObj)}\n\n`);
+  };
+
+  const keepAlive = setInterval(() => {
+    if (!clientGone && !res.writableEnded) res.write(`: keepalive\n\n`);
+  }, 15000);
+
+  const serverStart = performance.now();
+  const sinceStart = () => Math.round(performance.now() - serverStart);
+  let serverFirstDeltaMs = null;
+
+  // summed over tool rounds; priced once the model is known
+  let usage = null;
+  let priced = null; // { provider, model }
+  let replyText = "";
+  let params = null; // effective generation parameters
+  let finishReason = null;
+
+  // set once the turn is in a session: { sessionId, assistantMessageId, createdAtMs }
+  let sessionTurn = null;
+
+  // Final assistant message (also on error / barge-in: whatever was generated so far)
+  const saveTurn = (extra) => {
+    if (!sessionTurn) return;
+    sessionStore.upsertMessage(sessionTurn.sessionId, {
+      id: sessionTurn.assistantMessageId,
+      role: "assistant",
+      text: replyText,
+      metrics: {
+        llmServer: {
+          answeredBy: priced ? { provider: priced.provider.id, model: priced.model } : null,
+          usage,
+          estCostUsd: priced ? estimateLlmCostUsd(priced.provider, priced.model, usage) : null,
+          serverTtftMs: serverFirstDeltaMs == null ? null : Math.round(serverFirstDeltaMs),
+          serverTotalMs: sinceStart(),
+          params,
+          finishReason,
+          cancelled: clientGone,
+          ...extra,
+        },
+      },
+    }).catch((e) => console.warn(`⚠️ Session write failed: ${e?.message || e}`));
+  };
+
+  const finish = (extra) => {
+    saveTurn({ attempts: extra.attempts });
+    if (priced) recordSpend(req.auth, estimateLlmCostUsd(priced.provider, priced.model, usage));
+    send("done", {
+      ...extra,
+      finish_reason: finishReason,
+      server_total_ms: sinceStart(),
+      server_ttft_ms: serverFirstDeltaMs == null ? null : Math.round(serverFirstDeltaMs),
+      usage,
+      est_cost_usd: priced ? estimateLlmCostUsd(priced.provider, priced.model, usage) : null,
+      pricing: priced ? llmPricing(priced.provider, priced.model) : null,
+    });
+    clearInterval(keepAlive);
+    res.end();
+  };
+
+  try {
+    const parsed = ChatSchema.parse(req.body);
+
+    // primary model first, then the session's fallbacks (or LLM_FALLBACKS from config)
+    const candidates = [
+      { provider: parsed.provider, model: parsed.model },
+      ...(parsed.fallbacks ?? config.LLM_FALLBACKS),
+    ].map((c) => ({ provider: resolveProvider(c.provider), model: c.model }));
+
+    const toolNames = parsed.tools || [];
+    const unknown = unknownTools(toolNames);
+    if (unknown.length) throw new Error(`Unknown tools: ${unknown.join(", ")}`);
+
+    if (parsed.sessionId) {
+      const session = await sessionStore.get(parsed.sessionId);
+      if (!session) throw new Error(`Unknown session: ${parsed.sessionId}`);
+
+      const lastUser = [...parsed.messages].reverse().find((m) => m.role === "user");
+      const userMessageId = parsed.turn?.userMessageId || crypto.randomUUID();
+      sessionTurn = {
+        sessionId: session.id,
+        userMessageId,
+        assistantMessageId: parsed.turn?.assistantMessageId || crypto.randomUUID(),
+      };
+
+      // user message + assistant placeholder now, so the turn keeps its place in the log
+      const now = Date.now();
+      if (lastUser) {
+        await sessionStore.upsertMessage(session.id, { id: userMessageId, role: "user", text: lastUser.content, createdAtMs: now });
+      }
+      await sessionStore.upsertMessage(session.id, { id: sessionTurn.assistantMessageId, role: "assistant", text: "", createdAtMs: now });
+
+      send("meta", {
+        session: { id: session.id, user_message_id: userMessageId, assistant_message_id: sessionTurn.assistantMessageId },
+      });
+    }
+
+    params = generationParams(parsed);
+
+    send("meta", {
+      provider: candidates[0].provider.id,
+      model: parsed.model,
+      params,
+      tools: toolNames,
+      fallbacks: candidates.slice(1).map((c) => ({ provider: c.provider.id, model: c.model })),
+    });
+
+    const messages = [...parsed.messages];
+
+    // retry/fallback state, shared by all rounds: once a candidate answered, later rounds start there.
+    // attempts = 1 + retries + fallbacks; tool rounds continue the same attempt
+    let ci = 0;
+    let triesOnCandidate = 0;
+    let attempts = 1;
+    let answered = false;
+
+    const announceAnswer = () => {
+      if (answered) return;
+      answered = true;
+      const c = candidates[ci];
+      priced = c;
+      send("meta", { answered_by: { provider: c.provider.id, model: c.model }, attempts, fallback: ci > 0 });
+    };
+
+    for (let round = 0; !clientGone; round++) {
+      // last allowed round goes out without tools so the model has to answer
+      const offerTools = toolNames.length > 0 && round < config.LLM_MAX_TOOL_ROUNDS;
+
+      let roundText = "";
+      let calls = []; // by stream index: { id, name, arguments, startedMs, promise }
+
+      const startCall = (call) => {
+        if (call.promise) return;
+        call.startedMs = sinceStart();
+        send("tool_call", { round, id: call.id, name: call.name, arguments: call.arguments, t_ms: call.startedMs });
+
+        const t0 = performance.now();
+        call.promise = runTool(call.name, call.arguments).then((out) => {
+          const execMs = Math.round(performance.now() - t0);
+          send("tool_result", { round, id: call.id, name: call.name, ...out, exec_ms: execMs, t_ms: sinceStart() });
+          return out;
+        });
+      };
+
+      // Errors before anything of this round was streamed are retried (429/5xx/network,
+      // with backoff) and then fall through the candidate list. Once output went to the
+      // client we can't switch models without repeating speech, so those errors are final.
+      while (!clientGone) {
+        const { provider, model } = candidates[ci];
+        triesOnCandidate += 1;
+        roundText = "";
+        calls = [];
+
+        try {
+          const upstream = await fetch(chatCompletionsUrl(provider), {
+            method: "POST",
+            headers: llmHeaders(provider, { "Accept": "text/event-stream" }),
+            body: JSON.stringify({
+              model,
+              messages,
+              ...params,
+              stream: true,
+              stream_options: { include_usage: true },
+              ...(offerTools ? { tools: toolSpecs(toolNames), tool_choice: "auto" } : {}),
+            }),
+            signal: upstreamAbort.signal,
+          });
+
+          if (!upstream.ok) {
+            const txt = await upstream.text().catch(() => "");
+            throw upstreamError(`Upstream ${provider.label} stream failed`, upstream.status, txt, upstream.headers.get("retry-after"));
+          }
+
+          if (!upstream.body) {
+            throw upstreamError("Upstream response had no body (cannot stream)", null, "");
+          }
+
+          for await (const json of readUpstreamSse(upstream.body)) {
+            if (clientGone) {
+              // read from upstream, but nobody is listening any more
+              afterCancel.chars += json?.choices?.[0]?.delta?.content?.length || 0;
+              continue;
+            }
+
+            // the usage chunk comes last, with empty choices
+            usage = addUsage(usage, chunkUsage(json));
+
+            const d = json?.choices?.[0]?.delta || {};
+            if (json?.choices?.[0]?.finish_reason) finishReason = json.choices[0].finish_reason;
+
+            // tool call fragments: id/name arrive first, arguments are streamed as string pieces
+            for (const tc of d.tool_calls || []) {
+              announceAnswer();
+              const i = tc.index ?? 0;
+              if (!calls[i]) {
+                // previous calls are complete once a new index shows up
+                calls.filter(Boolean).forEach(startCall);
+                calls[i] = { id: tc.id || `call_${round}_${i}`, name: "", arguments: "" };
+              }
+              if (tc.function?.name) calls[i].name += tc.function.name;
+              if (tc.function?.arguments) calls[i].arguments += tc.function.arguments;
+            }
+
+            const delta = d.content ?? d.text ?? "";
+            if (!delta) continue;
+
+            announceAnswer();
+
+            if (serverFirstDeltaMs == null) {
+              serverFirstDeltaMs = performance.now() - serverStart;
+              send("meta", { server_ttft_ms: Math.round(serverFirstDeltaMs) });
+            }
+
+            roundText += delta;
+            replyText += delta;
+            send("delta", { text: delta });
+          }
+
+          // a round that went through doesn't use up the retries of the next one
+          triesOnCandidate = 0;
+          break;
+        } catch (e) {
+          if (clientGone) break;
+          if (roundText || calls.length) throw e;
+
+          const retryable = e.status == null || e.status === 429 || e.status >= 500;
+          let delayMs = 0;
+
+          if (retryable && triesOnCandidate <= config.LLM_RETRY_MAX) {
+            delayMs = retryDelayMs(triesOnCandidate, e.retryAfter);
+          } else if (ci + 1 < candidates.length) {
+            ci += 1;
+            triesOnCandidate = 0;
+          } else {
+            e.attempts = attempts;
+            throw e;
+          }
+
+          send("meta", {
+            retry: {
+              attempt: attempts,
+              provider: provider.id,
+              model,
+              status: e.status ?? null,
+              reason: String(e.details || e?.message || e).slice(0, 300),
+              next: { provider: candidates[ci].provider.id, model: candidates[ci].model },
+              delay_ms: delayMs,
+            },
+          });
+          attempts += 1;
+          if (delayMs) await abortableSleep(delayMs, upstreamAbort.signal);
+        }
+      }
+
+      const pending = calls.filter(Boolean);
+      if (clientGone || !pending.length) break;
+
+      pending.forEach(startCall);
+      const outputs = await Promise.all(pending.map((c) => c.promise));
+
+      messages.push({
+        role: "assistant",
+        content: roundText || null,
+        tool_calls: pending.map((c) => ({ id: c.id, type: "function", function: { name: c.name, arguments: c.arguments || "{}" } })),
+      });
+      pending.forEach((c, i) => {
+        messages.push({ role: "tool", tool_call_id: c.id, content: JSON.stringify(outputs[i].ok ? outputs[i].result : { error: outputs[i].error }) });
+      });
+    }
+
+    finish({
+      answered_by: priced ? { provider: priced.provider.id, model: priced.model } : null,
+      attempts,
+    });
+  } catch (e) {
+    saveTurn({ attempts: e.attempts ?? null, error: e.details ?? String(e?.message || e) });
+    send("error", {
+      message: e.status !== undefined ? e.message : "LLM stream failed",
+      status: e.status ?? undefined,
+      details: e.details ?? String(e?.message || e),
+      attempts: e.attempts,
+    });
+    clearInterval(keepAlive);
+    res.end();
+  }
+});
+
+// ---------- Race ----------
+// Same messages to N models at once. Every event is tagged with the contender
+// `key`; the first model to produce text is announced as `winner`. Losers keep
+// streaming (unless cancelLosers) so their full timings can be compared.
+const RaceSchema = z.object({
+  contenders: z.array(
+    z.object({
+      provider: z.string().optional(),
+      model: z.string().min(1),
+    })
+  ).min(2),
+  messages: ChatSchema.shape.messages,
+  ...GenerationParams,
+  cancelLosers: z.boolean().default(false),
+});
+
+llmRouter.post("/api/chat/race", async (req, res) => {
+  let clientGone = false;
+  const controllers = new Set();
+  const afterCancel = { chars: 0 };
+  const abortAll = () => {
+    for (const c of controllers) { try { c.abort(); } catch {} }
+  };
+  const onGone = () => {
+    if (clientGone) return;
+    clientGone = true;
+    if (res.writableEnded) return abortAll();
+    incMetric("llm", "cancelled");
+    abortAfterDrain(abortAll, afterCancel);
+  };
+  req.on("aborted", onGone);
+  res.on("close", onGone);
+  incMetric("llm", "streams");
+
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.setHeader("Content-Encoding", "identity");
+  res.flushHeaders?.();
+
+  const send = (event, dataObj) => {
+    if (clientGone || res.writableEnded) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(dataObj)}\n\n`);
+  };
+
+  const keepAlive = setInterval(() => {
+    if (!clientGone && !res.writableEnded) res.write(`: keepalive\n\n`);
+  }, 15000);
+
+  const serverStart = performance.now();
+  let winner = null;
+
+  try {
+    const parsed = RaceSchema.parse(req.body);
+    if (parsed.contenders.length > config.LLM_RACE_MAX_MODELS) {
+      throw new Error(`At most ${config.LLM_RACE_MAX_MODELS} models per race`);
+    }
+
+    const contenders = parsed.contenders.map((c, i) => {
+      const provider = resolveProvider(c.provider);
+      return { key: `${i}:${provider.id}:${c.model}`, provider, model: c.model, controller: new AbortController() };
+    });
+    contenders.forEach((c) => controllers.add(c.controller));
+
+    send("meta", {
+      contenders: contenders.map((c) => ({ key: c.key, provider: c.provider.id, model: c.model })),
+      params: generationParams(parsed),
+    });
+
+    const runOne = async (c) => {
+      const r = {
+        key: c.key,
+        provider: c.provider.id,
+        model: c.model,
+        ttft_ms: null,
+        total_ms: null,
+        tokens: 0,
+        chars: 0,
+        tokens_per_sec: null,
+        usage: null,
+        est_cost_usd: null,
+        error: null,
+        cancelled: false,
+      };
+      let chunks = 0;
+
+      try {
+        const upstream = await fetch(chatCompletionsUrl(c.provider), {
+          method: "POST",
+          headers: llmHeaders(c.provider, { "Accept": "text/event-stream" }),
+          body: JSON.stringify({
+            model: c.model,
+            messages: parsed.messages,
+            ...generationParams(parsed),
+            stream: true,
+            stream_options: { include_usage: true },
+          }),
+          signal: c.controller.signal,
+        });
+
+        if (!upstream.ok || !upstream.body) {
+          const txt = await upstream.text().catch(() => "");
+          throw new Error(`Upstream ${c.provider.label} failed (${upstream.status}): ${txt.slice(0, 300)}`);
+        }
+
+        for await (const json of readUpstreamSse(upstream.body)) {
+          if (clientGone) {
+            afterCancel.chars += json?.choices?.[0]?.delta?.content?.length || 0;
+            continue;
+          }
+          r.usage = addUsage(r.usage, chunkUsage(json));
+
+          const d = json?.choices?.[0]?.delta || {};
+          const delta = d.content ?? d.text ?? "";
+          if (!delta) continue;
+
+          if (r.ttft_ms == null) {
+            r.ttft_ms = Math.round(performance.now() - serverStart);
+            send("first_token", { key: c.key, ttft_ms: r.ttft_ms });
+
+            if (!winner) {
+              winner = c.key;
+              send("winner", { key: c.key, ttft_ms: r.ttft_ms });
+              if (parsed.cancelLosers) {
+                for (const o of contenders) if (o !== c) o.controller.abort();
+              }
+            }
+          }
+
+          chunks += 1;
+          r.chars += delta.length;
+          send("delta", { key: c.key, text: delta });
+        }
+      } catch (e) {
+        if (c.controller.signal.aborted) r.cancelled = true;
+        else r.error = String(e?.message || e);
+      }
+
+      r.total_ms = Math.round(performance.now() - serverStart);
+      // real completion tokens when the provider reports usage; else one content chunk ≈ one token
+      r.tokens = r.usage?.completion_tokens ?? chunks;
+      r.est_cost_usd = estimateLlmCostUsd(c.provider, c.model, r.usage);
+      recordSpend(req.auth, r.est_cost_usd);
+      const genMs = r.ttft_ms == null ? null : r.total_ms - r.ttft_ms;
+      r.tokens_per_sec = genMs > 0 ? Math.round((r.tokens / genMs) * 1000 * 10) / 10 : null;
+
+      send("model_done", r);
+      return r;
+    };
+
+    const results = await Promise.all(contenders.map(runOne));
+
+    if (!winner) {
+      send("error", { message: "No model in the race produced any text", details: results.map((r) => r.error).filter(Boolean).join(" | ") });
+    }
+
+    send("done", {
+      winner,
+      server_total_ms: Math.round(performance.now() - serverStart),
+      results,
+    });
+    clearInterval(keepAlive);
+    res.end();
+  } catch (e) {
+    send("error", { message: "LLM race failed", details: String(e?.message || e) });
+    clearInterval(keepAlive);
+    res.end();
+  }
+});
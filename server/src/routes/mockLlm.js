@@ -0,0 +1,145 @@
+import express from "express";
+import { config } from "../config.js";
+
+// Minimal OpenAI-compatible backend so the whole pipeline runs without keys.
+// Registered as the "mock" LLM provider (see config.LLM_PROVIDERS).
+export const mockLlmRouter = express.Router();
+
+// mock-429 always rate-limits and mock-flaky fails every other request,
+// so retries and fallbacks can be tried offline
+const MOCK_MODELS = ["mock-echo", "mock-flaky", "mock-429"];
+let flakyCount = 0;
+
+// Crude intent matching so the tool-calling path can be exercised offline too
+function mockToolCall(messages, tools) {
+  const last = messages[messages.length - 1];
+  if (!tools?.length || last?.role !== "user") return null;
+
+  const offered = new Set(tools.map((t) => t.function?.name));
+  const text = String(last.content || "");
+  const math = text.match(/[(\d][\d.\s()+\-*/^%]*[\d)]/);
+
+  if (offered.has("order_status") && /\border\b/i.test(text)) {
+    return { name: "order_status", arguments: { order_id: text.match(/\d{3,}/)?.[0] || "10001" } };
+  }
+  if (offered.has("get_time") && /\btime\b/i.test(text)) return { name: "get_time", arguments: {} };
+  if (offered.has("calculator") && math && /[-+*/^%]/.test(math[0])) return { name: "calculator", arguments: { expression: math[0].trim() } };
+  return null;
+}
+
+// /api/chat/summarize sends "Existing summary: ... New turns: ..." – keep what the user said
+function mockSummary(prompt) {
+  const [, existing = "", turns = ""] = prompt.match(/^Existing summary:\n([\s\S]*?)\n\nNew turns:\n([\s\S]*)$/) || [];
+  const said = turns.split("\n").filter((l) => l.startsWith("User: ")).map((l) => `"${l.slice(6).trim()}"`);
+  const before = existing === "(none yet)" ? "" : `${existing} `;
+  return `${before}The user said ${said.join(", ") || "nothing new"}.`.slice(-800);
+}
+
+function mockReply(messages) {
+  const last = messages[messages.length - 1];
+  if (last?.role === "tool") return `Here is what I found: ${String(last.content || "").slice(0, 300)}`;
+  if (last?.role === "user" && String(last.content || "").startsWith("Existing summary:")) return mockSummary(String(last.content));
+
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const said = String(lastUser?.content || "").replace(/\s+/g, " ").trim().slice(0, 200);
+
+  return said
+    ? `Sure. You said: "${said}". This is a canned reply from the offline mock model, streamed word by word.`
+    : "Hello! This is the offline mock model. Say something and I will echo it back.";
+}
+
+// max_tokens / stop / JSON mode, roughly like a real backend: -> { text, finish }
+function applyParams(text, body) {
+  let out = text;
+  let finish = "stop";
+
+  const fmt = body?.response_format?.type;
+  if (fmt === "json_object" || fmt === "json_schema") out = JSON.stringify({ reply: out });
+
+  for (const s of [].concat(body?.stop || [])) {
+    const at = out.indexOf(s);
+    if (at !== -1) out = out.slice(0, at);
+  }
+
+  // one "token" per word here
+  const words = out.match(/\S+\s*/g) || [];
+  if (body?.max_tokens && words.length > body.max_tokens) {
+    out = words.slice(0, body.max_tokens).join("");
+    finish = "length";
+  }
+  return { text: out, finish };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+mockLlmRouter.get("/mock/v1/models", (_req, res) => {
+  res.json({ object: "list", data: MOCK_MODELS.map((id) => ({ id, object: "model", owned_by: "mock" })) });
+});
+
+mockLlmRouter.post("/mock/v1/chat/completions", async (req, res) => {
+  const model = String(req.body?.model || MOCK_MODELS[0]);
+  const messages = Array.isArray(req.body?.messages) ? req.body.messages : [];
+  const toolCall = mockToolCall(messages, req.body?.tools);
+  const { text, finish } = applyParams(mockReply(messages), req.body);
+  const id = `mock-${Date.now()}`;
+
+  if (model === "mock-429") {
+    res.setHeader("Retry-After", "1");
+    return res.status(429).json({ error: { message: "Mock rate limit", type: "rate_limit_exceeded" } });
+  }
+  if (model === "mock-flaky" && flakyCount++ % 2 === 0) {
+    return res.status(503).json({ error: { message: "Mock upstream unavailable", type: "service_unavailable" } });
+  }
+
+  if (!req.body?.stream) {
+    await sleep(config.MOCK_LLM_TTFT_MS);
+    return res.json({
+      id,
+      object: "chat.completion",
+      model,
+      choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: finish }],
+    });
+  }
+
+  let gone = false;
+  res.on("close", () => { gone = true; });
+
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.flushHeaders?.();
+
+  const chunk = (delta, finish = null) =>
+    `data: ${JSON.stringify({ id, object: "chat.completion.chunk", model, choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+
+  await sleep(config.MOCK_LLM_TTFT_MS);
+
+  if (toolCall) {
+    // name first, arguments in a second fragment – like real providers
+    const callId = `call_${Date.now()}`;
+    res.write(chunk({ tool_calls: [{ index: 0, id: callId, type: "function", function: { name: toolCall.name, arguments: "" } }] }));
+    await sleep(config.MOCK_LLM_TOKEN_MS);
+    res.write(chunk({ tool_calls: [{ index: 0, function: { arguments: JSON.stringify(toolCall.arguments) } }] }));
+    res.write(chunk({}, "tool_calls"));
+    res.write("data: [DONE]\n\n");
+    return res.end();
+  }
+
+  // one "token" per word (keeping the trailing space)
+  for (const tok of text.match(/\S+\s*/g) || []) {
+    if (gone) return;
+    res.write(chunk({ content: tok }));
+    await sleep(config.MOCK_LLM_TOKEN_MS);
+  }
+
+  if (gone) return;
+  res.write(chunk({}, finish));
+  if (req.body?.stream_options?.include_usage) {
+    // rough 4 chars per token, good enough for exercising the cost path
+    const promptChars = messages.reduce((n, m) => n + String(m.content || "").length, 0);
+    const usage = { prompt_tokens: Math.ceil(promptChars / 4), completion_tokens: Math.ceil(text.length / 4) };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", model, choices: [], usage })}\n\n`);
+  }
+  res.write("data: [DONE]\n\n");
+  res.end();
+});
@@ -0,0 +1,105 @@
+import express from "express";
+import { z } from "zod";
+import { isPromptId, promptStore } from "../prompts/index.js";
+
+// System prompt templates with {{variable}} placeholders, versioned.
+// The Setup page fills in the variables; sessions record { id, version }.
+export const promptsRouter = express.Router();
+
+const CreatePromptSchema = z.object({
+  name: z.string().trim().min(1).max(120),
+  description: z.string().max(500).optional(),
+  body: z.string().min(1).max(50000),
+  note: z.string().max(500).optional(),
+});
+
+const UpdatePromptSchema = z.object({
+  name: z.string().trim().min(1).max(120).optional(),
+  description: z.string().max(500).optional(),
+  // a changed body becomes the next version
+  body: z.string().min(1).max(50000).optional(),
+  note: z.string().max(500).optional(),
+});
+
+function badId(res) {
+  return res.status(400).json({ error: "Invalid prompt id" });
+}
+
+promptsRouter.get("/api/prompts", async (_req, res) => {
+  try {
+    res.json({ prompts: await promptStore.list() });
+  } catch (e) {
+    res.status(500).json({ error: "Failed to list prompts", details: String(e?.message || e) });
+  }
+});
+
+promptsRouter.post("/api/prompts", async (req, res) => {
+  let parsed;
+  try {
+    parsed = CreatePromptSchema.parse(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid prompt", details: String(e?.message || e) });
+  }
+
+  try {
+    res.status(201).json(await promptStore.create(parsed));
+  } catch (e) {
+    res.status(500).json({ error: "Failed to create prompt", details: String(e?.message || e) });
+  }
+});
+
+// Template with every version
+promptsRouter.get("/api/prompts/:id", async (req, res) => {
+  if (!isPromptId(req.params.id)) return badId(res);
+
+  // missing -> null (404); an unreadable or corrupt file is a 500
+  try {
+    const t = await promptStore.get(req.params.id);
+    if (!t) return res.status(404).json({ error: "Prompt not found" });
+    res.json(t);
+  } catch (e) {
+    res.status(500).json({ error: "Failed to read prompt", details: String(e?.message || e) });
+  }
+});
+
+promptsRouter.get("/api/prompts/:id/versions/:version", async (req, res) => {
+  if (!isPromptId(req.params.id)) return badId(res);
+
+  try {
+    const v = await promptStore.getVersion(req.params.id, Number(req.params.version));
+    if (!v) return res.status(404).json({ error: "Prompt version not found" });
+    res.json(v);
+  } catch (e) {
+    res.status(500).json({ error: "Failed to read prompt", details: String(e?.message || e) });
+  }
+});
+
+promptsRouter.put("/api/prompts/:id", async (req, res) => {
+  if (!isPromptId(req.params.id)) return badId(res);
+  let parsed;
+  try {
+    parsed = UpdatePromptSchema.parse(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid prompt update", details: String(e?.message || e) });
+  }
+
+  try {
+    const t = await promptStore.update(req.params.id, parsed);
+    if (!t) return res.status(404).json({ error: "Prompt not found" });
+    res.json(t);
+  } catch (e) {
+    res.status(500).json({ error: "Failed to update prompt", details: String(e?.message || e) });
+  }
+});
+
+promptsRouter.delete("/api/prompts/:id", async (req, res) => {
+  if (!isPromptId(req.params.id)) return badId(res);
+
+  try {
+    const removed = await promptStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Prompt not found" });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: "Failed to delete prompt", details: String(e?.message || e) });
+  }
+});
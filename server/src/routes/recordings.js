@@ -0,0 +1,69 @@
+import express from "express";
+import { recordingStore } from "../recordings/index.js";
+import { isSessionId } from "../sessions/index.js";
+
+// Recorded audio of a session (opt-in: /ws?record=1, /api/synthesize { record }).
+// The index lists mic WAVs with their user turns and TTS chunks by turn; files are
+// served with range support so the browser can seek to a turn (mic-1.wav#t=3.2,5.8).
+export const recordingsRouter = express.Router();
+
+function badId(res) {
+  return res.status(400).json({ error: "Invalid session id" });
+}
+
+function failed(res, error, e) {
+  return res.status(500).json({ error, details: String(e?.message || e) });
+}
+
+recordingsRouter.get("/api/sessions/:id/recordings", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+
+  let doc;
+  try {
+    doc = await recordingStore.get(req.params.id);
+  } catch (e) {
+    return failed(res, "Failed to read recordings", e);
+  }
+  if (!doc) return res.status(404).json({ error: "No recordings for this session" });
+
+  const url = (file) => `/api/sessions/${doc.id}/recordings/${encodeURIComponent(file)}`;
+  res.json({
+    ...doc,
+    mic: doc.mic.map((m) => ({ ...m, url: url(m.file) })),
+    tts: doc.tts
+      .map((t) => ({ ...t, url: url(t.file) }))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || (a.seq ?? 0) - (b.seq ?? 0)),
+  });
+});
+
+recordingsRouter.get("/api/sessions/:id/recordings/:file", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+
+  let found;
+  try {
+    found = await recordingStore.resolveFile(req.params.id, req.params.file);
+  } catch (e) {
+    return failed(res, "Failed to read recordings", e);
+  }
+  if (!found) return res.status(404).json({ error: "Recording not found" });
+
+  res.setHeader("Content-Type", found.mime);
+  res.setHeader("Cache-Control", "no-store");
+  if (req.query.download === "1") res.attachment(req.params.file);
+  // RECORDINGS_DIR defaults to a dot-directory, which sendFile refuses unless told otherwise
+  res.sendFile(found.path, { dotfiles: "allow" }, (err) => {
+    if (err && !res.headersSent) res.status(err.statusCode || 500).json({ error: "Recording not readable", details: String(err.message || err) });
+  });
+});
+
+recordingsRouter.delete("/api/sessions/:id/recordings", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+
+  try {
+    const removed = await recordingStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "No recordings for this session" });
+    res.json({ ok: true });
+  } catch (e) {
+    failed(res, "Failed to delete recordings", e);
+  }
+});
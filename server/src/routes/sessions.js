@@ -0,0 +1,124 @@
+import express from "express";
+import { z } from "zod";
+import { recordingStore } from "../recordings/index.js";
+import { isSessionId, sessionStore } from "../sessions/index.js";
+
+// Conversation sessions: config, messages and per-turn metrics survive a reload.
+// /api/chat/stream appends turns itself when given a sessionId; the client
+// merges its own metrics (STT, TTS, what was heard) into the same messages.
+export const sessionsRouter = express.Router();
+
+const CreateSessionSchema = z.object({
+  // the client's session config (models, voice, prompt, ...), stored as-is
+  config: z.record(z.any()).default({}),
+});
+
+const PatchSessionSchema = z.object({
+  config: z.record(z.any()).optional(),
+  // client-side session stats (STT audio seconds, cost, Deepgram request id, ...)
+  stats: z.record(z.any()).optional(),
+  // client context manager: rolling summary of turns dropped from the prompt
+  memory: z.record(z.any()).optional(),
+  endedAt: z.string().datetime().nullable().optional(),
+});
+
+const MessageSchema = z.object({
+  role: z.enum(["user", "assistant"]).optional(),
+  text: z.string().max(20000).optional(),
+  createdAtMs: z.number().optional(),
+  spokenText: z.string().max(20000).optional(),
+  heard: z.record(z.any()).optional(),
+  metrics: z.record(z.any()).optional(),
+});
+
+function badId(res) {
+  return res.status(400).json({ error: "Invalid session id" });
+}
+
+sessionsRouter.get("/api/sessions", async (_req, res) => {
+  try {
+    res.json({ sessions: await sessionStore.list() });
+  } catch (e) {
+    res.status(500).json({ error: "Failed to list sessions", details: String(e?.message || e) });
+  }
+});
+
+sessionsRouter.post("/api/sessions", async (req, res) => {
+  let parsed;
+  try {
+    parsed = CreateSessionSchema.parse(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid session", details: String(e?.message || e) });
+  }
+
+  try {
+    res.status(201).json(await sessionStore.create(parsed));
+  } catch (e) {
+    res.status(500).json({ error: "Failed to create session", details: String(e?.message || e) });
+  }
+});
+
+sessionsRouter.get("/api/sessions/:id", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+
+  // missing -> null (404); an unreadable or corrupt file is a 500
+  try {
+    const session = await sessionStore.get(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json(session);
+  } catch (e) {
+    res.status(500).json({ error: "Failed to read session", details: String(e?.message || e) });
+  }
+});
+
+sessionsRouter.patch("/api/sessions/:id", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+  let parsed;
+  try {
+    parsed = PatchSessionSchema.parse(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid session update", details: String(e?.message || e) });
+  }
+
+  try {
+    const session = await sessionStore.patch(req.params.id, parsed);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json({ ok: true, updatedAt: session.updatedAt });
+  } catch (e) {
+    res.status(500).json({ error: "Failed to update session", details: String(e?.message || e) });
+  }
+});
+
+// Insert or merge one message (by id)
+sessionsRouter.put("/api/sessions/:id/messages/:messageId", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+  if (!isSessionId(req.params.messageId)) return res.status(400).json({ error: "Invalid message id" });
+  let parsed;
+  try {
+    parsed = MessageSchema.parse(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid message", details: String(e?.message || e) });
+  }
+
+  try {
+    const session = await sessionStore.upsertMessage(req.params.id, { id: req.params.messageId, ...parsed });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json({ ok: true, updatedAt: session.updatedAt });
+  } catch (e) {
+    res.status(500).json({ error: "Failed to save message", details: String(e?.message || e) });
+  }
+});
+
+sessionsRouter.delete("/api/sessions/:id", async (req, res) => {
+  if (!isSessionId(req.params.id)) return badId(res);
+
+  try {
+    const removed = await sessionStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Session not found" });
+    // its audio goes with it
+    await recordingStore.remove(req.params.id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: "Failed to delete session", details: String(e?.message || e) });
+  }
+});
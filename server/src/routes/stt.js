@@ -0,0 +1,19 @@
+import express from "express";
+import { listSttProviders } from "../stt/index.js";
+
+export const sttRouter = express.Router();
+
+// STT providers the /ws proxy can use (?provider=<id>), with price per minute
+sttRouter.get("/api/stt/providers", (_req, res) => {
+  res.json({
+    providers: listSttProviders().map((p) => ({
+      id: p.id,
+      label: p.label,
+      offline: p.offline,
+      pricePerMinUsd: p.pricePerMinUsd,
+      models: p.models,
+      languages: p.languages,
+      unavailable: p.unavailableReason(),
+    })),
+  });
+});
@@ -1,100 +1,93 @@
 import express from "express";
 import { z } from "zod";
-import textToSpeech from "@google-cloud/text-to-speech";
+import { config } from "../config.js";
+import { recordSpend } from "../auth/index.js";
+import { incMetric } from "../metrics.js";
+import { recordingStore } from "../recordings/index.js";
+import { isSessionId } from "../sessions/index.js";
+import { encodingToMime } from "../tts/audio.js";
+import { createTtsCache, ttsCacheKey } from "../tts/cache.js";
+import {
+  applyCapabilities,
+  canStreamNatively,
+  findVoice,
+  getTtsProvider,
+  listTtsProviders,
+  synthesizeStream,
+} from "../tts/index.js";
 
 export const ttsRouter = express.Router();
 
-// Initialize Google TTS client (make sure GOOGLE_APPLICATION_CREDENTIALS env var is set to your service account key file)
-const ttsClient = new textToSpeech.TextToSpeechClient();
-
-const VOICES_CACHE_TTL_SEC = 6 * 60 * 60;
-let voicesCache = { atMs: 0, voices: [] };
-
-// Pricing estimates (USD per 1M chars). Update if you want.
-const PRICE_PER_1M_USD = {
-  STANDARD: 4,
-  WAVENET: 4,
-  NEURAL2: 16,
-  STUDIO: 160,
-  CHIRP_HD: 30,
-  POLYGLOT: 16,
-  OTHER: 16,
-};
-
-// IMPORTANT: infer voice type from name (this is what your earlier working server did)
-function voiceTypeFromName(voiceName = "") {
-  const n = String(voiceName);
-
-  if (n.includes("-Studio-")) return "STUDIO";
-  if (n.includes("-Neural2-") || n.includes("Neural2")) return "NEURAL2";
-  if (n.includes("-Wavenet-") || n.includes("-WaveNet-") || n.includes("Wavenet") || n.includes("WaveNet")) return "WAVENET";
-  if (n.includes("-Standard-") || n.includes("Standard")) return "STANDARD";
-  if (n.includes("Chirp3-HD") || n.includes("Chirp-HD") || n.includes("-Chirp-") || n.includes("Chirp")) return "CHIRP_HD";
-  if (n.includes("-Polyglot-") || n.includes("Polyglot")) return "POLYGLOT";
-
-  return "OTHER";
-}
+const ttsCache = createTtsCache({
+  enabled: config.TTS_CACHE_ENABLED,
+  maxEntries: config.TTS_CACHE_MAX_ENTRIES,
+  maxBytes: config.TTS_CACHE_MAX_MB * 1024 * 1024,
+  ttlSec: config.TTS_CACHE_TTL_SEC,
+  dir: config.TTS_CACHE_DIR,
+  maxDiskEntries: config.TTS_CACHE_DISK_MAX_ENTRIES,
+  maxDiskBytes: config.TTS_CACHE_DISK_MAX_MB * 1024 * 1024,
+});
 
-// Estimate cost based on voice type and character count
-function estimateTtsCostUsd(voiceType, charCount) {
-  const per1m = PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER;
-  return (per1m / 1_000_000) * charCount;
-}
+ttsRouter.get("/api/tts/cache", (_req, res) => {
+  res.json(ttsCache.stats());
+});
 
-function encodingToMime(enc) {
-  if (enc === "MP3") return "audio/mpeg";
-  if (enc === "OGG_OPUS") return "audio/ogg";
-  if (enc === "LINEAR16") return "audio/wav";
-  if (enc === "MULAW") return "audio/basic";
-  return "application/octet-stream";
-}
+ttsRouter.delete("/api/tts/cache", async (_req, res) => {
+  await ttsCache.clear();
+  res.json({ ok: true, ...ttsCache.stats() });
+});
 
-async function listVoicesCached() {
-  const now = Date.now();
-  if (voicesCache.voices.length && now - voicesCache.atMs < VOICES_CACHE_TTL_SEC * 1000) {
-    return voicesCache.voices;
-  }
+ttsRouter.get("/api/tts/providers", (_req, res) => {
+  res.json({
+    providers: listTtsProviders().map((p) => ({
+      id: p.id,
+      label: p.label,
+      offline: p.offline,
+      capabilities: p.capabilities,
+      pricing: p.pricing,
+    })),
+  });
+});
 
-  const [resp] = await ttsClient.listVoices({});
-  const voices = (resp.voices || []).map((v) => ({
-    name: v.name,
-    languageCodes: v.languageCodes || [],
-    ssmlGender: v.ssmlGender || "SSML_VOICE_GENDER_UNSPECIFIED",
-    naturalSampleRateHertz: v.naturalSampleRateHertz || null,
-    voiceType: voiceTypeFromName(v.name),
-  }));
-
-  voicesCache = { atMs: now, voices };
-  return voices;
-}
+ttsRouter.get("/api/voices", async (req, res) => {
+  const only = req.query.provider ? String(req.query.provider) : null;
+  const providers = only ? [getTtsProvider(only)].filter(Boolean) : listTtsProviders();
+  if (!providers.length) return res.status(400).json({ error: `Unknown TTS provider: ${only}` });
 
-ttsRouter.get("/api/voices", async (_req, res) => {
-  try {
-    const voices = await listVoicesCached();
-    const languages = Array.from(new Set(voices.flatMap((v) => v.languageCodes))).sort();
-    const voiceTypes = Array.from(new Set(voices.map((v) => v.voiceType))).sort();
-
-    res.json({
-      voices,
-      languages,
-      voiceTypes,
-      cache: {
-        ttlSec: VOICES_CACHE_TTL_SEC,
-        cachedAt: voicesCache.atMs ? new Date(voicesCache.atMs).toISOString() : null,
-        count: voices.length,
-      },
-      pricing: {
-        currency: "USD",
-        per1MCharacters: PRICE_PER_1M_USD,
-        note: "Estimates only.",
-      },
-    });
-  } catch (e) {
-    res.status(500).json({ error: "Failed to list voices", details: String(e?.message || e) });
+  const results = await Promise.allSettled(providers.map((p) => p.listVoices()));
+  const voices = results.flatMap((r) => (r.status === "fulfilled" ? r.value : []));
+  const errors = results
+    .map((r, i) => (r.status === "rejected" ? { provider: providers[i].id, details: String(r.reason?.message || r.reason) } : null))
+    .filter(Boolean);
+
+  if (errors.length === providers.length) {
+    return res.status(500).json({ error: "Failed to list voices", details: errors.map((e) => `${e.provider}: ${e.details}`).join(" | ") });
   }
+
+  const languages = Array.from(new Set(voices.flatMap((v) => v.languageCodes))).sort();
+  const voiceTypes = Array.from(new Set(voices.map((v) => v.voiceType))).sort();
+  const google = getTtsProvider("google");
+
+  res.json({
+    voices,
+    languages,
+    voiceTypes,
+    errors,
+    cache: {
+      ...google.cacheInfo(),
+      count: voices.length,
+    },
+    pricing: {
+      currency: "USD",
+      per1MCharacters: google.pricing.per1MCharacters,
+      byProvider: Object.fromEntries(providers.map((p) => [p.id, p.pricing])),
+      note: "Estimates only.",
+    },
+  });
 });
 
 const SynthesizeSchema = z.object({
+  provider: z.string().min(1).optional(),
   inputType: z.enum(["text", "ssml"]).default("text"),
   text: z.string().min(1).max(4000),
   voiceName: z.string().min(1),
@@ -103,96 +96,322 @@ const SynthesizeSchema = z.object({
   speakingRate: z.number().min(0.25).max(4.0).optional(),
   pitch: z.number().min(-20).max(20).optional(),
   volumeGainDb: z.number().min(-96.0).max(16.0).optional(),
+  // Ask for per-word timing (X-TTS-Timepoints) where the voice supports it
+  timepoints: z.boolean().default(false),
+  // Keep the audio in the session's recordings, indexed by turn (assistant message id) + chunk seq
+  record: z.object({
+    sessionId: z.string().refine(isSessionId, "Invalid sessionId"),
+    turnId: z.string().max(64).optional(),
+    seq: z.number().int().min(0).optional(),
+  }).optional(),
 });
 
+// Validate + resolve provider/voice. Returns { error } (400) or the prepared request.
+async function prepareSynthesis(body, opts = {}) {
+  const parsed = SynthesizeSchema.parse(body);
+  if (parsed.provider && !getTtsProvider(parsed.provider)) {
+    return { error: `Unknown TTS provider: ${parsed.provider}. See /api/tts/providers.` };
+  }
+
+  const { provider, voice } = await findVoice(parsed.voiceName, parsed.provider);
+  if (!voice) return { error: "Unknown voiceName. Fetch /api/voices and pick one from the list." };
+
+  const { caps, request, warnings } = applyCapabilities(provider, voice, parsed, opts);
+  const estCostUsd = provider.estimateCostUsd(voice, parsed.text.length);
+  const cacheKey = ttsCacheKey({ provider, request });
+  return { parsed, provider, voice, caps, request, warnings, charCount: parsed.text.length, estCostUsd, cacheKey };
+}
+
+// After the response; a failed write only costs the recording
+function recordChunk({ parsed, provider, voice, request }, audio) {
+  if (!parsed.record) return;
+  const { sessionId, turnId, seq } = parsed.record;
+  recordingStore
+    .saveTts(sessionId, {
+      turnId,
+      seq,
+      text: parsed.text,
+      provider: provider.id,
+      voiceName: voice.name,
+      encoding: request.audioEncoding,
+      mime: encodingToMime(request.audioEncoding),
+      audio,
+    })
+    .catch((e) => console.warn("⚠️ TTS recording failed:", e?.message || e));
+}
+
+// cached = { tier } on a hit: nothing was billed, the estimate is reported as saved instead
+function setCommonTtsHeaders(res, { provider, voice, request, warnings, charCount, estCostUsd }, cached) {
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Access-Control-Expose-Headers", config.EXPOSE_HEADERS.join(", "));
+
+  res.setHeader("X-TTS-Char-Count", String(charCount));
+  res.setHeader("X-TTS-Est-Cost-Usd", String(cached ? 0 : estCostUsd));
+  res.setHeader("X-TTS-Cache", cached ? "hit" : "miss");
+  if (cached) {
+    res.setHeader("X-TTS-Cache-Tier", cached.tier);
+    res.setHeader("X-TTS-Saved-Usd", String(estCostUsd));
+  }
+  res.setHeader("X-TTS-Provider", provider.id);
+  res.setHeader("X-TTS-Encoding", request.audioEncoding);
+  res.setHeader("X-TTS-Voice-Type", voice.voiceType);
+  res.setHeader("X-TTS-Warnings", encodeURIComponent(warnings.join(" | ")));
+}
+
 ttsRouter.post("/api/synthesize", async (req, res) => {
   const startedAtHr = process.hrtime.bigint();
 
+  // Barge-in aborts the fetch: cancel the provider call instead of finishing it for nobody
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (res.writableEnded) return;
+    incMetric("tts", "cancelled");
+    abort.abort();
+  });
+  incMetric("tts", "requests");
+
   try {
-    const parsed = SynthesizeSchema.parse(req.body);
-    const voices = await listVoicesCached();
-    const voice = voices.find((v) => v.name === parsed.voiceName);
-    if (!voice) return res.status(400).json({ error: "Unknown voiceName. Fetch /api/voices and pick one from the list." });
-
-    const voiceType = voice.voiceType;
-    const warnings = [];
-
-    // Chirp 3: HD limitations (same logic you had earlier)
-    let inputType = parsed.inputType;
-    let speakingRate = parsed.speakingRate;
-    let pitch = parsed.pitch;
-
-    if (voiceType === "CHIRP_HD") {
-      if (inputType === "ssml") {
-        warnings.push("Chirp 3: HD voices do not support SSML. Falling back to plain text.");
-        inputType = "text";
-      }
-      if (speakingRate !== undefined) {
-        warnings.push("Chirp 3: HD voices do not support speakingRate. Ignoring.");
-        speakingRate = undefined;
-      }
-      if (pitch !== undefined) {
-        warnings.push("Chirp 3: HD voices do not support pitch. Ignoring.");
-        pitch = undefined;
-      }
-    }
+    const prep = await prepareSynthesis(req.body);
+    if (prep.error) return res.status(400).json({ error: prep.error });
 
-    const charCount = parsed.text.length;
-
-    const request = {
-      input: inputType === "ssml" ? { ssml: parsed.text } : { text: parsed.text },
-      voice: {
-        name: parsed.voiceName,
-        languageCode: parsed.languageCode || (voice.languageCodes?.[0] ?? undefined),
-      },
-      audioConfig: {
-        audioEncoding: parsed.audioEncoding,
-        ...(speakingRate !== undefined ? { speakingRate } : {}),
-        ...(pitch !== undefined ? { pitch } : {}),
-        ...(parsed.volumeGainDb !== undefined ? { volumeGainDb: parsed.volumeGainDb } : {}),
-      },
-    };
+    const { provider, request } = prep;
 
     const t0 = process.hrtime.bigint();
-    const [response] = await ttsClient.synthesizeSpeech(request);
+    const cached = await ttsCache.get(prep.cacheKey);
+    const { audio: audioBuf, timepoints } = cached
+      ? { audio: cached.audio, timepoints: cached.meta.timepoints }
+      : await provider.synthesize(request, { signal: abort.signal });
     const t1 = process.hrtime.bigint();
 
-    const audioContent = response.audioContent;
-    if (!audioContent) return res.status(500).json({ error: "No audioContent returned by Google TTS." });
+    // still cached: the same sentence may well be asked for again. Not awaited: the disk
+    // write must not count towards X-TTS-Total-Ms (the memory tier is filled right away)
+    if (!cached) {
+      recordSpend(req.auth, prep.estCostUsd);
+      ttsCache.set(prep.cacheKey, audioBuf, { estCostUsd: prep.estCostUsd, timepoints });
+    }
 
-    const audioBuf = Buffer.isBuffer(audioContent) ? audioContent : Buffer.from(audioContent);
+    if (abort.signal.aborted) {
+      if (!cached) {
+        incMetric("tts", "completedAfterCancel");
+        incMetric("tts", "charsAfterCancel", prep.charCount);
+      }
+      return;
+    }
 
     const serverTtsMs = Math.round(Number(t1 - t0) / 1e6);
     const serverTotalMs = Math.round(Number(process.hrtime.bigint() - startedAtHr) / 1e6);
-    const estCostUsd = estimateTtsCostUsd(voiceType, charCount);
-    const mime = encodingToMime(parsed.audioEncoding);
+    const mime = encodingToMime(request.audioEncoding);
 
     // ✅ Binary audio (faster than base64 JSON)
     res.setHeader("Content-Type", mime);
     res.setHeader("Content-Length", String(audioBuf.length));
-    res.setHeader("Cache-Control", "no-store");
 
     // ✅ Important server timing headers
-    res.setHeader("Access-Control-Expose-Headers", [
-      "X-TTS-Tts-Ms",
-      "X-TTS-Total-Ms",
-      "X-TTS-Char-Count",
-      "X-TTS-Est-Cost-Usd",
-      "X-TTS-Encoding",
-      "X-TTS-Voice-Type",
-      "X-TTS-Warnings",
-    ].join(", "));
-
-    res.setHeader("X-TTS-Tts-Ms", String(serverTtsMs));           // <-- Google call time (server-side)
+    setCommonTtsHeaders(res, prep, cached);
+    res.setHeader("X-TTS-Tts-Ms", String(serverTtsMs));           // <-- provider call time (server-side; ~0 on cache hit)
     res.setHeader("X-TTS-Total-Ms", String(serverTotalMs));       // <-- server end-to-end for this endpoint
-    res.setHeader("X-TTS-Char-Count", String(charCount));
-    res.setHeader("X-TTS-Est-Cost-Usd", String(estCostUsd));
-    res.setHeader("X-TTS-Encoding", parsed.audioEncoding);
-    res.setHeader("X-TTS-Voice-Type", voiceType);
-    res.setHeader("X-TTS-Warnings", encodeURIComponent(warnings.join(" | ")));
+    if (timepoints?.length) {
+      // compact [[wordIndex, ms], ...] – word i of the request text (split on whitespace)
+      res.setHeader("X-TTS-Timepoints", encodeURIComponent(JSON.stringify(timepoints.map((tp) => [tp.i, tp.ms]))));
+    }
 
-    return res.status(200).end(audioBuf);
+    res.status(200).end(audioBuf);
+    recordChunk(prep, audioBuf);
+    return;
   } catch (e) {
+    if (abort.signal.aborted) return; // cancelled on purpose, nobody to answer
     return res.status(400).json({ error: "TTS failed", details: String(e?.message || e) });
   }
 });
+
+// ---------- Streaming (chunked transfer) ----------
+// Headers go out with the FIRST audio chunk, so X-TTS-Ttfb-Ms is the real
+// provider time-to-first-byte. Full timings are only known at the end and are
+// sent as HTTP trailers (X-TTS-Tts-Ms / X-TTS-Total-Ms).
+ttsRouter.post("/api/synthesize/stream", async (req, res) => {
+  const msSince = (hr) => Math.round(Number(process.hrtime.bigint() - hr) / 1e6);
+
+  let clientGone = false;
+  const abort = new AbortController();
+  res.on("close", () => {
+    clientGone = true;
+    if (res.writableEnded) return;
+    incMetric("tts", "cancelled");
+    abort.abort();
+  });
+  incMetric("tts", "requests");
+
+  let prep;
+  try {
+    prep = await prepareSynthesis(req.body, { streaming: true });
+    if (prep.error) return res.status(400).json({ error: prep.error });
+  } catch (e) {
+    return res.status(400).json({ error: "TTS failed", details: String(e?.message || e) });
+  }
+
+  const { provider, caps, request } = prep;
+  const t0 = process.hrtime.bigint();
+
+  const cached = await ttsCache.get(prep.cacheKey);
+  const native = !cached && canStreamNatively(provider, caps, request);
+  const source = cached ? [cached.audio] : synthesizeStream(provider, caps, request, { signal: abort.signal });
+  const produced = [];
+
+  try {
+    for await (const chunk of source) {
+      if (clientGone) break;
+      if (!cached) produced.push(chunk);
+
+      if (!res.headersSent) {
+        res.setHeader("Content-Type", encodingToMime(request.audioEncoding));
+        setCommonTtsHeaders(res, prep, cached);
+        res.setHeader("X-TTS-Ttfb-Ms", String(msSince(t0)));
+        res.setHeader("X-TTS-Streaming", cached ? "cache" : (native ? "native" : "buffered"));
+        res.status(200);
+      }
+
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once("drain", resolve);
+          res.once("close", resolve);
+        });
+      }
+    }
+
+    if (clientGone) return;
+
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "TTS failed", details: "Provider returned no audio." });
+    }
+
+    res.end();
+    recordChunk(prep, cached ? cached.audio : Buffer.concat(produced));
+
+    // after the response: caching must not delay the last byte
+    if (!cached) ttsCache.set(prep.cacheKey, Buffer.concat(produced), { estCostUsd: prep.estCostUsd });
+  } catch (e) {
+    if (clientGone) return;
+    if (!res.headersSent) {
+      return res.status(400).json({ error: "TTS failed", details: String(e?.message || e) });
+    }
+    // Mid-stream failure: abort the chunked body so the client sees an error
+    res.destroy(e);
+  } finally {
+    // billed once the provider produced audio, whether or not anybody heard it
+    if (produced.length) recordSpend(req.auth, prep.estCostUsd);
+  }
+});
+
+// ---------- Multi-voice comparison ----------
+const CompareSchema = z.object({
+  text: z.string().min(1).max(4000),
+  inputType: z.enum(["text", "ssml"]).default("text"),
+  languageCode: z.string().optional(),
+  speakingRate: z.number().min(0.25).max(4.0).optional(),
+  pitch: z.number().min(-20).max(20).optional(),
+  volumeGainDb: z.number().min(-96.0).max(16.0).optional(),
+  voices: z.array(
+    z.object({
+      provider: z.string().min(1).optional(),
+      voiceName: z.string().min(1),
+      audioEncoding: z.enum(["MP3", "OGG_OPUS", "LINEAR16", "MULAW"]).default("OGG_OPUS"),
+    })
+  ).min(1),
+  concurrency: z.number().int().min(1).max(8).optional(),
+  // Off by default: a comparison should time real synthesis, not cache reads
+  useCache: z.boolean().default(false),
+});
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+ttsRouter.post("/api/synthesize/compare", async (req, res) => {
+  const startedAtHr = process.hrtime.bigint();
+
+  let parsed;
+  try {
+    parsed = CompareSchema.parse(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid compare request", details: String(e?.message || e) });
+  }
+
+  if (parsed.voices.length > config.TTS_COMPARE_MAX_VOICES) {
+    return res.status(400).json({ error: `Too many voices (max ${config.TTS_COMPARE_MAX_VOICES}).` });
+  }
+
+  const { voices, concurrency, useCache, ...shared } = parsed;
+  const limit = concurrency ?? config.TTS_COMPARE_CONCURRENCY;
+
+  // Client gone: cancel the provider calls in flight and don't start the remaining voices
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (res.writableEnded) return;
+    incMetric("tts", "cancelled");
+    abort.abort();
+  });
+
+  const results = await mapWithConcurrency(voices, limit, async (v) => {
+    const base = { provider: v.provider || null, voiceName: v.voiceName, audioEncoding: v.audioEncoding };
+    if (abort.signal.aborted) return { ...base, ok: false, error: "Cancelled" };
+
+    try {
+      const prep = await prepareSynthesis({ ...shared, ...v });
+      if (prep.error) return { ...base, ok: false, error: prep.error };
+
+      const { provider, voice, request } = prep;
+
+      const t0 = process.hrtime.bigint();
+      const cached = useCache ? await ttsCache.get(prep.cacheKey) : null;
+      const { audio } = cached || await provider.synthesize(request, { signal: abort.signal });
+      const serverTtsMs = Math.round(Number(process.hrtime.bigint() - t0) / 1e6);
+
+      if (!cached) {
+        recordSpend(req.auth, prep.estCostUsd);
+        ttsCache.set(prep.cacheKey, audio, { estCostUsd: prep.estCostUsd });
+        if (abort.signal.aborted) {
+          incMetric("tts", "completedAfterCancel");
+          incMetric("tts", "charsAfterCancel", prep.charCount);
+        }
+      }
+
+      return {
+        ...base,
+        ok: true,
+        provider: provider.id,
+        voiceType: voice.voiceType,
+        audioEncoding: request.audioEncoding,
+        mime: encodingToMime(request.audioEncoding),
+        serverTtsMs,
+        bytes: audio.length,
+        charCount: prep.charCount,
+        estCostUsd: cached ? 0 : prep.estCostUsd,
+        cache: cached ? "hit" : "miss",
+        warnings: prep.warnings,
+        audioBase64: audio.toString("base64"),
+      };
+    } catch (e) {
+      return { ...base, ok: false, error: String(e?.message || e) };
+    }
+  });
+
+  if (abort.signal.aborted) return;
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    text: parsed.text,
+    concurrency: limit,
+    serverTotalMs: Math.round(Number(process.hrtime.bigint() - startedAtHr) / 1e6),
+    results,
+  });
+});
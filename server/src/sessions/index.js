@@ -0,0 +1,7 @@
+import { config } from "../config.js";
+import { createSessionStore } from "./store.js";
+
+// One store for the whole server: the session routes and the chat stream share it
+export const sessionStore = createSessionStore({ dir: config.SESSIONS_DIR });
+
+export { isSessionId } from "./store.js";
@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import { createJsonDir } from "../storage/jsonDir.js";
+
+// Conversation sessions, one JSON file per session: <dir>/<id>.json
+//   { id, createdAt, updatedAt, endedAt, config, stats, memory, messages: [{ id, role, text, createdAtMs, metrics, ... }] }
+// The chat stream and the client both update a session; writes are queued per session.
+
+const ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+export function isSessionId(id) {
+  return ID_RE.test(String(id || ""));
+}
+
+// Message fields are merged; `metrics` one level deeper, so server-side and
+// client-side metrics of the same turn end up side by side. createdAtMs is kept
+// from whoever wrote the message first.
+function mergeMessage(prev, patch) {
+  if (!prev) return { ...patch };
+  return {
+    ...prev,
+    ...patch,
+    createdAtMs: prev.createdAtMs ?? patch.createdAtMs,
+    metrics: prev.metrics || patch.metrics ? { ...(prev.metrics || {}), ...(patch.metrics || {}) } : undefined,
+  };
+}
+
+export function createSessionStore({ dir }) {
+  const docs = createJsonDir({ dir, isId: isSessionId });
+
+  return {
+    async create({ config = {} } = {}) {
+      const now = new Date().toISOString();
+      const session = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        endedAt: null,
+        config,
+        stats: null,
+        messages: [],
+      };
+      await docs.write(session);
+      return session;
+    },
+
+    get: docs.read,
+
+    // Newest first, without messages
+    async list() {
+      return (await docs.list())
+        .map(({ messages, ...rest }) => ({
+          ...rest,
+          messageCount: messages.length,
+          preview: messages.find((m) => m.role === "user")?.text?.slice(0, 120) || "",
+        }))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    remove: docs.remove,
+
+    // Top-level fields (config, stats, endedAt, ...); never id/messages/createdAt
+    patch(id, fields) {
+      const { id: _id, messages: _m, createdAt: _c, ...rest } = fields || {};
+      return docs.update(id, (s) => ({ ...s, ...rest }));
+    },
+
+    // Insert or merge a message by id (appended when new)
+    upsertMessage(id, message) {
+      return docs.update(id, (s) => {
+        const i = s.messages.findIndex((m) => m.id === message.id);
+        if (i === -1) s.messages.push(mergeMessage(null, message));
+        else s.messages[i] = mergeMessage(s.messages[i], message);
+        return s;
+      });
+    },
+  };
+}
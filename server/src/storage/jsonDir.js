@@ -0,0 +1,87 @@
+import fs from "fs/promises";
+import path from "path";
+
+// A directory of <id>.json documents (sessions, prompt templates).
+// Writes go through a temp file + rename, and read-modify-write calls on the
+// same id are queued so concurrent updates never lose each other's changes.
+export function createJsonDir({ dir, isId }) {
+  const queues = new Map(); // id -> promise chain of pending writes
+
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  async function read(id) {
+    if (!isId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(file(id), "utf8"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function write(doc) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file(doc.id)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+    await fs.rename(tmp, file(doc.id));
+  }
+
+  // Only if no document has this id yet: link() fails atomically when the name is taken,
+  // and readers never see a half-written file. -> true | false (taken)
+  async function create(doc) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file(doc.id)}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+    try {
+      await fs.link(tmp, file(doc.id));
+      return true;
+    } catch (e) {
+      if (e?.code === "EEXIST") return false;
+      throw e;
+    } finally {
+      await fs.rm(tmp, { force: true });
+    }
+  }
+
+  // fn(doc) returns the new document (or null to leave it as is). -> saved doc | null if missing
+  function update(id, fn) {
+    const prev = queues.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const doc = await read(id);
+      if (!doc) return null;
+
+      const out = await fn(doc);
+      if (!out) return doc;
+
+      out.updatedAt = new Date().toISOString();
+      await write(out);
+      return out;
+    });
+
+    queues.set(id, next);
+    next.finally(() => { if (queues.get(id) === next) queues.delete(id); }).catch(() => {});
+    return next;
+  }
+
+  async function list() {
+    const names = await fs.readdir(dir).catch(() => []);
+    const ids = names.filter((n) => n.endsWith(".json")).map((n) => n.slice(0, -5)).filter(isId);
+    return (await Promise.allSettled(ids.map(read)))
+      .map((s) => (s.status === "fulfilled" ? s.value : null))
+      .filter(Boolean);
+  }
+
+  async function remove(id) {
+    if (!isId(id)) return false;
+    await (queues.get(id) || Promise.resolve()).catch(() => {});
+    try {
+      await fs.rm(file(id));
+      return true;
+    } catch (e) {
+      if (e?.code === "ENOENT") return false;
+      throw e;
+    }
+  }
+
+  return { read, write, create, update, list, remove };
+}
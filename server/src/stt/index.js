@@ -0,0 +1,29 @@
+import { deepgramProvider } from "./providers/deepgram.js";
+import { fakeProvider } from "./providers/fake.js";
+
+// Every STT vendor implements the same shape:
+//   id, label, offline, pricePerMinUsd, models, languages
+//   optionsSchema             -> zod schema for the /ws query (minus `provider`), strings in, options out
+//   unavailableReason()       -> null, or why it can't be used right now (e.g. missing key)
+//   connect(options, emit)    -> { send(pcm: Buffer) -> accepted?, finish(), close() }
+// Audio is PCM16 mono @ 16 kHz.
+// The session reports normalized messages through emit(msg):
+//   { type: "open", request_id }
+//   { type: "transcript", text, is_final, speech_final, start, duration, confidence,
+//     words: [{ word, start, end, confidence, speaker? }], detected_language }   (times in s of streamed audio)
+//   { type: "speech_started", timestamp }
+//   { type: "utterance_end", last_word_end }   (end of speech by word gap, even without speech_final)
+//   { type: "metadata", request_id, duration, channels, models }
+//   { type: "error", message, details, retryable, ...extra }
+//     retryable: the connection dropped / a transient failure -> the proxy reconnects (connect() again),
+//     otherwise it reports proxy_error and closes the client socket. Emit at most one error per connection.
+//     The connection ending normally after finish() is not an error.
+const PROVIDERS = [deepgramProvider, fakeProvider];
+
+export function listSttProviders() {
+  return PROVIDERS;
+}
+
+export function getSttProvider(id) {
+  return PROVIDERS.find((p) => p.id === id) || null;
+}
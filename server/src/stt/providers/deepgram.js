@@ -0,0 +1,225 @@
+import WebSocket from "ws";
+import { z } from "zod";
+
+import { config } from "../../config.js";
+
+// Query strings only carry strings: "true"/"false"/"1"/"0" and comma-separated lists
+const queryBool = z.enum(["true", "false", "1", "0"]).transform((v) => v === "true" || v === "1");
+const queryList = (item, max) =>
+  z.string().transform((v) => v.split(",").map((x) => x.trim()).filter(Boolean)).pipe(z.array(item).max(max));
+
+// /ws query -> Deepgram options. Audio format (linear16 @ 16 kHz), interim results and
+// VAD events are not options: the client pipeline depends on them.
+const DeepgramOptionsSchema = z.object({
+  model: z.string().regex(/^[\w.-]{1,64}$/).default("nova-3"),
+  language: z.string().regex(/^[A-Za-z-]{2,16}$/).default("multi"),
+  // ms of silence before speech_final; "false" = only Deepgram's own finalization
+  endpointing: z.union([z.literal("false").transform(() => false), z.coerce.number().int().min(10).max(10000)]).default("100"),
+  utterance_end_ms: z.coerce.number().int().min(1000).max(5000).default(1000),
+  // Nova-3 keyterm prompting; older models take `keywords` ("word" or "word:boost")
+  keyterms: queryList(z.string().min(1).max(100), 100).optional(),
+  keywords: queryList(z.string().regex(/^[^:]{1,100}(:-?\d+(\.\d+)?)?$/), 100).optional(),
+  smart_format: queryBool.default("true"),
+  punctuate: queryBool.optional(),
+  diarize: queryBool.optional(),
+  numerals: queryBool.optional(),
+  profanity_filter: queryBool.optional(),
+  filler_words: queryBool.optional(),
+  redact: queryList(z.enum(["pci", "ssn", "numbers", "true"]), 4).optional(),
+}).strict();
+
+const BOOL_OPTIONS = ["smart_format", "punctuate", "diarize", "numerals", "profanity_filter", "filler_words"];
+
+// WebSocket close codes worth reconnecting on: going away, abnormal drop (no close frame),
+// internal error, service restart, try again later, bad gateway
+const RETRYABLE_CLOSE_CODES = new Set([1001, 1006, 1011, 1012, 1013, 1014]);
+
+function buildDeepgramUrl(o) {
+  const u = new URL("wss://api.deepgram.com/v1/listen");
+
+  u.searchParams.set("model", o.model);
+  u.searchParams.set("language", o.language);
+
+  u.searchParams.set("encoding", "linear16");
+  u.searchParams.set("sample_rate", "16000");
+  u.searchParams.set("interim_results", "true");
+  u.searchParams.set("vad_events", "true");
+
+  u.searchParams.set("endpointing", String(o.endpointing));
+  u.searchParams.set("utterance_end_ms", String(o.utterance_end_ms));
+
+  for (const k of BOOL_OPTIONS) {
+    if (o[k] !== undefined) u.searchParams.set(k, String(o[k]));
+  }
+  for (const t of o.keyterms || []) u.searchParams.append("keyterm", t);
+  for (const k of o.keywords || []) u.searchParams.append("keywords", k);
+  for (const r of o.redact || []) u.searchParams.append("redact", r);
+
+  return u.toString();
+}
+
+export const deepgramProvider = {
+  id: "deepgram",
+  label: "Deepgram Live",
+  offline: false,
+  pricePerMinUsd: config.DG_PRICE_PER_MIN_USD,
+  models: ["nova-3", "nova-2"],
+  languages: ["multi", "en", "en-US", "de", "es", "fr"],
+  optionsSchema: DeepgramOptionsSchema,
+
+  unavailableReason() {
+    return config.DEEPGRAM_API_KEY ? null : "Missing DEEPGRAM_API_KEY on server";
+  },
+
+  connect(options, emit) {
+    const dgUrl = buildDeepgramUrl(options);
+    let requestId = null;
+    let failed = false;
+    let finishing = false;
+
+    // one error per connection: "error" is usually followed by "close"
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      emit({ type: "error", ...err });
+    };
+
+    // Connect to Deepgram using ws + Authorization header (this is what worked before)
+    const dgWs = new WebSocket(dgUrl, {
+      headers: { Authorization: `Token ${config.DEEPGRAM_API_KEY}` },
+    });
+
+    dgWs.on("upgrade", (res) => {
+      requestId = res.headers["dg-request-id"] || null;
+    });
+
+    dgWs.on("open", () => {
+      // request id may be null if upgrade didn't fire for any reason
+      emit({ type: "open", request_id: requestId });
+    });
+
+    // IMPORTANT: show real Deepgram error body (super useful for debugging)
+    dgWs.on("unexpected-response", (_request, response) => {
+      const dgErr = response.headers["dg-error"];
+      const reqId = response.headers["dg-request-id"];
+      const status = response.statusCode || null;
+
+      const chunks = [];
+      response.on("data", (c) => chunks.push(c));
+      response.on("end", () => {
+        const body = Buffer.concat(chunks).toString("utf8");
+
+        fail({
+          message: "Deepgram upgrade failed",
+          details: dgErr || null,
+          // bad key / bad options won't get better by retrying
+          retryable: status === 429 || status >= 500,
+          status,
+          dg_error: dgErr || null,
+          dg_request_id: reqId || null,
+          dg_url: dgUrl,
+          body: body || null,
+        });
+      });
+    });
+
+    dgWs.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString("utf8"));
+      } catch {
+        return;
+      }
+
+      // Deepgram live WS returns { type: "Results", ... }
+      if (msg.type === "Results") {
+        const alt = msg?.channel?.alternatives?.[0];
+        emit({
+          type: "transcript",
+          text: (alt?.transcript || "").trim(),
+          is_final: Boolean(msg.is_final),
+          speech_final: Boolean(msg.speech_final),
+          start: msg.start ?? null,
+          duration: msg.duration ?? null,
+          confidence: alt?.confidence ?? null,
+          words: (alt?.words || []).map((w) => ({
+            word: w.punctuated_word || w.word,
+            start: w.start,
+            end: w.end,
+            confidence: w.confidence,
+            ...(w.speaker != null ? { speaker: w.speaker } : {}),
+          })),
+          detected_language: msg?.channel?.detected_language || alt?.languages?.[0] || null,
+        });
+      }
+
+      if (msg.type === "SpeechStarted") {
+        emit({ type: "speech_started", timestamp: msg.timestamp ?? null });
+      }
+
+      // No new words for utterance_end_ms: the utterance is over even if speech_final never came
+      if (msg.type === "UtteranceEnd") {
+        emit({ type: "utterance_end", last_word_end: msg.last_word_end ?? null });
+      }
+
+      // Sent when the stream closes
+      if (msg.type === "Metadata") {
+        emit({
+          type: "metadata",
+          request_id: msg.request_id || requestId,
+          duration: msg.duration ?? null,
+          channels: msg.channels ?? null,
+          models: msg.model_info ? Object.values(msg.model_info).map((m) => `${m.name} ${m.version}`) : [],
+        });
+      }
+    });
+
+    dgWs.on("close", (code, reason) => {
+      clearInterval(keepAliveTimer);
+      // the normal end of the stream after CloseStream
+      if (finishing && code === 1000) return;
+      fail({
+        message: "Deepgram connection closed",
+        details: `${code} ${reason?.toString?.() || ""}`.trim(),
+        // dropped / server-side trouble; 1000 without CloseStream, 1008 and 4xxx (bad model,
+        // bad parameters, no audio) would only open more billed streams that close the same way
+        retryable: RETRYABLE_CLOSE_CODES.has(code),
+        close_code: code,
+      });
+    });
+
+    dgWs.on("error", (err) => {
+      fail({ message: "Deepgram socket error", details: err?.message || String(err), retryable: true });
+    });
+
+    const keepAliveTimer = setInterval(() => {
+      if (dgWs.readyState === WebSocket.OPEN) {
+        dgWs.send(JSON.stringify({ type: "KeepAlive" }));
+      }
+    }, 5000);
+
+    return {
+      send(pcm) {
+        if (dgWs.readyState !== WebSocket.OPEN) return false;
+        dgWs.send(pcm);
+        return true;
+      },
+
+      finish() {
+        finishing = true;
+        if (dgWs.readyState === WebSocket.OPEN) {
+          dgWs.send(JSON.stringify({ type: "CloseStream" }));
+        }
+      },
+
+      close() {
+        clearInterval(keepAliveTimer);
+        failed = true; // closing on purpose is not an error
+        try {
+          this.finish();
+          dgWs.close();
+        } catch {}
+      },
+    };
+  },
+};
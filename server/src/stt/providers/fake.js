@@ -0,0 +1,157 @@
+import fs from "fs";
+import crypto from "crypto";
+import { z } from "zod";
+
+import { config } from "../../config.js";
+
+// Offline, scripted stand-in for a real STT vendor: a simple energy VAD finds
+// stretches of speech in the audio and each one is "recognized" as the next
+// utterance of a fixture file. Interim results grow word by word while speech
+// continues. Timing follows the audio timeline (not the wall clock), so the
+// same audio gives the same transcripts at any replay speed.
+
+const BYTES_PER_MS = (16000 * 2) / 1000;
+const SPEECH_RMS = 600;
+const WORD_EVERY_MS = 300; // one more interim word per 300 ms of speech
+const ENDPOINT_MS = 500; // silence that ends an utterance
+
+let script = null;
+
+function loadScript() {
+  if (!script) {
+    const parsed = JSON.parse(fs.readFileSync(config.STT_FAKE_SCRIPT, "utf8"));
+    const utterances = (parsed.utterances || []).map((u) => String(u).trim()).filter(Boolean);
+    if (!utterances.length) throw new Error(`No utterances in ${config.STT_FAKE_SCRIPT}`);
+    script = utterances;
+  }
+  return script;
+}
+
+function rms16(pcm) {
+  const n = Math.floor(pcm.length / 2);
+  if (!n) return 0;
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const v = pcm.readInt16LE(i * 2);
+    sum += v * v;
+  }
+  return Math.sqrt(sum / n);
+}
+
+export const fakeProvider = {
+  id: "fake",
+  label: "Scripted fake (offline)",
+  offline: true,
+  pricePerMinUsd: 0,
+  models: ["scripted"],
+  languages: ["en"],
+  // Deepgram-style options are accepted and ignored, so the same client settings work here.
+  // fail_after_s: drop the connection after that much audio (per connection) to exercise reconnects.
+  optionsSchema: z.object({
+    model: z.string().default("scripted"),
+    language: z.string().default("en"),
+    fail_after_s: z.coerce.number().positive().optional(),
+  }).passthrough(),
+
+  unavailableReason() {
+    try {
+      loadScript();
+      return null;
+    } catch (e) {
+      return `Fake STT script not readable: ${e?.message || e}`;
+    }
+  },
+
+  connect(options, emit) {
+    const utterances = loadScript();
+    const requestId = `fake-${crypto.randomUUID()}`;
+    let next = 0;
+    let audioMs = 0; // stream timeline
+    let speech = null; // { words, startMs, endMs, speechMs, silenceMs, shown }
+    let idleTimer = null;
+    let failed = false;
+
+    // Words spread evenly over the stretch of speech, in seconds like Deepgram
+    const timedWords = (s) => {
+      const per = (s.endMs - s.startMs) / s.words.length;
+      return s.words.map((word, i) => ({
+        word,
+        start: Number(((s.startMs + i * per) / 1000).toFixed(3)),
+        end: Number(((s.startMs + (i + 0.9) * per) / 1000).toFixed(3)),
+        confidence: 1,
+      }));
+    };
+
+    const finalize = () => {
+      clearTimeout(idleTimer);
+      if (!speech) return;
+      const words = timedWords(speech);
+      emit({
+        type: "transcript",
+        text: speech.words.join(" "),
+        is_final: true,
+        speech_final: true,
+        start: speech.startMs / 1000,
+        duration: (speech.endMs - speech.startMs) / 1000,
+        confidence: 1,
+        words,
+        detected_language: null,
+      });
+      emit({ type: "utterance_end", last_word_end: words[words.length - 1].end });
+      speech = null;
+      next = (next + 1) % utterances.length;
+    };
+
+    setImmediate(() => emit({ type: "open", request_id: requestId }));
+
+    return {
+      send(pcm) {
+        if (failed) return false;
+        const ms = pcm.length / BYTES_PER_MS;
+
+        if (options.fail_after_s && audioMs >= options.fail_after_s * 1000) {
+          failed = true;
+          clearTimeout(idleTimer);
+          setImmediate(() => emit({ type: "error", message: "Simulated upstream close", details: `after ${options.fail_after_s} s of audio`, retryable: true }));
+          return false;
+        }
+
+        if (rms16(pcm) >= SPEECH_RMS) {
+          if (!speech) {
+            speech = { words: utterances[next].split(/\s+/), startMs: audioMs, endMs: audioMs, speechMs: 0, silenceMs: 0, shown: 0 };
+            emit({ type: "speech_started", timestamp: audioMs / 1000 });
+          }
+          speech.speechMs += ms;
+          speech.silenceMs = 0;
+          speech.endMs = audioMs + ms;
+
+          const n = Math.min(speech.words.length, 1 + Math.floor(speech.speechMs / WORD_EVERY_MS));
+          if (n > speech.shown) {
+            speech.shown = n;
+            emit({ type: "transcript", text: speech.words.slice(0, n).join(" "), is_final: false, speech_final: false });
+          }
+        } else if (speech) {
+          speech.silenceMs += ms;
+          if (speech.silenceMs >= ENDPOINT_MS) finalize();
+        }
+        audioMs += ms;
+
+        // push-to-talk stops sending audio altogether: end the utterance on the wall clock then
+        clearTimeout(idleTimer);
+        if (speech) idleTimer = setTimeout(finalize, ENDPOINT_MS);
+        return true;
+      },
+
+      finish() {
+        finalize();
+        emit({ type: "metadata", request_id: requestId, duration: audioMs / 1000, channels: 1, models: ["fake scripted"] });
+      },
+
+      close() {
+        failed = true;
+        clearTimeout(idleTimer);
+        speech = null;
+      },
+    };
+  },
+};
@@ -0,0 +1,28 @@
+export function encodingToMime(enc) {
+  if (enc === "MP3") return "audio/mpeg";
+  if (enc === "OGG_OPUS") return "audio/ogg";
+  if (enc === "LINEAR16") return "audio/wav";
+  if (enc === "MULAW") return "audio/basic";
+  return "application/octet-stream";
+}
+
+// 44-byte RIFF/WAVE header for mono 16-bit PCM.
+// dataBytes = null => length unknown (streaming); sizes are set to the max value.
+export function wavHeader({ sampleRate, dataBytes }) {
+  const unknown = dataBytes == null;
+  const h = Buffer.alloc(44);
+  h.write("RIFF", 0, "ascii");
+  h.writeUInt32LE(unknown ? 0xffffffff : 36 + dataBytes, 4);
+  h.write("WAVE", 8, "ascii");
+  h.write("fmt ", 12, "ascii");
+  h.writeUInt32LE(16, 16);            // fmt chunk size
+  h.writeUInt16LE(1, 20);             // PCM
+  h.writeUInt16LE(1, 22);             // mono
+  h.writeUInt32LE(sampleRate, 24);
+  h.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  h.writeUInt16LE(2, 32);             // block align
+  h.writeUInt16LE(16, 34);            // bits per sample
+  h.write("data", 36, "ascii");
+  h.writeUInt32LE(unknown ? 0xffffffff : dataBytes, 40);
+  return h;
+}
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Content-addressed cache for synthesized audio.
+// Tier 1: in-memory LRU (Map insertion order), bounded by entries + bytes.
+// Tier 2: optional directory of <key>.bin + <key>.json, bounded by TTL and its own
+// entries + bytes (LRU too). The directory is scanned at startup into an index of what
+// is on disk; expired files are swept then and every SWEEP_EVERY_MS.
+
+const SWEEP_EVERY_MS = 10 * 60 * 1000;
+const FILE_RE = /^([0-9a-f]{64})\.(bin|json)$/;
+
+export function ttsCacheKey({ provider, request }) {
+  const parts = {
+    provider: provider.id,
+    voiceName: request.voice.name,
+    languageCode: request.languageCode ?? null,
+    inputType: request.inputType,
+    text: request.text,
+    audioEncoding: request.audioEncoding,
+    speakingRate: request.speakingRate ?? null,
+    pitch: request.pitch ?? null,
+    volumeGainDb: request.volumeGainDb ?? null,
+    timepoints: Boolean(request.timepoints),
+  };
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+export function createTtsCache({ enabled, maxEntries, maxBytes, ttlSec, dir, maxDiskEntries, maxDiskBytes }) {
+  const mem = new Map(); // key -> { audio, meta, atMs }
+  let memBytes = 0;
+  const disk = new Map(); // key -> { bytes, atMs }, least recently used first
+  let diskBytes = 0;
+  const counters = { hits: 0, misses: 0, memoryHits: 0, diskHits: 0, savedUsd: 0 };
+
+  const expired = (atMs) => ttlSec > 0 && Date.now() - atMs > ttlSec * 1000;
+  const diskReady = enabled && dir ? scanDisk() : Promise.resolve();
+  if (enabled && dir) setInterval(() => diskReady.then(sweepDisk), SWEEP_EVERY_MS).unref();
+
+  function dropMem(key) {
+    const e = mem.get(key);
+    if (!e) return;
+    mem.delete(key);
+    memBytes -= e.audio.length;
+  }
+
+  function putMem(key, entry) {
+    dropMem(key);
+    if (entry.audio.length > maxBytes) return;
+
+    mem.set(key, entry);
+    memBytes += entry.audio.length;
+
+    // evict least recently used (Map keeps insertion order)
+    while (mem.size > maxEntries || memBytes > maxBytes) {
+      dropMem(mem.keys().next().value);
+    }
+  }
+
+  function removeFiles(key) {
+    return Promise.allSettled([fs.rm(path.join(dir, `${key}.json`)), fs.rm(path.join(dir, `${key}.bin`))]);
+  }
+
+  function dropDisk(key) {
+    const e = disk.get(key);
+    if (!e) return Promise.resolve();
+    disk.delete(key);
+    diskBytes -= e.bytes;
+    return removeFiles(key);
+  }
+
+  function evictDisk() {
+    const evicted = [];
+    while (disk.size > maxDiskEntries || diskBytes > maxDiskBytes) {
+      evicted.push(dropDisk(disk.keys().next().value));
+    }
+    return Promise.all(evicted);
+  }
+
+  // Index what a previous run left behind; expired entries and half-written pairs are removed
+  async function scanDisk() {
+    const names = await fs.readdir(dir).catch(() => []);
+    const keys = new Set(names.map((n) => n.match(FILE_RE)?.[1]).filter(Boolean));
+    const found = [];
+
+    for (const key of keys) {
+      try {
+        const { atMs } = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf8"));
+        const { size } = await fs.stat(path.join(dir, `${key}.bin`));
+        if (!expired(atMs)) {
+          found.push({ key, bytes: size, atMs });
+          continue;
+        }
+      } catch {}
+      await removeFiles(key);
+    }
+
+    for (const e of found.sort((a, b) => a.atMs - b.atMs)) {
+      disk.set(e.key, { bytes: e.bytes, atMs: e.atMs });
+      diskBytes += e.bytes;
+    }
+    await evictDisk();
+  }
+
+  async function sweepDisk() {
+    const stale = [...disk].filter(([, e]) => expired(e.atMs)).map(([key]) => key);
+    await Promise.all(stale.map(dropDisk));
+  }
+
+  async function readDisk(key) {
+    if (!dir) return null;
+    await diskReady;
+    const e = disk.get(key);
+    if (!e) return null;
+    if (expired(e.atMs)) {
+      await dropDisk(key);
+      return null;
+    }
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf8"));
+      const audio = await fs.readFile(path.join(dir, `${key}.bin`));
+      // refresh LRU position
+      disk.delete(key);
+      disk.set(key, e);
+      return { audio, meta: meta.meta, atMs: meta.atMs };
+    } catch {
+      await dropDisk(key);
+      return null;
+    }
+  }
+
+  async function writeDisk(key, entry) {
+    if (!dir || entry.audio.length > maxDiskBytes) return;
+    await diskReady;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${key}.bin`), entry.audio);
+      await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify({ atMs: entry.atMs, meta: entry.meta }));
+    } catch (e) {
+      console.warn(`⚠️ TTS cache disk write failed: ${e?.message || e}`);
+      return;
+    }
+    if (disk.has(key)) diskBytes -= disk.get(key).bytes;
+    disk.delete(key);
+    disk.set(key, { bytes: entry.audio.length, atMs: entry.atMs });
+    diskBytes += entry.audio.length;
+    await evictDisk();
+  }
+
+  return {
+    enabled,
+
+    // -> { audio, meta, tier } | null. Counts a hit or a miss.
+    async get(key) {
+      if (!enabled) return null;
+
+      const m = mem.get(key);
+      if (m && !expired(m.atMs)) {
+        // refresh LRU position
+        mem.delete(key);
+        mem.set(key, m);
+        counters.hits += 1;
+        counters.memoryHits += 1;
+        counters.savedUsd += m.meta.estCostUsd || 0;
+        return { audio: m.audio, meta: m.meta, tier: "memory" };
+      }
+      if (m) dropMem(key);
+
+      const d = await readDisk(key);
+      if (d) {
+        putMem(key, d);
+        counters.hits += 1;
+        counters.diskHits += 1;
+        counters.savedUsd += d.meta.estCostUsd || 0;
+        return { audio: d.audio, meta: d.meta, tier: "disk" };
+      }
+
+      counters.misses += 1;
+      return null;
+    },
+
+    // The memory tier is updated before this returns; the promise covers the disk write,
+    // which logs its own errors (callers don't have to wait for it)
+    async set(key, audio, meta) {
+      if (!enabled || !audio?.length) return;
+      const entry = { audio, meta, atMs: Date.now() };
+      putMem(key, entry);
+      await writeDisk(key, entry).catch((e) => console.warn(`⚠️ TTS cache disk write failed: ${e?.message || e}`));
+    },
+
+    async clear() {
+      mem.clear();
+      memBytes = 0;
+      if (!dir) return;
+
+      await diskReady;
+      disk.clear();
+      diskBytes = 0;
+      // only our own files, never the whole directory
+      const names = await fs.readdir(dir).catch(() => []);
+      await Promise.allSettled(
+        names
+          .filter((n) => FILE_RE.test(n))
+          .map((n) => fs.rm(path.join(dir, n)))
+      );
+    },
+
+    stats() {
+      const total = counters.hits + counters.misses;
+      return {
+        enabled,
+        ...counters,
+        hitRate: total ? counters.hits / total : null,
+        entries: mem.size,
+        bytes: memBytes,
+        maxEntries,
+        maxBytes,
+        ttlSec,
+        diskDir: dir || null,
+        diskEntries: disk.size,
+        diskBytes,
+        maxDiskEntries: dir ? maxDiskEntries : null,
+        maxDiskBytes: dir ? maxDiskBytes : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import { googleProvider } from "./providers/google.js";
+import { localProvider } from "./providers/local.js";
+
+// Every TTS vendor implements the same shape:
+//   id, label, offline, capabilities, pricing, cacheInfo()
+//   listVoices()               -> [{ provider, name, languageCodes, voiceType, ... }]
+//   capabilitiesFor(voice)     -> { label, ssml, speakingRate, pitch, volumeGainDb, encodings, streamingEncodings, timepoints }
+//   estimateCostUsd(voice, n)  -> USD for n characters
+//   synthesize(req, opts)      -> { audio: Buffer, timepoints?: [{ i, ms }] } (i = word index, see text.js)
+//   synthesizeStream(req, opts) -> async iterable of Buffer (optional; only for caps.streamingEncodings)
+// opts.signal (AbortSignal): the client went away – cancel the vendor call if possible.
+const PROVIDERS = [googleProvider, localProvider];
+
+export function listTtsProviders() {
+  return PROVIDERS;
+}
+
+export function getTtsProvider(id) {
+  return PROVIDERS.find((p) => p.id === id) || null;
+}
+
+// Resolve a voice by name. If no provider is given we search all of them, so
+// clients that only send voiceName keep working for every vendor.
+export async function findVoice(voiceName, providerId) {
+  const candidates = providerId ? [getTtsProvider(providerId)].filter(Boolean) : PROVIDERS;
+  let lastErr = null;
+
+  for (const provider of candidates) {
+    try {
+      const voices = await provider.listVoices();
+      const voice = voices.find((v) => v.name === voiceName);
+      if (voice) return { provider, voice };
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+
+  if (lastErr) throw lastErr;
+  return { provider: null, voice: null };
+}
+
+// Drop/adjust request options the chosen voice can't honour and explain why.
+// opts.streaming: the request goes to the streaming route (no timepoints there).
+export function applyCapabilities(provider, voice, parsed, opts = {}) {
+  const caps = provider.capabilitiesFor(voice);
+  const warnings = [];
+
+  let inputType = parsed.inputType;
+  let speakingRate = parsed.speakingRate;
+  let pitch = parsed.pitch;
+  let volumeGainDb = parsed.volumeGainDb;
+  let audioEncoding = parsed.audioEncoding;
+  let timepoints = Boolean(parsed.timepoints);
+
+  if (inputType === "ssml" && !caps.ssml) {
+    warnings.push(`${caps.label} voices do not support SSML. Falling back to plain text.`);
+    inputType = "text";
+  }
+  if (speakingRate !== undefined && !caps.speakingRate) {
+    warnings.push(`${caps.label} voices do not support speakingRate. Ignoring.`);
+    speakingRate = undefined;
+  }
+  if (pitch !== undefined && !caps.pitch) {
+    warnings.push(`${caps.label} voices do not support pitch. Ignoring.`);
+    pitch = undefined;
+  }
+  if (volumeGainDb !== undefined && !caps.volumeGainDb) {
+    warnings.push(`${caps.label} voices do not support volumeGainDb. Ignoring.`);
+    volumeGainDb = undefined;
+  }
+  if (!caps.encodings.includes(audioEncoding)) {
+    warnings.push(`${caps.label} voices do not support ${audioEncoding}. Using ${caps.encodings[0]}.`);
+    audioEncoding = caps.encodings[0];
+  }
+  if (timepoints && !caps.timepoints) {
+    warnings.push(`${caps.label} voices do not support word timepoints. Captions use estimated timing.`);
+    timepoints = false;
+  } else if (timepoints && inputType === "ssml") {
+    warnings.push("Word timepoints need plain-text input. Captions use estimated timing.");
+    timepoints = false;
+  } else if (timepoints && opts.streaming) {
+    warnings.push("Word timepoints are not available when streaming. Captions use estimated timing.");
+    timepoints = false;
+  }
+
+  return {
+    caps,
+    warnings,
+    request: {
+      voice,
+      text: parsed.text,
+      inputType,
+      languageCode: parsed.languageCode,
+      audioEncoding,
+      speakingRate,
+      pitch,
+      volumeGainDb,
+      timepoints,
+    },
+  };
+}
+
+// True when the provider can yield audio for this request while synthesizing.
+export function canStreamNatively(provider, caps, request) {
+  return Boolean(provider.synthesizeStream && (caps.streamingEncodings || []).includes(request.audioEncoding));
+}
+
+// Audio chunks as they are produced. Providers/voices without native streaming
+// still work: the whole buffer is yielded once synthesis finishes.
+export async function* synthesizeStream(provider, caps, request, opts = {}) {
+  if (canStreamNatively(provider, caps, request)) {
+    yield* provider.synthesizeStream(request, opts);
+    return;
+  }
+
+  const { audio } = await provider.synthesize(request, opts);
+  yield audio;
+}
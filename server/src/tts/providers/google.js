@@ -0,0 +1,200 @@
+import textToSpeech from "@google-cloud/text-to-speech";
+import { config } from "../../config.js";
+import { wavHeader } from "../audio.js";
+import { escapeXml, splitWords } from "../text.js";
+
+// Initialize Google TTS client (make sure GOOGLE_APPLICATION_CREDENTIALS env var is set to your service account key file)
+const ttsClient = new textToSpeech.TextToSpeechClient();
+// SSML <mark> timepoints are only exposed by the v1beta1 API
+const ttsClientBeta = new textToSpeech.v1beta1.TextToSpeechClient();
+
+let voicesCache = { atMs: 0, voices: [] };
+
+// Pricing estimates (USD per 1M chars). Update if you want.
+const PRICE_PER_1M_USD = {
+  STANDARD: 4,
+  WAVENET: 4,
+  NEURAL2: 16,
+  STUDIO: 160,
+  CHIRP_HD: 30,
+  POLYGLOT: 16,
+  OTHER: 16,
+};
+
+// IMPORTANT: infer voice type from name (this is what your earlier working server did)
+function voiceTypeFromName(voiceName = "") {
+  const n = String(voiceName);
+
+  if (n.includes("-Studio-")) return "STUDIO";
+  if (n.includes("-Neural2-") || n.includes("Neural2")) return "NEURAL2";
+  if (n.includes("-Wavenet-") || n.includes("-WaveNet-") || n.includes("Wavenet") || n.includes("WaveNet")) return "WAVENET";
+  if (n.includes("-Standard-") || n.includes("Standard")) return "STANDARD";
+  if (n.includes("Chirp3-HD") || n.includes("Chirp-HD") || n.includes("-Chirp-") || n.includes("Chirp")) return "CHIRP_HD";
+  if (n.includes("-Polyglot-") || n.includes("Polyglot")) return "POLYGLOT";
+
+  return "OTHER";
+}
+
+const DEFAULT_CAPABILITIES = {
+  label: "Google",
+  ssml: true,
+  speakingRate: true,
+  pitch: true,
+  volumeGainDb: true,
+  encodings: ["MP3", "OGG_OPUS", "LINEAR16", "MULAW"],
+  // Encodings for which synthesizeStream() yields audio while it is generated
+  streamingEncodings: [],
+  // Per-word timing via SSML <mark> (plain-text input only)
+  timepoints: true,
+};
+
+// One <mark name="wN"/> in front of every word so timepoints map to word N
+function markedSsml(text) {
+  return `<speak>${splitWords(text).map((w, i) => `<mark name="w${i}"/>${escapeXml(w)}`).join(" ")}</speak>`;
+}
+
+// Google's bidi StreamingSynthesize is Chirp 3: HD only and has no MP3 output
+const CHIRP_STREAMING_ENCODINGS = ["OGG_OPUS", "LINEAR16", "MULAW"];
+const CHIRP_STREAMING_SAMPLE_RATE = 24000;
+
+export const googleProvider = {
+  id: "google",
+  label: "Google Cloud Text-to-Speech",
+  offline: false,
+  capabilities: DEFAULT_CAPABILITIES,
+  pricing: {
+    currency: "USD",
+    per1MCharacters: PRICE_PER_1M_USD,
+    note: "Estimates only.",
+  },
+
+  cacheInfo() {
+    return {
+      ttlSec: config.VOICES_CACHE_TTL_SEC,
+      cachedAt: voicesCache.atMs ? new Date(voicesCache.atMs).toISOString() : null,
+    };
+  },
+
+  async listVoices() {
+    const now = Date.now();
+    if (voicesCache.voices.length && now - voicesCache.atMs < config.VOICES_CACHE_TTL_SEC * 1000) {
+      return voicesCache.voices;
+    }
+
+    const [resp] = await ttsClient.listVoices({});
+    const voices = (resp.voices || []).map((v) => ({
+      provider: "google",
+      name: v.name,
+      languageCodes: v.languageCodes || [],
+      ssmlGender: v.ssmlGender || "SSML_VOICE_GENDER_UNSPECIFIED",
+      naturalSampleRateHertz: v.naturalSampleRateHertz || null,
+      voiceType: voiceTypeFromName(v.name),
+    }));
+
+    voicesCache = { atMs: now, voices };
+    return voices;
+  },
+
+  // Chirp 3: HD limitations (same logic you had earlier)
+  capabilitiesFor(voice) {
+    if (voice.voiceType === "CHIRP_HD") {
+      return {
+        ...DEFAULT_CAPABILITIES,
+        label: "Chirp 3: HD",
+        ssml: false,
+        speakingRate: false,
+        pitch: false,
+        timepoints: false,
+        streamingEncodings: CHIRP_STREAMING_ENCODINGS,
+      };
+    }
+    return DEFAULT_CAPABILITIES;
+  },
+
+  // Estimate cost based on voice type and character count
+  estimateCostUsd(voice, charCount) {
+    const per1m = PRICE_PER_1M_USD[voice.voiceType] ?? PRICE_PER_1M_USD.OTHER;
+    return (per1m / 1_000_000) * charCount;
+  },
+
+  async synthesize(req, { signal } = {}) {
+    const withMarks = Boolean(req.timepoints) && req.inputType === "text";
+
+    const request = {
+      input: withMarks
+        ? { ssml: markedSsml(req.text) }
+        : (req.inputType === "ssml" ? { ssml: req.text } : { text: req.text }),
+      voice: {
+        name: req.voice.name,
+        languageCode: req.languageCode || (req.voice.languageCodes?.[0] ?? undefined),
+      },
+      audioConfig: {
+        audioEncoding: req.audioEncoding,
+        ...(req.speakingRate !== undefined ? { speakingRate: req.speakingRate } : {}),
+        ...(req.pitch !== undefined ? { pitch: req.pitch } : {}),
+        ...(req.volumeGainDb !== undefined ? { volumeGainDb: req.volumeGainDb } : {}),
+      },
+      ...(withMarks ? { enableTimePointing: ["SSML_MARK"] } : {}),
+    };
+
+    // gax returns a cancellable promise: cancel() ends the gRPC call and rejects it
+    const call = (withMarks ? ttsClientBeta : ttsClient).synthesizeSpeech(request);
+    const onAbort = () => call.cancel?.();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let response;
+    try {
+      [response] = await call;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    const audioContent = response.audioContent;
+    if (!audioContent) throw new Error("No audioContent returned by Google TTS.");
+
+    const timepoints = withMarks
+      ? (response.timepoints || [])
+        .map((tp) => ({ i: Number(String(tp.markName).slice(1)), ms: Math.round(Number(tp.timeSeconds || 0) * 1000) }))
+        .filter((tp) => Number.isInteger(tp.i))
+      : undefined;
+
+    return { audio: Buffer.isBuffer(audioContent) ? audioContent : Buffer.from(audioContent), timepoints };
+  },
+
+  // Only called for streamingEncodings (see capabilitiesFor)
+  async *synthesizeStream(req, { signal } = {}) {
+    const stream = ttsClient.streamingSynthesize();
+    const onAbort = () => (stream.cancel ? stream.cancel() : stream.destroy());
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      stream.write({
+        streamingConfig: {
+          voice: {
+            name: req.voice.name,
+            languageCode: req.languageCode || (req.voice.languageCodes?.[0] ?? undefined),
+          },
+          streamingAudioConfig: {
+            audioEncoding: req.audioEncoding,
+            sampleRateHertz: CHIRP_STREAMING_SAMPLE_RATE,
+          },
+        },
+      });
+      stream.write({ input: { text: req.text } });
+      stream.end();
+
+      // Streamed LINEAR16 is headerless PCM; give the browser a WAV container
+      if (req.audioEncoding === "LINEAR16") {
+        yield wavHeader({ sampleRate: CHIRP_STREAMING_SAMPLE_RATE, dataBytes: null });
+      }
+
+      for await (const resp of stream) {
+        const audio = resp?.audioContent;
+        if (audio?.length) yield Buffer.isBuffer(audio) ? audio : Buffer.from(audio);
+      }
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      stream.destroy();
+    }
+  },
+};
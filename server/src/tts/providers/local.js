@@ -0,0 +1,144 @@
+import { wavHeader } from "../audio.js";
+import { splitWords } from "../text.js";
+
+// Offline, deterministic stand-in for a real TTS vendor: every word becomes a
+// short sine "beep" whose length follows the word length. Same input => same
+// bytes, no network, zero cost. Useful to benchmark the pipeline itself.
+
+const SAMPLE_RATE = 24000;
+const MS_PER_CHAR = 55;
+const WORD_MIN_MS = 90;
+const GAP_MS = 70;
+const MAX_TOTAL_MS = 30_000;
+
+const VOICES = [
+  { name: "local-tone-low", baseHz: 196 },
+  { name: "local-tone-mid", baseHz: 262 },
+  { name: "local-tone-high", baseHz: 392 },
+];
+
+const CAPABILITIES = {
+  label: "Local tone",
+  ssml: false,
+  speakingRate: true,
+  pitch: true,
+  volumeGainDb: true,
+  encodings: ["LINEAR16"],
+  streamingEncodings: ["LINEAR16"],
+  timepoints: true,
+};
+
+const STREAM_SLICE_SAMPLES = SAMPLE_RATE / 10; // 100 ms of audio
+
+function wordSegments(text, speakingRate = 1) {
+  const words = splitWords(text);
+  const segments = [];
+  let atMs = 0;
+
+  for (const w of words) {
+    const durMs = Math.max(WORD_MIN_MS, w.length * MS_PER_CHAR) / speakingRate;
+    if (atMs + durMs > MAX_TOTAL_MS) break;
+    segments.push({ i: segments.length, word: w, startMs: atMs, endMs: atMs + durMs });
+    atMs += durMs + GAP_MS / speakingRate;
+  }
+
+  return { segments, totalMs: Math.min(atMs, MAX_TOTAL_MS) };
+}
+
+function totalSamplesFor(totalMs) {
+  return Math.max(1, Math.round((totalMs / 1000) * SAMPLE_RATE));
+}
+
+// Samples [from, to) of the whole utterance, so streaming can render slice by slice
+function renderPcm({ segments, totalMs, baseHz, pitch = 0, volumeGainDb = 0 }, from = 0, to = totalSamplesFor(totalMs)) {
+  const pcm = Buffer.alloc((to - from) * 2);
+
+  const hz = baseHz * Math.pow(2, pitch / 12);
+  const amp = 0.3 * Math.pow(10, volumeGainDb / 20);
+  const fadeSamples = Math.round(0.008 * SAMPLE_RATE);
+
+  for (const seg of segments) {
+    const s0 = Math.round((seg.startMs / 1000) * SAMPLE_RATE);
+    const s1 = Math.min(totalSamplesFor(totalMs), Math.round((seg.endMs / 1000) * SAMPLE_RATE));
+    const len = s1 - s0;
+
+    for (let i = Math.max(0, from - s0); i < Math.min(len, to - s0); i++) {
+      // short linear fade in/out so word edges don't click
+      const env = Math.min(1, i / fadeSamples, (len - i) / fadeSamples);
+      const v = Math.max(-1, Math.min(1, amp * env * Math.sin((2 * Math.PI * hz * i) / SAMPLE_RATE)));
+      pcm.writeInt16LE(Math.round(v * 0x7fff), (s0 + i - from) * 2);
+    }
+  }
+
+  return pcm;
+}
+
+function renderOptions(req) {
+  const def = VOICES.find((v) => v.name === req.voice.name) || VOICES[0];
+  const { segments, totalMs } = wordSegments(req.text, req.speakingRate ?? 1);
+  return { segments, totalMs, baseHz: def.baseHz, pitch: req.pitch ?? 0, volumeGainDb: req.volumeGainDb ?? 0 };
+}
+
+// Sample-accurate, since we placed every word ourselves
+function timepointsFor(segments) {
+  return segments.map((s) => ({ i: s.i, ms: Math.round(s.startMs) }));
+}
+
+export const localProvider = {
+  id: "local",
+  label: "Local tone (offline)",
+  offline: true,
+  capabilities: CAPABILITIES,
+  pricing: {
+    currency: "USD",
+    per1MCharacters: { LOCAL_TONE: 0 },
+    note: "Runs in-process; free.",
+  },
+
+  cacheInfo() {
+    return { ttlSec: null, cachedAt: null };
+  },
+
+  async listVoices() {
+    return VOICES.map((v) => ({
+      provider: "local",
+      name: v.name,
+      languageCodes: ["en-US"],
+      ssmlGender: "NEUTRAL",
+      naturalSampleRateHertz: SAMPLE_RATE,
+      voiceType: "LOCAL_TONE",
+    }));
+  },
+
+  capabilitiesFor() {
+    return CAPABILITIES;
+  },
+
+  estimateCostUsd() {
+    return 0;
+  },
+
+  async synthesize(req, { signal } = {}) {
+    signal?.throwIfAborted();
+    const render = renderOptions(req);
+    const pcm = renderPcm(render);
+
+    return {
+      audio: Buffer.concat([wavHeader({ sampleRate: SAMPLE_RATE, dataBytes: pcm.length }), pcm]),
+      timepoints: req.timepoints ? timepointsFor(render.segments) : undefined,
+    };
+  },
+
+  // Renders 100 ms at a time while the caller consumes: the first chunk (header + first
+  // slice) is out before the rest of the utterance exists, like a vendor's streaming API
+  async *synthesizeStream(req, { signal } = {}) {
+    const render = renderOptions(req);
+    const total = totalSamplesFor(render.totalMs);
+
+    for (let from = 0; from < total; from += STREAM_SLICE_SAMPLES) {
+      signal?.throwIfAborted();
+      const pcm = renderPcm(render, from, Math.min(total, from + STREAM_SLICE_SAMPLES));
+      yield from === 0 ? Buffer.concat([wavHeader({ sampleRate: SAMPLE_RATE, dataBytes: total * 2 }), pcm]) : pcm;
+    }
+  },
+};
@@ -0,0 +1,14 @@
+// Word boundaries shared by providers and the client caption timeline:
+// word i of the request text is timepoint i.
+export function splitWords(text) {
+  return String(text).split(/\s+/).filter(Boolean);
+}
+
+export function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -0,0 +1,360 @@
+import WebSocket from "ws";
+
+import { limitReason, recordSpend } from "../auth/index.js";
+import { recordingStore } from "../recordings/index.js";
+import { isSessionId } from "../sessions/index.js";
+import { getSttProvider } from "../stt/index.js";
+
+const BYTES_PER_SEC = 2 * 16000;
+
+// Send times kept for the end-of-speech latency: one entry per frame, ~60 s of 20 ms frames
+const MAX_SENT_MARKS = 3000;
+
+// Query params for the proxy itself; everything else is provider options
+const PROXY_PARAMS = ["provider", "record", "sessionId", "token"];
+
+function safeSend(ws, obj) {
+  try {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+  } catch {}
+}
+
+// Close code + reason the browser can show (close reasons are limited to 123 bytes)
+//   1008: refused (bad provider/options, spend limit), 1011: the upstream failed for good
+function closeWith(ws, code, reason) {
+  let r = String(reason || "");
+  while (Buffer.byteLength(r) > 123) r = r.slice(0, -1);
+  try { ws.close(code, r); } catch {}
+}
+
+function reconnectDelayMs(config, attempt) {
+  const base = config.STT_RECONNECT_BASE_MS * Math.pow(2, attempt - 1);
+  return Math.min(Math.round(base * (0.75 + Math.random() * 0.5)), config.STT_RECONNECT_MAX_DELAY_MS);
+}
+
+// Provider times are seconds since its stream started
+function shiftTimes(msg, offsetS) {
+  if (!offsetS) return msg;
+  const at = (t) => (typeof t === "number" ? Number((t + offsetS).toFixed(3)) : t);
+  return {
+    ...msg,
+    ...("start" in msg ? { start: at(msg.start) } : {}),
+    ...("timestamp" in msg ? { timestamp: at(msg.timestamp) } : {}),
+    ...("last_word_end" in msg ? { last_word_end: at(msg.last_word_end) } : {}),
+    ...(msg.words ? { words: msg.words.map((w) => ({ ...w, start: at(w.start), end: at(w.end) })) } : {}),
+  };
+}
+
+// Browser <-> STT provider. The browser streams PCM16 @ 16 kHz and gets back
+// provider-neutral messages: stt_open, transcript, speech_started, utterance_end, metadata,
+// stats, proxy_error (see stt/index.js), stt_latency (before each final transcript: wall-clock
+// time from sending the audio where its last word ends to receiving the final, i.e. STT
+// recognition + endpointing without the user's speaking time), plus reconnecting / reconnected: when the
+// upstream drops (retryable error) we reconnect with backoff, buffer mic frames meanwhile
+// and replay them on the new connection, so the conversation survives a hiccup.
+// With ?record=1&sessionId=... every mic frame also goes to a WAV file of that session
+// (recordings/store.js), with the user turns marked on the same timeline.
+// Query: ?provider=deepgram|fake&record=1&sessionId=...&model=...&language=...&<provider options, see optionsSchema>
+export function setupSttProxy(wss, config) {
+  wss.on("connection", (clientWs, req) => {
+    const reqUrl = new URL(req.url, `http://${req.headers.host}`);
+    const providerId = reqUrl.searchParams.get("provider") || config.STT_DEFAULT_PROVIDER;
+
+    const provider = getSttProvider(providerId);
+    const unavailable = provider ? provider.unavailableReason() : `Unknown STT provider: ${providerId}`;
+    if (unavailable) {
+      safeSend(clientWs, { type: "proxy_error", provider: providerId, message: unavailable });
+      closeWith(clientWs, 1008, unavailable);
+      return;
+    }
+
+    let options;
+    try {
+      const query = Object.fromEntries([...reqUrl.searchParams].filter(([k]) => !PROXY_PARAMS.includes(k)));
+      options = provider.optionsSchema.parse(query);
+    } catch (e) {
+      safeSend(clientWs, { type: "proxy_error", provider: provider.id, message: "Invalid STT options", details: String(e?.message || e) });
+      closeWith(clientWs, 1008, "Invalid STT options");
+      return;
+    }
+
+    const sessionId = reqUrl.searchParams.get("sessionId");
+    const record = reqUrl.searchParams.get("record") === "1";
+    if (record && !isSessionId(sessionId)) {
+      safeSend(clientWs, { type: "proxy_error", provider: provider.id, message: "Recording needs a valid sessionId" });
+      closeWith(clientWs, 1008, "Recording needs a valid sessionId");
+      return;
+    }
+
+    // resolves to null if the file can't be opened: the conversation goes on unrecorded.
+    // Either way, or when a write fails later, stats carry recording_error.
+    let recordingError = null;
+    const recording = record
+      ? recordingStore.openMic(sessionId, {
+        provider: provider.id,
+        onError: (e) => { recordingError = String(e?.message || e); },
+      }).catch((e) => {
+        console.warn("⚠️ Mic recording failed to start:", e?.message || e);
+        recordingError = String(e?.message || e);
+        return null;
+      })
+      : null;
+    let turn = null; // { start, end, texts } of is_final segments not yet ended by speech_final / utterance_end
+
+    const endTurn = (endedBy) => {
+      if (!turn) return;
+      const { start, end, texts } = turn;
+      turn = null;
+      recording.then((r) => r?.markTurn({ start, end, text: texts.join(" "), endedBy }));
+    };
+
+    let requestId = null;
+    let closed = false;
+
+    const openedAt = Date.now();
+    let sttOpenedAt = null;
+    let firstTranscriptAt = null;
+
+    let audioBytesSent = 0;
+
+    // Upstream connection. It is replaced on reconnect; messages of an older one are ignored.
+    let stt = null;
+    let generation = 0;
+    let upstreamOpen = false;
+
+    // Reconnect state: mic frames keep coming while we're away (or still connecting)
+    // and are replayed once the upstream is open
+    let outage = null; // { startedAt, attempts, reason, timer }
+    let buffered = [];
+    let bufferedBytes = 0;
+    let droppedBytes = 0;
+    const maxBufferBytes = config.STT_RECONNECT_BUFFER_SEC * BYTES_PER_SEC;
+
+    // A new upstream stream starts its clock at 0: shift its times so the client
+    // keeps one audio timeline (audio of earlier connections + audio dropped in outages).
+    let timeOffsetBytes = 0;
+    let bytesThisConnection = 0;
+
+    // { endS, atMs }: audio up to endS (timeline seconds) had gone upstream at atMs
+    let sentMarks = [];
+
+    // When the audio at timeline position posS went upstream (null if older than the marks)
+    const sentAt = (posS) => {
+      let lo = 0;
+      let hi = sentMarks.length - 1;
+      if (hi < 0 || sentMarks[0].endS > posS + 0.02 || sentMarks[hi].endS < posS) return null;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sentMarks[mid].endS >= posS) hi = mid;
+        else lo = mid + 1;
+      }
+      return sentMarks[lo];
+    };
+
+    const connect = () => {
+      const gen = ++generation;
+      upstreamOpen = false;
+      bytesThisConnection = 0;
+      stt = provider.connect(options, (msg) => {
+        if (closed || gen !== generation) return;
+        onUpstream(msg);
+      });
+    };
+
+    const sendAudio = (data) => {
+      // Only count bytes the provider actually took
+      if (!stt.send(data)) return false;
+      audioBytesSent += data.length;
+      bytesThisConnection += data.length;
+
+      sentMarks.push({ endS: (timeOffsetBytes + bytesThisConnection) / BYTES_PER_SEC, atMs: Date.now() });
+      if (sentMarks.length > MAX_SENT_MARKS) sentMarks = sentMarks.slice(-MAX_SENT_MARKS / 2);
+      return true;
+    };
+
+    const onUpstream = (msg) => {
+      if (msg.type === "open") {
+        upstreamOpen = true;
+        requestId = msg.request_id || null;
+
+        if (!sttOpenedAt) {
+          sttOpenedAt = Date.now();
+          // options as the provider got them (defaults filled in), for the session record
+          safeSend(clientWs, { type: "stt_open", provider: provider.id, request_id: requestId, options });
+        }
+
+        const replayedBytes = bufferedBytes;
+        const frames = buffered;
+        buffered = [];
+        bufferedBytes = 0;
+        for (const frame of frames) sendAudio(frame);
+        if (!outage) return;
+
+        safeSend(clientWs, {
+          type: "reconnected",
+          provider: provider.id,
+          request_id: requestId,
+          attempts: outage.attempts,
+          outage_ms: Date.now() - outage.startedAt,
+          replayed_ms: Math.round((replayedBytes / BYTES_PER_SEC) * 1000),
+          dropped_ms: Math.round((droppedBytes / BYTES_PER_SEC) * 1000),
+          reason: outage.reason,
+        });
+        droppedBytes = 0;
+        outage = null;
+        return;
+      }
+
+      if (msg.type === "transcript") {
+        if (!firstTranscriptAt) firstTranscriptAt = Date.now();
+        if (!msg.text) return;
+        const out = shiftTimes(msg, timeOffsetBytes / BYTES_PER_SEC);
+
+        // ahead of the transcript, so the client has it when the final ends the turn
+        const speechEndS = out.is_final && out.words?.length ? out.words[out.words.length - 1].end : null;
+        const mark = speechEndS != null ? sentAt(speechEndS) : null;
+        if (mark) {
+          const last = sentMarks[sentMarks.length - 1];
+          safeSend(clientWs, {
+            type: "stt_latency",
+            provider: provider.id,
+            speech_end_s: speechEndS,
+            final_latency_ms: Date.now() - mark.atMs,
+            // audio already sent past the end of speech (endpointing silence + whatever followed)
+            audio_after_speech_ms: Math.round((last.endS - speechEndS) * 1000),
+            speech_final: out.speech_final,
+          });
+        }
+        safeSend(clientWs, out);
+
+        if (recording && out.is_final) {
+          const start = out.words?.[0]?.start ?? out.start;
+          const end = out.words?.length ? out.words[out.words.length - 1].end
+            : (out.start != null ? Number((out.start + (out.duration || 0)).toFixed(3)) : null);
+          turn = turn ? { ...turn, end, texts: [...turn.texts, out.text] } : { start, end, texts: [out.text] };
+          if (out.speech_final) endTurn("speech_final");
+        }
+        return;
+      }
+
+      if (msg.type === "speech_started" || msg.type === "utterance_end" || msg.type === "metadata") {
+        safeSend(clientWs, shiftTimes(msg, timeOffsetBytes / BYTES_PER_SEC));
+        if (recording && msg.type === "utterance_end") endTurn("utterance_end");
+        return;
+      }
+
+      if (msg.type === "error") {
+        if (msg.retryable && (outage?.attempts ?? 0) < config.STT_RECONNECT_MAX_ATTEMPTS) {
+          scheduleReconnect(msg);
+          return;
+        }
+        const { type: _type, retryable: _retryable, ...rest } = msg;
+        safeSend(clientWs, {
+          type: "proxy_error",
+          provider: provider.id,
+          ...rest,
+          ...(outage ? { message: `${msg.message} (gave up after ${outage.attempts} reconnect attempts)` } : {}),
+        });
+        closeWith(clientWs, 1011, msg.message);
+      }
+    };
+
+    const scheduleReconnect = (msg) => {
+      if (!outage) outage = { startedAt: Date.now(), attempts: 0, reason: msg.details || msg.message, timer: null };
+      outage.attempts += 1;
+
+      // what the dead connection got counts towards the timeline of the next one
+      timeOffsetBytes += bytesThisConnection;
+      bytesThisConnection = 0;
+      upstreamOpen = false;
+      try { stt.close(); } catch {}
+
+      const delayMs = reconnectDelayMs(config, outage.attempts);
+      safeSend(clientWs, {
+        type: "reconnecting",
+        provider: provider.id,
+        attempt: outage.attempts,
+        max_attempts: config.STT_RECONNECT_MAX_ATTEMPTS,
+        delay_ms: delayMs,
+        reason: msg.details || msg.message,
+      });
+      outage.timer = setTimeout(connect, delayMs);
+    };
+
+    // Frames that arrive while reconnecting; the oldest go first once the buffer is full
+    const bufferAudio = (data) => {
+      buffered.push(data);
+      bufferedBytes += data.length;
+      while (bufferedBytes > maxBufferBytes && buffered.length) {
+        const old = buffered.shift();
+        bufferedBytes -= old.length;
+        droppedBytes += old.length;
+        timeOffsetBytes += old.length;
+      }
+    };
+
+    connect();
+
+    // set by verifyWsClient when auth is on: streamed audio counts towards the spend limit
+    const grant = req.auth || null;
+    let chargedUsd = 0;
+
+    const statsTimer = setInterval(() => {
+      const audioSeconds = audioBytesSent / BYTES_PER_SEC;
+      const estCostUsd = (audioSeconds / 60) * provider.pricePerMinUsd;
+
+      if (grant) {
+        recordSpend(grant, estCostUsd - chargedUsd);
+        chargedUsd = estCostUsd;
+        const blocked = limitReason(grant);
+        if (blocked?.limit === "spend") {
+          safeSend(clientWs, { type: "proxy_error", provider: provider.id, status: 429, message: blocked.error, details: blocked.details });
+          closeWith(clientWs, 1008, `${blocked.error}: ${blocked.details}`);
+          return;
+        }
+      }
+
+      const sttTtfbMs = (sttOpenedAt && firstTranscriptAt) ? (firstTranscriptAt - sttOpenedAt) : null;
+      const overallTtfbMs = firstTranscriptAt ? (firstTranscriptAt - openedAt) : null;
+
+      safeSend(clientWs, {
+        type: "stats",
+        provider: provider.id,
+        audio_seconds: Number(audioSeconds.toFixed(2)),
+        est_cost_usd: Number(estCostUsd.toFixed(6)),
+        price_per_min_usd: provider.pricePerMinUsd,
+        request_id: requestId,
+        stt_ttfb_ms: sttTtfbMs,
+        overall_ttfb_ms: overallTtfbMs,
+        ...(recordingError ? { recording_error: recordingError } : {}),
+      });
+    }, 500);
+
+    // Receive audio from browser and forward to the provider
+    clientWs.on("message", (data, isBinary) => {
+      if (isBinary) {
+        recording?.then((r) => r?.write(data));
+        // a frame the provider refused is kept: its connection is going away
+        if (outage || !upstreamOpen || !sendAudio(data)) bufferAudio(data);
+        return;
+      }
+
+      // Control messages
+      try {
+        const msg = JSON.parse(data.toString("utf8"));
+        if (msg?.type === "CloseStream") stt.finish();
+      } catch {}
+    });
+
+    clientWs.on("close", () => {
+      closed = true;
+      clearInterval(statsTimer);
+      clearTimeout(outage?.timer);
+      stt.close();
+      endTurn("closed");
+      recording?.then((r) => r?.close()).catch((e) => console.warn("⚠️ Mic recording not finalized:", e?.message || e));
+    });
+
+    clientWs.on("error", () => {});
+  });
+}